@@ -0,0 +1,89 @@
+/**
+ * API key authentication for machine clients
+ * Checks the key id in X-API-Key against api_keys, the key's scopes, its
+ * per-minute rate limit and the HMAC signature of the raw request body.
+ *
+ * Headers: X-API-Key (key id), X-Timestamp (unix seconds), X-Signature (hex HMAC-SHA256 of
+ * `${timestamp}.${body}` keyed with the key's signing secret, which is never sent).
+ * Needs req.rawBody (see express.json verify).
+ */
+
+const { findApiKey, touchApiKey, verifySignature } = require('../../shared/api-keys');
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Create the requireApiKey(scope) middleware factory
+ * @param {object} pool - pg Pool
+ */
+function createApiKeyAuth(pool, options = {}) {
+  const toleranceSec = options.toleranceSec || parseInt(process.env.API_SIGNATURE_TOLERANCE_SEC) || 300;
+
+  // key id -> { windowStart, count }
+  const usage = new Map();
+  // Signatures seen within the timestamp tolerance, to reject replays
+  const seenSignatures = new Map();
+
+  function rateLimited(key) {
+    const now = Date.now();
+    const entry = usage.get(key.id);
+    if (!entry || now - entry.windowStart >= WINDOW_MS) {
+      usage.set(key.id, { windowStart: now, count: 1 });
+      return 0;
+    }
+    entry.count++;
+    return entry.count > key.rate_limit ? Math.ceil((entry.windowStart + WINDOW_MS - now) / 1000) : 0;
+  }
+
+  function isReplay(signature) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) return true;
+    seenSignatures.set(signature, now + toleranceSec * 2000);
+    return false;
+  }
+
+  return function requireApiKey(scope) {
+    return async (req, res, next) => {
+      try {
+        const key = await findApiKey(pool, req.get('X-API-Key'));
+        if (!key) {
+          return res.status(401).json({ success: false, message: 'Missing or invalid API key' });
+        }
+        if (!key.scopes.includes(scope)) {
+          return res.status(403).json({ success: false, message: `API key lacks the ${scope} scope` });
+        }
+
+        const retryAfter = rateLimited(key);
+        if (retryAfter > 0) {
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({ success: false, message: `Rate limit of ${key.rate_limit} requests per minute exceeded` });
+        }
+
+        const signature = req.get('X-Signature');
+        const signatureError = verifySignature(key.signing_secret, {
+          timestamp: req.get('X-Timestamp'),
+          signature,
+          body: req.rawBody ? req.rawBody.toString('utf8') : '',
+        }, toleranceSec);
+        if (signatureError) {
+          return res.status(401).json({ success: false, message: signatureError });
+        }
+        if (isReplay(signature)) {
+          return res.status(401).json({ success: false, message: 'Request was already processed' });
+        }
+
+        await touchApiKey(pool, key.id);
+        req.apiKey = { id: key.id, name: key.name, scopes: key.scopes };
+        next();
+      } catch (err) {
+        console.error('API key check failed:', err);
+        res.status(500).json({ success: false, message: 'Failed to check API key' });
+      }
+    };
+  };
+}
+
+module.exports = { createApiKeyAuth };
@@ -0,0 +1,89 @@
+/**
+ * API key admin CLI for Nestd
+ * Usage:
+ *   node src/api-keys.js create <name> [--scopes listings:write] [--rate-limit 60]
+ *   node src/api-keys.js list
+ *   node src/api-keys.js revoke <id>
+ *
+ * The key id and signing secret are printed once on create.
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { SCOPES, DEFAULT_SCOPES, DEFAULT_RATE_LIMIT, createApiKey, listApiKeys, revokeApiKey } = require('../../shared/api-keys');
+
+function flag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function positional(args) {
+  return args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+}
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  });
+
+  try {
+    switch (command) {
+      case 'create': {
+        const scopes = flag(args, 'scopes');
+        const key = await createApiKey(pool, {
+          name: positional(args).join(' '),
+          scopes: scopes ? scopes.split(',').map(scope => scope.trim()).filter(Boolean) : DEFAULT_SCOPES,
+          rateLimit: flag(args, 'rate-limit') || DEFAULT_RATE_LIMIT,
+        });
+        console.log(`✅ Created API key #${key.id} "${key.name}" [${key.scopes.join(', ')}], ${key.rate_limit} requests/min`);
+        console.log(`\n   Key id:         ${key.keyId}`);
+        console.log(`   Signing secret: ${key.signingSecret}`);
+        console.log('\n   Store the secret now, it won\'t be shown again. Only the key id is sent with requests.\n');
+        break;
+      }
+
+      case 'list': {
+        const keys = await listApiKeys(pool);
+        console.log(keys.length > 0 ? `🔑 ${keys.length} API key(s)` : '🔑 No API keys');
+        for (const key of keys) {
+          const state = key.revoked_at ? `revoked ${key.revoked_at.toISOString()}` : 'active';
+          const used = key.last_used_at ? `last used ${key.last_used_at.toISOString()}` : 'never used';
+          console.log(`  #${key.id} ${key.key_prefix}… ${key.name} [${key.scopes.join(', ')}] ${key.rate_limit}/min, ${state}, ${used}`);
+        }
+        break;
+      }
+
+      case 'revoke': {
+        const id = Number(args[0]);
+        if (!Number.isInteger(id) || id < 1) {
+          console.error('Usage: node src/api-keys.js revoke <id>  (the #id from list)');
+          process.exitCode = 1;
+          break;
+        }
+        if (!await revokeApiKey(pool, id)) {
+          console.error(`❌ No active API key #${args[0]}`);
+          process.exitCode = 1;
+          break;
+        }
+        console.log(`✅ Revoked API key #${id}`);
+        break;
+      }
+
+      default:
+        console.log('Usage:');
+        console.log('  node src/api-keys.js create <name> [--scopes a,b] [--rate-limit N]  - Create a key (printed once)');
+        console.log('  node src/api-keys.js list                                          - List keys');
+        console.log('  node src/api-keys.js revoke <id>                                   - Revoke a key');
+        console.log(`\nScopes:\n${Object.entries(SCOPES).map(([scope, about]) => `  ${scope}  ${about}`).join('\n')}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.status ? err.message : `API key command failed: ${err.message}`}`);
+  process.exit(1);
+});
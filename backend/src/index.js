@@ -8,9 +8,20 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const path = require('path');
 const { clerkMiddleware, requireAuth, getAuth } = require('@clerk/express');
 const { Pool } = require('pg');
-const { schema } = require('./migrate');
+const { Migrator } = require('../../shared/migrator');
+const { AlertEngine } = require('../../shared/alerts');
+const { IngestService } = require('../../shared/ingest');
+const { CHANGE_ALERT_FIELDS } = require('../../shared/listing-changes');
+const { createImagesRouter } = require('./routes/images');
+const { createAdminRouter } = require('./routes/admin');
+const { createApiKeyAuth } = require('./api-auth');
+const { MAX_BATCH_SIZE } = require('../../shared/listing-schema');
+const { provinceCode } = require('../../shared/address');
+const { parseGeoSearch, geoSearchSql, gridCellSql } = require('../../shared/geo-search');
+const { buildPreferenceModel, recommendationSql, explainRecommendation } = require('../../shared/recommender');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -21,25 +32,38 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
 });
 
-// Auto-run migrations on startup
+const migrator = new Migrator(pool);
+const alertEngine = new AlertEngine(pool);
+const ingestService = new IngestService(pool, { alertEngine });
+const requireApiKey = createApiKeyAuth(pool);
+
+// Verified photos of listing `l` (image_urls are unverified guesses until images_verified is true)
+const LISTING_IMAGES_SQL = `(l.images_verified_at IS NOT NULL) as images_verified,
+  COALESCE((SELECT json_agg(json_build_object('url', li.url, 'width', li.width, 'height', li.height) ORDER BY li.position)
+            FROM listing_images li WHERE li.listing_id = l.id), '[]') as images`;
+
+const SWIPE_DIRECTIONS = ['left', 'right', 'super'];
+// Deck orders for GET /api/listings; recommended falls back to newest until the user has swiped enough
+const LISTING_SORTS = ['recommended', 'newest', 'distance'];
+
+// Map view: listings are clustered up to this zoom, in cells this many pixels across
+const MAP_CLUSTER_MAX_ZOOM = 14;
+const MAP_CLUSTER_CELL_PX = 64;
+// Most markers returned for an unclustered viewport
+const MAP_MAX_LISTINGS = 1000;
+
+/**
+ * Check the schema version before serving requests
+ * Set MIGRATE_ON_START=true to apply pending migrations first
+ */
 async function initDatabase() {
-  try {
-    console.log('🔄 Checking database tables...');
-    const result = await pool.query(`
-      SELECT table_name FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = 'listings'
-    `);
-    
-    if (result.rows.length === 0) {
-      console.log('📦 Running database migrations...');
-      await pool.query(schema);
-      console.log('✅ Database initialized successfully!');
-    } else {
-      console.log('✅ Database tables already exist');
-    }
-  } catch (error) {
-    console.error('❌ Database initialization error:', error.message);
+  if (process.env.MIGRATE_ON_START === 'true') {
+    console.log('🔄 Applying pending migrations...');
+    await migrator.up();
   }
+
+  const version = await migrator.assertCurrent();
+  console.log(`✅ Database schema at version ${version}`);
 }
 
 // Middleware
@@ -49,7 +73,13 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true,
 }));
-app.use(express.json());
+app.use(express.json({
+  limit: '5mb',
+  // Keep the exact bytes for API key request signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(clerkMiddleware());
 
 // Health check
@@ -59,95 +89,53 @@ app.get('/health', (req, res) => {
 
 // ============ SCRAPER ENDPOINT (from Tampermonkey) ============
 
+/**
+ * GET /api/scraper/parsers/realtor-ca.js
+ * Shared Realtor.ca page parser, loaded by the userscript via @require
+ */
+app.get('/api/scraper/parsers/realtor-ca.js', (req, res) => {
+  res.type('application/javascript');
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, '../../shared/parsers/realtor-ca.js'));
+});
+
 /**
  * POST /api/scraper/listings
  * Receives listings from Tampermonkey script
- * No auth required (uses API key or open)
+ * Requires an API key with the listings:write scope and a signed body (see api-auth.js)
+ * Malformed listings are skipped and reported in `errors` ({ index, detailUrl, errors });
+ * `results` has each item's outcome: new, updated, price_changed or rejected
  */
-app.post('/api/scraper/listings', async (req, res) => {
+app.post('/api/scraper/listings', requireApiKey('listings:write'), async (req, res) => {
   try {
-    const { listings } = req.body;
+    const { listings } = req.body || {};
     
     if (!listings || !Array.isArray(listings)) {
       return res.status(400).json({ success: false, message: 'Invalid listings data' });
     }
+    if (listings.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({ success: false, message: `At most ${MAX_BATCH_SIZE} listings per request` });
+    }
 
-    console.log(`[Scraper] Received ${listings.length} listings`);
-
-    let added = 0, updated = 0, priceChanges = 0;
-
-    for (const listing of listings) {
-      // Check if listing exists
-      const existing = await pool.query(
-        'SELECT id, price FROM listings WHERE realtor_url = $1',
-        [listing.detailUrl]
-      );
+    const { results, summary, alertsCreated } = await ingestService.ingest(listings, { source: 'realtor-ca' });
+    const rejected = results.filter(r => r.outcome === 'rejected');
 
-      if (existing.rows.length === 0) {
-        // New listing
-        await pool.query(
-          `INSERT INTO listings 
-           (realtor_url, price, street, town, province, beds, baths, sqft, image_urls, listed_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-          [
-            listing.detailUrl,
-            listing.price,
-            listing.street,
-            listing.town,
-            listing.province,
-            listing.beds || 0,
-            listing.baths || 0,
-            listing.sqft,
-            listing.imageUrls || [],
-            listing.listedAt ? new Date(listing.listedAt) : null,
-          ]
-        );
-        added++;
-
-        // Record initial price
-        const newListing = await pool.query(
-          'SELECT id FROM listings WHERE realtor_url = $1',
-          [listing.detailUrl]
-        );
-        if (newListing.rows.length > 0 && listing.price) {
-          await pool.query(
-            'INSERT INTO price_history (listing_id, price) VALUES ($1, $2)',
-            [newListing.rows[0].id, listing.price]
-          );
-        }
-      } else {
-        // Existing listing - update
-        const oldPrice = existing.rows[0].price;
-        const listingId = existing.rows[0].id;
-
-        await pool.query(
-          `UPDATE listings 
-           SET price = $2, last_seen_at = NOW(), updated_at = NOW(), is_active = TRUE
-           WHERE id = $1`,
-          [listingId, listing.price]
-        );
-        updated++;
-
-        // Check for price change
-        if (listing.price && oldPrice && listing.price !== oldPrice) {
-          priceChanges++;
-          await pool.query(
-            'INSERT INTO price_history (listing_id, price) VALUES ($1, $2)',
-            [listingId, listing.price]
-          );
-          console.log(`[Scraper] Price change: ${listing.street} - $${oldPrice} → $${listing.price}`);
-        }
-      }
-    }
-
-    console.log(`[Scraper] Results: ${added} new, ${updated} updated, ${priceChanges} price changes`);
+    console.log(`[Scraper] Received ${listings.length} listings from key "${req.apiKey.name}"`);
+    for (const r of results.filter(r => r.priceChanged)) {
+      console.log(`[Scraper] Price change: ${listings[r.index].street} - $${r.oldPrice} → $${r.newPrice}`);
+    }
+    console.log(`[Scraper] Results: ${summary.new} new, ${summary.updated} updated, ${summary.priceChanges} price changes, ${summary.rejected} rejected, ${alertsCreated} alerts`);
 
     res.json({
       success: true,
-      added,
-      updated,
-      priceChanges,
-      total: listings.length
+      added: summary.new,
+      updated: summary.updated,
+      priceChanges: summary.priceChanges,
+      alertsCreated,
+      total: listings.length,
+      rejected: summary.rejected,
+      errors: rejected.map(({ index, detailUrl, errors }) => ({ index, detailUrl, errors })),
+      results: results.map(({ index, detailUrl, outcome, listingId = null }) => ({ index, detailUrl, outcome, listingId })),
     });
   } catch (err) {
     console.error('[Scraper] Error:', err);
@@ -203,6 +191,8 @@ const withUser = async (req, res, next) => {
 /**
  * GET /api/listings
  * Get listings for swiping (excludes already swiped)
+ * Geo search: lat/lng (+ radiusKm), bbox=west,south,east,north, polygon=<GeoJSON>;
+ * with a center each listing has distance_km and sort=distance puts the closest first
  */
 app.get('/api/listings', requireAuth(), withUser, async (req, res) => {
   try {
@@ -214,9 +204,27 @@ app.get('/api/listings', requireAuth(), withUser, async (req, res) => {
       minBeds,
       minBaths,
       province,
+      municipality,
+      neighborhood,
+      fsa,
+      propertyType,
+      minYearBuilt,
+      maxTaxes,
+      maxCondoFees,
+      minParking,
+      minDaysOnMarket,
+      relisted,
+      sort = 'recommended',
     } = req.query;
 
     const userId = req.dbUser.id;
+    const geoSearch = parseGeoSearch(req.query);
+    if (!LISTING_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of ${LISTING_SORTS.join(', ')}` });
+    }
+    if (sort === 'distance' && !geoSearch.center) {
+      return res.status(400).json({ error: 'sort=distance needs a center (lat and lng)' });
+    }
 
     let whereConditions = ['l.is_active = TRUE'];
     let params = [userId];
@@ -251,34 +259,215 @@ app.get('/api/listings', requireAuth(), withUser, async (req, res) => {
       paramIndex++;
     }
     if (province) {
-      whereConditions.push(`l.province = $${paramIndex}`);
-      params.push(province);
+      // A name ("Ontario") or a code ("ON")
+      whereConditions.push(`(l.province_code = $${paramIndex} OR l.province ILIKE $${paramIndex + 1})`);
+      params.push(provinceCode(province), province);
+      paramIndex += 2;
+    }
+    // Parsed address parts (see shared/address.js)
+    if (municipality) {
+      whereConditions.push(`lower(l.municipality) = lower($${paramIndex})`);
+      params.push(municipality);
+      paramIndex++;
+    }
+    if (neighborhood) {
+      whereConditions.push(`l.neighborhood ILIKE $${paramIndex}`);
+      params.push(neighborhood);
+      paramIndex++;
+    }
+    if (fsa) {
+      // Comma-separated, e.g. fsa=L3Y,L3X
+      whereConditions.push(`l.fsa = ANY($${paramIndex}::text[])`);
+      params.push(String(fsa).split(',').map(code => code.trim().slice(0, 3).toUpperCase()).filter(Boolean));
       paramIndex++;
     }
+    // Detail-page filters only match listings that have been enriched
+    if (propertyType) {
+      whereConditions.push(`(d.property_type ILIKE $${paramIndex} OR d.building_style ILIKE $${paramIndex})`);
+      params.push(`%${propertyType}%`);
+      paramIndex++;
+    }
+    if (minYearBuilt) {
+      whereConditions.push(`d.year_built >= $${paramIndex}`);
+      params.push(parseInt(minYearBuilt));
+      paramIndex++;
+    }
+    if (maxTaxes) {
+      whereConditions.push(`d.annual_taxes <= $${paramIndex}`);
+      params.push(parseInt(maxTaxes));
+      paramIndex++;
+    }
+    if (maxCondoFees) {
+      // Freehold listings have no condo fees
+      whereConditions.push(`COALESCE(d.condo_fees, 0) <= $${paramIndex}`);
+      params.push(parseInt(maxCondoFees));
+      paramIndex++;
+    }
+    if (minParking) {
+      whereConditions.push(`d.parking_spaces >= $${paramIndex}`);
+      params.push(parseInt(minParking));
+      paramIndex++;
+    }
+
+    // Stale and relisted homes
+    if (minDaysOnMarket) {
+      whereConditions.push(`listing_days_on_market(l.id) >= $${paramIndex}`);
+      params.push(parseInt(minDaysOnMarket));
+      paramIndex++;
+    }
+    if (relisted === 'true') {
+      whereConditions.push(`(l.status = 'relisted' OR l.previous_listing_id IS NOT NULL)`);
+    }
+
+    // Radius, viewport and drawn-area search (see shared/geo-search.js)
+    const geo = geoSearchSql(geoSearch, params);
+    whereConditions.push(...geo.conditions);
+
+    // Personalized ranking learned from the user's swipes (see shared/recommender.js)
+    const model = sort === 'recommended' ? await buildPreferenceModel(pool, userId) : null;
+    // Exploration picks change daily but stay put while the deck is paged through
+    const recommendation = model
+      ? recommendationSql(model, params, { seed: `${userId}:${new Date().toISOString().slice(0, 10)}` })
+      : null;
+    paramIndex = params.length + 1;
+
+    let orderBy = 'l.listed_at DESC NULLS LAST, l.first_seen_at DESC';
+    if (sort === 'distance') orderBy = `distance_km NULLS LAST, ${orderBy}`;
+    if (recommendation) orderBy = `${recommendation.orderBy}, ${orderBy}`;
 
     params.push(parseInt(limit), parseInt(offset));
 
     const result = await pool.query(
       `SELECT l.id, l.realtor_url, l.price, l.street, l.town, l.province,
+              l.unit, l.municipality, l.neighborhood, l.province_code, l.postal_code, l.fsa,
               l.beds, l.baths, l.sqft, l.lat, l.lng, l.image_urls,
-              l.listed_at, l.first_seen_at
+              l.listed_at, l.first_seen_at, l.status, l.previous_listing_id, l.source,
+              listing_days_on_market(l.id) as days_on_market,
+              ${geo.distanceSql || 'NULL::double precision'} as distance_km,
+              ${LISTING_IMAGES_SQL},
+              d.mls_number, d.description, d.property_type, d.building_style,
+              d.year_built, d.lot_size, d.annual_taxes, d.condo_fees,
+              d.parking, d.parking_spaces, d.heating
+              ${recommendation ? `, ${recommendation.columns}` : ''}
        FROM listings l
+       LEFT JOIN listing_details d ON d.listing_id = l.id
        WHERE ${whereConditions.join(' AND ')}
-       ORDER BY l.listed_at DESC NULLS LAST, l.first_seen_at DESC
+       ORDER BY ${orderBy}
        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
       params
     );
 
+    const listings = model
+      ? result.rows.map(row => {
+        const explanation = explainRecommendation(model, row); // Strips the rec_* columns
+        return { ...row, recommendation: explanation };
+      })
+      : result.rows;
+
     res.json({
-      listings: result.rows,
-      count: result.rows.length,
+      listings,
+      count: listings.length,
+      ranking: model ? 'recommended' : sort === 'distance' ? 'distance' : 'newest',
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error fetching listings:', err);
     res.status(500).json({ error: 'Failed to fetch listings' });
   }
 });
 
+/**
+ * GET /api/listings/map?bbox=west,south,east,north&zoom=
+ * Active listings in a map viewport with the user's favorites and swipes (swiped ones included)
+ * Up to MAP_CLUSTER_MAX_ZOOM, listings that would overlap on screen are grouped into clusters;
+ * a listing alone in its cell stays a marker. Filters: minPrice, maxPrice, minBeds, minBaths, polygon.
+ */
+app.get('/api/listings/map', requireAuth(), withUser, async (req, res) => {
+  try {
+    const { bbox, polygon, minPrice, maxPrice, minBeds, minBaths } = req.query;
+    const zoom = Number(req.query.zoom);
+
+    if (!bbox) {
+      return res.status(400).json({ error: 'bbox is required' });
+    }
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+      return res.status(400).json({ error: 'zoom must be an integer between 0 and 22' });
+    }
+
+    const params = [req.dbUser.id];
+    const whereConditions = ['l.is_active = TRUE', 'l.lat IS NOT NULL', 'l.lng IS NOT NULL'];
+    const filters = [
+      [minPrice, 'l.price >='],
+      [maxPrice, 'l.price <='],
+      [minBeds, 'l.beds >='],
+      [minBaths, 'l.baths >='],
+    ];
+    for (const [value, condition] of filters) {
+      if (!value) continue;
+      params.push(parseInt(value));
+      whereConditions.push(`${condition} $${params.length}`);
+    }
+    whereConditions.push(...geoSearchSql(parseGeoSearch({ bbox, polygon }), params).conditions);
+
+    const clustered = zoom <= MAP_CLUSTER_MAX_ZOOM;
+    const cell = clustered ? gridCellSql(zoom, MAP_CLUSTER_CELL_PX, params) : null;
+    const visible = `
+      SELECT l.id, l.lat, l.lng, l.price, l.street, l.town, l.beds, l.baths,
+             (f.listing_id IS NOT NULL) as is_favorite, s.direction as swipe
+             ${clustered ? `, ${cell.x} as cell_x, ${cell.y} as cell_y` : ''}
+      FROM listings l
+      LEFT JOIN favorites f ON f.user_id = $1 AND f.listing_id = l.id
+      LEFT JOIN swipes s ON s.user_id = $1 AND s.listing_id = l.id
+      WHERE ${whereConditions.join(' AND ')}`;
+
+    if (!clustered) {
+      params.push(MAP_MAX_LISTINGS + 1);
+      const result = await pool.query(
+        `${visible} ORDER BY l.listed_at DESC NULLS LAST, l.id DESC LIMIT $${params.length}`,
+        params
+      );
+      return res.json({
+        zoom,
+        clustered: false,
+        clusters: [],
+        listings: result.rows.slice(0, MAP_MAX_LISTINGS),
+        truncated: result.rows.length > MAP_MAX_LISTINGS,
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT COUNT(*)::int as count, AVG(lat) as lat, AVG(lng) as lng,
+              MIN(price) as min_price, MAX(price) as max_price,
+              ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY price))::int as median_price,
+              COUNT(*) FILTER (WHERE is_favorite)::int as favorites,
+              CASE WHEN COUNT(*) = 1 THEN json_agg(json_build_object(
+                'id', id, 'lat', lat, 'lng', lng, 'price', price, 'street', street, 'town', town,
+                'beds', beds, 'baths', baths, 'is_favorite', is_favorite, 'swipe', swipe
+              )) -> 0 END as listing
+       FROM (${visible}) v
+       GROUP BY cell_x, cell_y`,
+      params
+    );
+
+    const clusters = [];
+    const listings = [];
+    for (const { listing, ...cluster } of result.rows) {
+      if (listing) listings.push(listing);
+      else clusters.push(cluster);
+    }
+
+    res.json({ zoom, clustered: true, clusters, listings, truncated: false });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error fetching map listings:', err);
+    res.status(500).json({ error: 'Failed to fetch map listings' });
+  }
+});
+
 /**
  * GET /api/listings/:id
  * Get single listing details
@@ -290,10 +479,18 @@ app.get('/api/listings/:id', requireAuth(), withUser, async (req, res) => {
 
     const result = await pool.query(
       `SELECT l.*, 
+              d.mls_number, d.description, d.property_type, d.building_style,
+              d.year_built, d.lot_size, d.annual_taxes, d.condo_fees,
+              d.parking, d.parking_spaces, d.heating, d.scraped_at as details_scraped_at,
               f.id as favorite_id, f.notes, f.rating,
+              listing_days_on_market(l.id) as days_on_market,
+              ${LISTING_IMAGES_SQL},
+              (SELECT array_agg(json_build_object('status', sh.status, 'changed_at', sh.changed_at) ORDER BY sh.changed_at, sh.id)
+               FROM listing_status_history sh WHERE sh.listing_id = l.id) as status_history,
               (SELECT array_agg(json_build_object('price', ph.price, 'recorded_at', ph.recorded_at) ORDER BY ph.recorded_at)
                FROM price_history ph WHERE ph.listing_id = l.id) as price_history
        FROM listings l
+       LEFT JOIN listing_details d ON d.listing_id = l.id
        LEFT JOIN favorites f ON f.listing_id = l.id AND f.user_id = $2
        WHERE l.id = $1`,
       [id, userId]
@@ -310,43 +507,196 @@ app.get('/api/listings/:id', requireAuth(), withUser, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/listings/:id/changes
+ * Field-level change history for a listing (newest first)
+ */
+app.get('/api/listings/:id/changes', requireAuth(), withUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { field, limit = 100 } = req.query;
+
+    const params = [id, parseInt(limit)];
+    let fieldClause = '';
+    if (field) {
+      fieldClause = 'AND field = $3';
+      params.push(field);
+    }
+
+    const result = await pool.query(
+      `SELECT id, field, old_value, new_value, changed_at
+       FROM listing_changes
+       WHERE listing_id = $1 ${fieldClause}
+       ORDER BY changed_at DESC, id DESC
+       LIMIT $2`,
+      params
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching listing changes:', err);
+    res.status(500).json({ error: 'Failed to fetch listing changes' });
+  }
+});
+
 // ============ SWIPE ENDPOINTS ============
 
 /**
- * POST /api/swipes
- * Record a swipe (left/right/super)
+ * GET /api/swipes?direction=left
+ * Swiped listings, most recently swiped first (direction: left, right or super; default all)
  */
-app.post('/api/swipes', requireAuth(), withUser, async (req, res) => {
+app.get('/api/swipes', requireAuth(), withUser, async (req, res) => {
   try {
-    const { listingId, direction } = req.body;
+    const { direction, limit = 50, offset = 0 } = req.query;
     const userId = req.dbUser.id;
 
-    if (!['left', 'right', 'super'].includes(direction)) {
+    if (direction && !SWIPE_DIRECTIONS.includes(direction)) {
       return res.status(400).json({ error: 'Invalid swipe direction' });
     }
 
-    await pool.query(
-      `INSERT INTO swipes (user_id, listing_id, direction)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (user_id, listing_id) 
-       DO UPDATE SET direction = $3, created_at = NOW()`,
-      [userId, listingId, direction]
+    const result = await pool.query(
+      `SELECT l.*, s.direction as swipe_direction, s.created_at as swiped_at,
+              listing_days_on_market(l.id) as days_on_market,
+              ${LISTING_IMAGES_SQL},
+              COUNT(*) OVER()::int as total
+       FROM swipes s
+       JOIN listings l ON l.id = s.listing_id
+       WHERE s.user_id = $1 AND ($2::text IS NULL OR s.direction = $2)
+       ORDER BY s.created_at DESC, s.id DESC
+       LIMIT $3 OFFSET $4`,
+      [userId, direction || null, parseInt(limit), parseInt(offset)]
     );
 
+    res.json({
+      swipes: result.rows.map(({ total, ...listing }) => listing),
+      count: result.rows.length,
+      total: result.rows.length > 0 ? result.rows[0].total : 0,
+    });
+  } catch (err) {
+    console.error('Error fetching swipes:', err);
+    res.status(500).json({ error: 'Failed to fetch swipes' });
+  }
+});
+
+/**
+ * POST /api/swipes
+ * Record a swipe (left/right/super)
+ */
+app.post('/api/swipes', requireAuth(), withUser, async (req, res) => {
+  const { listingId, direction } = req.body || {};
+  const userId = req.dbUser.id;
+
+  if (!SWIPE_DIRECTIONS.includes(direction)) {
+    return res.status(400).json({ error: 'Invalid swipe direction' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
     // Auto-favorite on right swipe or super
+    let createdFavorite = false;
     if (direction === 'right' || direction === 'super') {
-      await pool.query(
+      const favorite = await client.query(
         `INSERT INTO favorites (user_id, listing_id)
          VALUES ($1, $2)
-         ON CONFLICT (user_id, listing_id) DO NOTHING`,
+         ON CONFLICT (user_id, listing_id) DO NOTHING
+         RETURNING id`,
         [userId, listingId]
       );
+      createdFavorite = favorite.rows.length > 0;
     }
 
+    // Re-swiping right -> super keeps the favorite the first swipe created, so undo still removes it
+    await client.query(
+      `INSERT INTO swipes (user_id, listing_id, direction, created_favorite)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, listing_id) 
+       DO UPDATE SET direction = $3, created_at = NOW(),
+                     created_favorite = $3 <> 'left' AND (swipes.created_favorite OR $4)`,
+      [userId, listingId, direction, createdFavorite]
+    );
+
+    await client.query('COMMIT');
     res.json({ success: true });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error recording swipe:', err);
     res.status(500).json({ error: 'Failed to record swipe' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/swipes/reset
+ * Forget passes (left swipes) older than olderThanDays, so those listings show up for swiping again
+ */
+app.post('/api/swipes/reset', requireAuth(), withUser, async (req, res) => {
+  try {
+    const olderThanDays = Number((req.body || {}).olderThanDays);
+
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({ error: 'olderThanDays must be a whole number of days' });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM swipes
+       WHERE user_id = $1 AND direction = 'left' AND created_at < NOW() - make_interval(days => $2)`,
+      [req.dbUser.id, olderThanDays]
+    );
+
+    res.json({ success: true, reset: result.rowCount });
+  } catch (err) {
+    console.error('Error resetting swipes:', err);
+    res.status(500).json({ error: 'Failed to reset swipes' });
+  }
+});
+
+/**
+ * DELETE /api/swipes/:listingId
+ * Undo a swipe; also removes the favorite a right/super swipe created
+ */
+app.delete('/api/swipes/:listingId', requireAuth(), withUser, async (req, res) => {
+  const { listingId } = req.params;
+  const userId = req.dbUser.id;
+
+  if (!/^\d+$/.test(listingId)) {
+    return res.status(400).json({ error: 'Invalid listing id' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const swipe = await client.query(
+      `DELETE FROM swipes WHERE user_id = $1 AND listing_id = $2
+       RETURNING direction, created_favorite`,
+      [userId, listingId]
+    );
+    if (swipe.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Swipe not found' });
+    }
+
+    const { direction, created_favorite } = swipe.rows[0];
+    let favoriteRemoved = false;
+    if (created_favorite) {
+      const favorite = await client.query(
+        'DELETE FROM favorites WHERE user_id = $1 AND listing_id = $2',
+        [userId, listingId]
+      );
+      favoriteRemoved = favorite.rowCount > 0;
+    }
+
+    await client.query('COMMIT');
+    res.json({ success: true, direction, favoriteRemoved });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error undoing swipe:', err);
+    res.status(500).json({ error: 'Failed to undo swipe' });
+  } finally {
+    client.release();
   }
 });
 
@@ -363,6 +713,8 @@ app.get('/api/favorites', requireAuth(), withUser, async (req, res) => {
 
     const result = await pool.query(
       `SELECT l.*, f.notes, f.rating, f.created_at as favorited_at,
+              listing_days_on_market(l.id) as days_on_market,
+              ${LISTING_IMAGES_SQL},
               (SELECT array_agg(json_build_object('price', ph.price, 'recorded_at', ph.recorded_at) ORDER BY ph.recorded_at)
                FROM price_history ph WHERE ph.listing_id = l.id) as price_history
        FROM favorites f
@@ -447,9 +799,15 @@ app.get('/api/alerts', requireAuth(), withUser, async (req, res) => {
     }
 
     const result = await pool.query(
-      `SELECT a.*, l.street, l.town, l.price, l.image_urls[1] as image_url
+      `SELECT a.*, l.street, l.town, l.price,
+              COALESCE((SELECT li.url FROM listing_images li WHERE li.listing_id = l.id ORDER BY li.position LIMIT 1),
+                       l.image_urls[1]) as image_url,
+              ss.name as saved_search_name,
+              lc.field, lc.old_value, lc.new_value
        FROM alerts a
        JOIN listings l ON l.id = a.listing_id
+       LEFT JOIN saved_searches ss ON ss.id = a.saved_search_id
+       LEFT JOIN listing_changes lc ON lc.id = a.listing_change_id
        WHERE ${whereClause}
        ORDER BY a.created_at DESC
        LIMIT $2`,
@@ -611,9 +969,56 @@ app.get('/api/me', requireAuth(), withUser, async (req, res) => {
   res.json(req.dbUser);
 });
 
-// ============ SERVER-SIDE SCRAPER (DISABLED - runs as separate service) ============
-// const scraperServer = require('./routes/scraper-server');
-// app.use('/api/scraper-server', scraperServer);
+/**
+ * PUT /api/me
+ * Update current user settings
+ */
+app.put('/api/me', requireAuth(), withUser, async (req, res) => {
+  try {
+    const { alertThresholdPercent, changeAlertFields } = req.body;
+    const userId = req.dbUser.id;
+
+    if (alertThresholdPercent !== undefined &&
+        (!Number.isInteger(alertThresholdPercent) || alertThresholdPercent < 0 || alertThresholdPercent > 100)) {
+      return res.status(400).json({ error: 'alertThresholdPercent must be an integer between 0 and 100' });
+    }
+    if (changeAlertFields !== undefined &&
+        (!Array.isArray(changeAlertFields) || changeAlertFields.some(f => !CHANGE_ALERT_FIELDS.includes(f)))) {
+      return res.status(400).json({ error: `changeAlertFields must only contain: ${CHANGE_ALERT_FIELDS.join(', ')}` });
+    }
+
+    const result = await pool.query(
+      `UPDATE users 
+       SET alert_threshold_percent = COALESCE($2, alert_threshold_percent),
+           change_alert_fields = COALESCE($3, change_alert_fields),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [userId, alertThresholdPercent, changeAlertFields]
+    );
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating user:', err);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// ============ IMAGE PROXY ============
+
+/**
+ * GET /api/images/:listingId/:index?w=
+ * Resized, cached WebP listing photos (public so <img> tags can load them)
+ */
+app.use('/api/images', createImagesRouter(pool));
+
+// ============ ADMIN ============
+
+/**
+ * /api/admin/* - scrape plans and on-demand scrape jobs, restricted to ADMIN_CLERK_IDS
+ * Jobs are queued here and run by the scraper service's workers
+ */
+app.use('/api/admin', createAdminRouter(pool));
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -621,9 +1026,12 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server with database initialization
+// Start server once the schema is what this build expects
 initDatabase().then(() => {
   app.listen(port, () => {
     console.log(`🚀 Nestd API running on port ${port}`);
   });
+}).catch(err => {
+  console.error('❌ Refusing to start:', err.message);
+  process.exit(1);
 });
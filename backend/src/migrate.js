@@ -1,133 +1,28 @@
 /**
- * Database migration script for Nestd
- * Creates all required tables
+ * Database migration CLI for Nestd
+ * Usage: node src/migrate.js status|up [version]|down [steps]
+ *
+ * Migrations live in shared/migrations and are shared with the scraper.
  */
 
+require('dotenv').config();
 const { Pool } = require('pg');
+const { Migrator, runMigrateCommand } = require('../../shared/migrator');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-});
-
-const schema = `
--- Users table (synced from Clerk)
-CREATE TABLE IF NOT EXISTS users (
-  id SERIAL PRIMARY KEY,
-  clerk_id VARCHAR(255) UNIQUE NOT NULL,
-  email VARCHAR(255),
-  name VARCHAR(255),
-  created_at TIMESTAMP DEFAULT NOW(),
-  updated_at TIMESTAMP DEFAULT NOW()
-);
-
--- Listings table
-CREATE TABLE IF NOT EXISTS listings (
-  id SERIAL PRIMARY KEY,
-  realtor_url TEXT UNIQUE NOT NULL,
-  price INTEGER,
-  street VARCHAR(255),
-  town VARCHAR(255),
-  province VARCHAR(50),
-  beds INTEGER DEFAULT 0,
-  baths DECIMAL(3,1) DEFAULT 0,
-  sqft INTEGER,
-  image_urls TEXT[] DEFAULT '{}',
-  listed_at TIMESTAMP,
-  scraped_at TIMESTAMP DEFAULT NOW(),
-  created_at TIMESTAMP DEFAULT NOW(),
-  updated_at TIMESTAMP DEFAULT NOW()
-);
-
--- Price history table
-CREATE TABLE IF NOT EXISTS price_history (
-  id SERIAL PRIMARY KEY,
-  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-  price INTEGER NOT NULL,
-  recorded_at TIMESTAMP DEFAULT NOW()
-);
-
--- User swipes (like/dislike)
-CREATE TABLE IF NOT EXISTS swipes (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-  direction VARCHAR(10) NOT NULL CHECK (direction IN ('left', 'right')),
-  swiped_at TIMESTAMP DEFAULT NOW(),
-  UNIQUE(user_id, listing_id)
-);
-
--- User favorites
-CREATE TABLE IF NOT EXISTS favorites (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-  notes TEXT,
-  created_at TIMESTAMP DEFAULT NOW(),
-  UNIQUE(user_id, listing_id)
-);
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  });
 
--- User alerts (price drop notifications)
-CREATE TABLE IF NOT EXISTS alerts (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-  alert_type VARCHAR(50) NOT NULL DEFAULT 'price_drop',
-  threshold_percent INTEGER DEFAULT 5,
-  is_active BOOLEAN DEFAULT true,
-  created_at TIMESTAMP DEFAULT NOW(),
-  UNIQUE(user_id, listing_id, alert_type)
-);
-
--- Saved searches
-CREATE TABLE IF NOT EXISTS saved_searches (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  name VARCHAR(255),
-  criteria JSONB NOT NULL DEFAULT '{}',
-  notify_new BOOLEAN DEFAULT false,
-  created_at TIMESTAMP DEFAULT NOW()
-);
-
--- Create indexes for performance
-CREATE INDEX IF NOT EXISTS idx_listings_town ON listings(town);
-CREATE INDEX IF NOT EXISTS idx_listings_price ON listings(price);
-CREATE INDEX IF NOT EXISTS idx_swipes_user ON swipes(user_id);
-CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites(user_id);
-CREATE INDEX IF NOT EXISTS idx_price_history_listing ON price_history(listing_id);
-`;
-
-async function migrate() {
-  console.log('🚀 Starting database migration...');
-  
   try {
-    await pool.query(schema);
-    console.log('✅ Migration completed successfully!');
-    
-    // Verify tables
-    const result = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      ORDER BY table_name
-    `);
-    
-    console.log('📋 Tables created:');
-    result.rows.forEach(row => console.log(`  - ${row.table_name}`));
-    
-  } catch (error) {
-    console.error('❌ Migration failed:', error.message);
-    throw error;
+    await runMigrateCommand(new Migrator(pool), process.argv.slice(2));
   } finally {
     await pool.end();
   }
 }
 
-// Export for use as module or run directly
-if (require.main === module) {
-  migrate()
-    .then(() => process.exit(0))
-    .catch(() => process.exit(1));
-}
-
-module.exports = { migrate, schema };
+main().catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,220 @@
+/**
+ * Admin API
+ * Operator endpoints for managing the scraper. Only Clerk users listed in
+ * ADMIN_CLERK_IDS (comma-separated) can use them.
+ *
+ * Scrape plans: /api/admin/scrape-plans
+ * Scrape jobs (on-demand scrapes run by scraper workers): /api/admin/scrape-jobs
+ */
+
+const express = require('express');
+const { requireAuth, getAuth } = require('@clerk/express');
+const {
+  listScrapePlans,
+  getScrapePlan,
+  createScrapePlan,
+  updateScrapePlan,
+  deleteScrapePlan,
+  syncDerivedPlans,
+} = require('../../../shared/scrape-plans');
+const {
+  enqueueScrapeJob,
+  listScrapeJobs,
+  getScrapeJob,
+  cancelScrapeJob,
+} = require('../../../shared/scrape-jobs');
+
+function adminClerkIds() {
+  return (process.env.ADMIN_CLERK_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Reject signed-in users who aren't admins
+ */
+function requireAdmin(req, res, next) {
+  const { userId } = getAuth(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!adminClerkIds().includes(userId)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Send validation errors from shared modules (err.status) as-is, anything else as a 500
+ */
+function sendError(res, err, message) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`${message}:`, err);
+  res.status(500).json({ error: message });
+}
+
+/**
+ * Create the admin router
+ * @param {object} pool - pg Pool
+ */
+function createAdminRouter(pool) {
+  const router = express.Router();
+  router.use(requireAuth(), requireAdmin);
+
+  // ============ SCRAPE PLANS ============
+
+  /**
+   * GET /api/admin/scrape-plans
+   * All plans with their latest run
+   */
+  router.get('/scrape-plans', async (req, res) => {
+    try {
+      const plans = await listScrapePlans(pool);
+      res.json({ plans, count: plans.length });
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch scrape plans');
+    }
+  });
+
+  /**
+   * POST /api/admin/scrape-plans
+   * Body: { name, source, region, lat, lng, zoom, minPrice, maxPrice, minBeds, minBaths,
+   *         propertyType, searchUrl, maxListings, cron, enabled }
+   */
+  router.post('/scrape-plans', async (req, res) => {
+    try {
+      const plan = await createScrapePlan(pool, req.body);
+      res.status(201).json(plan);
+    } catch (err) {
+      sendError(res, err, 'Failed to create scrape plan');
+    }
+  });
+
+  /**
+   * POST /api/admin/scrape-plans/derive
+   * Regenerate plans from users' saved searches
+   * Body: { dryRun, cron }
+   */
+  router.post('/scrape-plans/derive', async (req, res) => {
+    try {
+      const { dryRun = false, cron } = req.body || {};
+      res.json(await syncDerivedPlans(pool, { dryRun: dryRun === true, cron }));
+    } catch (err) {
+      sendError(res, err, 'Failed to derive scrape plans');
+    }
+  });
+
+  /**
+   * GET /api/admin/scrape-plans/:id
+   */
+  router.get('/scrape-plans/:id', async (req, res) => {
+    try {
+      const plan = await getScrapePlan(pool, parseInt(req.params.id) || 0);
+      if (!plan) {
+        return res.status(404).json({ error: 'Scrape plan not found' });
+      }
+      res.json(plan);
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch scrape plan');
+    }
+  });
+
+  /**
+   * PUT /api/admin/scrape-plans/:id
+   * Body: any of the POST fields
+   */
+  router.put('/scrape-plans/:id', async (req, res) => {
+    try {
+      const plan = await updateScrapePlan(pool, parseInt(req.params.id) || 0, req.body);
+      if (!plan) {
+        return res.status(404).json({ error: 'Scrape plan not found' });
+      }
+      res.json(plan);
+    } catch (err) {
+      sendError(res, err, 'Failed to update scrape plan');
+    }
+  });
+
+  /**
+   * DELETE /api/admin/scrape-plans/:id
+   */
+  router.delete('/scrape-plans/:id', async (req, res) => {
+    try {
+      const deleted = await deleteScrapePlan(pool, parseInt(req.params.id) || 0);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Scrape plan not found' });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      sendError(res, err, 'Failed to delete scrape plan');
+    }
+  });
+
+  // ============ SCRAPE JOBS ============
+
+  /**
+   * GET /api/admin/scrape-jobs?status=&limit=
+   * Recent jobs with their progress
+   */
+  router.get('/scrape-jobs', async (req, res) => {
+    try {
+      const jobs = await listScrapeJobs(pool, { status: req.query.status || null, limit: req.query.limit });
+      res.json({ jobs, count: jobs.length });
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch scrape jobs');
+    }
+  });
+
+  /**
+   * POST /api/admin/scrape-jobs
+   * Queue a scrape for the next free scraper worker
+   * Body: { planId } and/or { source, lat, lng, zoom, minPrice, maxPrice, minBeds, minBaths,
+   *         propertyType, searchUrl, maxListings }, { details }
+   */
+  router.post('/scrape-jobs', async (req, res) => {
+    try {
+      const { userId } = getAuth(req);
+      const job = await enqueueScrapeJob(pool, req.body || {}, { requestedBy: userId });
+      res.status(201).json(job);
+    } catch (err) {
+      sendError(res, err, 'Failed to queue scrape job');
+    }
+  });
+
+  /**
+   * GET /api/admin/scrape-jobs/:id?logLimit=
+   * A job with its progress and per-page log (latest 500 entries by default)
+   */
+  router.get('/scrape-jobs/:id', async (req, res) => {
+    try {
+      const logLimit = Math.min(Math.max(parseInt(req.query.logLimit) || 500, 1), 5000);
+      const job = await getScrapeJob(pool, parseInt(req.params.id) || 0, { logLimit });
+      if (!job) {
+        return res.status(404).json({ error: 'Scrape job not found' });
+      }
+      res.json(job);
+    } catch (err) {
+      sendError(res, err, 'Failed to fetch scrape job');
+    }
+  });
+
+  /**
+   * DELETE /api/admin/scrape-jobs/:id
+   * Cancel a job; a running job stops after the page it's on (202 until then)
+   */
+  router.delete('/scrape-jobs/:id', async (req, res) => {
+    try {
+      const job = await cancelScrapeJob(pool, parseInt(req.params.id) || 0);
+      if (!job) {
+        return res.status(404).json({ error: 'Scrape job not found' });
+      }
+      res.status(job.status === 'cancelled' ? 200 : 202).json(job);
+    } catch (err) {
+      sendError(res, err, 'Failed to cancel scrape job');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdmin };
@@ -0,0 +1,136 @@
+/**
+ * Image proxy
+ * Serves listing photos as resized WebP thumbnails, cached on disk, so the app
+ * doesn't load full highres images straight from cdn.realtor.ca.
+ *
+ * GET /api/images/:listingId/:index?w=640
+ * w=24 returns a tiny placeholder (LQIP) the frontend shows blurred while the full image loads.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+// Widths we render, so the cache can't be filled with arbitrary sizes
+const WIDTHS = [24, 160, 320, 480, 640, 960, 1280];
+const DEFAULT_WIDTH = 640;
+const LQIP_WIDTH = 24;
+
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(__dirname, '../../.cache/images');
+const FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Smallest supported width that covers the requested one
+ */
+function snapWidth(requested) {
+  const width = parseInt(requested) || DEFAULT_WIDTH;
+  return WIDTHS.find(w => w >= width) || WIDTHS[WIDTHS.length - 1];
+}
+
+/**
+ * Fetch the original image and render it as WebP at the given width
+ */
+async function renderThumbnail(sourceUrl, width) {
+  const response = await fetch(sourceUrl, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    const err = new Error(`Source image returned ${response.status}`);
+    err.status = response.status === 404 ? 404 : 502;
+    throw err;
+  }
+
+  const original = Buffer.from(await response.arrayBuffer());
+  return sharp(original)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality: width === LQIP_WIDTH ? 30 : 75 })
+    .toBuffer();
+}
+
+/**
+ * Create the image router
+ * @param {object} pool - pg Pool
+ */
+function createImagesRouter(pool) {
+  const router = express.Router();
+  // Concurrent requests for the same thumbnail share one render
+  const inFlight = new Map();
+
+  /**
+   * Source URL of a listing's photo: verified photos once checked, otherwise the guessed list
+   */
+  async function getSourceUrl(listingId, index) {
+    const result = await pool.query(
+      `SELECT CASE WHEN l.images_verified_at IS NOT NULL
+                THEN (SELECT li.url FROM listing_images li WHERE li.listing_id = l.id ORDER BY li.position OFFSET $2 LIMIT 1)
+                ELSE l.image_urls[$2 + 1]
+              END as url
+       FROM listings l
+       WHERE l.id = $1`,
+      [listingId, index]
+    );
+    return result.rows[0] ? result.rows[0].url : null;
+  }
+
+  async function getThumbnail(sourceUrl, width) {
+    const hash = crypto.createHash('sha1').update(sourceUrl).digest('hex');
+    const file = path.join(CACHE_DIR, hash.slice(0, 2), `${hash}_w${width}.webp`);
+
+    try {
+      return await fs.readFile(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    if (!inFlight.has(file)) {
+      const render = (async () => {
+        const image = await renderThumbnail(sourceUrl, width);
+        // Write then rename so readers never see a partial file
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, image);
+        await fs.rename(tmp, file);
+        return image;
+      })().finally(() => inFlight.delete(file));
+      inFlight.set(file, render);
+    }
+
+    return inFlight.get(file);
+  }
+
+  router.get('/:listingId/:index', async (req, res) => {
+    const listingId = parseInt(req.params.listingId);
+    const index = parseInt(req.params.index);
+    if (!Number.isInteger(listingId) || !Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Invalid image reference' });
+    }
+
+    try {
+      const sourceUrl = await getSourceUrl(listingId, index);
+      if (!sourceUrl) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      const image = await getThumbnail(sourceUrl, snapWidth(req.query.w));
+
+      res.set({
+        'Content-Type': 'image/webp',
+        'Cache-Control': 'public, max-age=86400',
+        // Loaded by <img> from the frontend's origin
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+      });
+      res.send(image);
+    } catch (err) {
+      if (err.status === 404) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      console.error('Error serving image:', err.message);
+      res.status(502).json({ error: 'Failed to load image' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createImagesRouter };
@@ -2,10 +2,34 @@
  * Nestd - Main App Component
  */
 
-import { BrowserRouter } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, Outlet } from 'react-router-dom';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ClerkProvider, SignIn, useAuth } from '@clerk/clerk-react';
+import { TabBar } from './components/TabBar';
+import { SwipePage } from './pages/SwipePage';
+import { MapPage } from './pages/MapPage';
+import { FavoritesPage } from './pages/FavoritesPage';
+import { AlertsPage } from './pages/AlertsPage';
+import { ProfilePage } from './pages/ProfilePage';
+import { ListingPage } from './pages/ListingPage';
+import { PassedPage } from './pages/PassedPage';
 
 const clerkPubKey = import.meta.env.VITE_CLERK_PUBLISHABLE_KEY;
+const queryClient = new QueryClient();
+
+/**
+ * Signed-in layout: the current page above the bottom tabs
+ */
+function AppShell() {
+  return (
+    <div className="h-dvh flex flex-col bg-gray-100">
+      <main className="flex-1 min-h-0">
+        <Outlet />
+      </main>
+      <TabBar />
+    </div>
+  );
+}
 
 function AuthGate() {
   const { isSignedIn, isLoaded } = useAuth();
@@ -33,9 +57,18 @@ function AuthGate() {
   }
 
   return (
-    <div className="h-screen flex items-center justify-center bg-gray-100">
-      <h1 className="text-2xl font-bold">Welcome to Nestd!</h1>
-    </div>
+    <Routes>
+      <Route element={<AppShell />}>
+        <Route index element={<SwipePage />} />
+        <Route path="map" element={<MapPage />} />
+        <Route path="favorites" element={<FavoritesPage />} />
+        <Route path="alerts" element={<AlertsPage />} />
+        <Route path="profile" element={<ProfilePage />} />
+        <Route path="passed" element={<PassedPage />} />
+        <Route path="listing/:id" element={<ListingPage />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Route>
+    </Routes>
   );
 }
 
@@ -50,9 +83,11 @@ export default function App() {
 
   return (
     <ClerkProvider publishableKey={clerkPubKey}>
-      <BrowserRouter>
-        <AuthGate />
-      </BrowserRouter>
+      <QueryClientProvider client={queryClient}>
+        <BrowserRouter>
+          <AuthGate />
+        </BrowserRouter>
+      </QueryClientProvider>
     </ClerkProvider>
   );
 }
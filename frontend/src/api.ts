@@ -3,11 +3,23 @@
  */
 
 import { useAuth } from '@clerk/clerk-react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import type { Listing, Alert, SavedSearch, UserStats, ListingFilters } from './types';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import type {
+  Listing, Alert, SavedSearch, User, UserStats, ListingFilters, MapViewport, MapListings, SwipeDirection,
+} from './types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Width of the tiny placeholder served by the image proxy
+export const LQIP_WIDTH = 24;
+
+/**
+ * Resized WebP photo from the backend image proxy
+ */
+export function imageProxyUrl(listingId: number, index: number, width: number) {
+  return `${API_URL}/api/images/${listingId}/${index}?w=${width}`;
+}
+
 /**
  * Custom hook for authenticated fetch
  */
@@ -45,6 +57,24 @@ export function useListings(filters: ListingFilters = {}) {
   if (filters.minBeds) params.set('minBeds', filters.minBeds.toString());
   if (filters.minBaths) params.set('minBaths', filters.minBaths.toString());
   if (filters.province) params.set('province', filters.province);
+  if (filters.municipality) params.set('municipality', filters.municipality);
+  if (filters.neighborhood) params.set('neighborhood', filters.neighborhood);
+  if (filters.fsa?.length) params.set('fsa', filters.fsa.join(','));
+  if (filters.propertyType) params.set('propertyType', filters.propertyType);
+  if (filters.minYearBuilt) params.set('minYearBuilt', filters.minYearBuilt.toString());
+  if (filters.maxTaxes) params.set('maxTaxes', filters.maxTaxes.toString());
+  if (filters.maxCondoFees !== undefined) params.set('maxCondoFees', filters.maxCondoFees.toString());
+  if (filters.minParking) params.set('minParking', filters.minParking.toString());
+  if (filters.minDaysOnMarket) params.set('minDaysOnMarket', filters.minDaysOnMarket.toString());
+  if (filters.relisted) params.set('relisted', 'true');
+  if (filters.lat !== undefined && filters.lng !== undefined) {
+    params.set('lat', filters.lat.toString());
+    params.set('lng', filters.lng.toString());
+    if (filters.radiusKm) params.set('radiusKm', filters.radiusKm.toString());
+  }
+  if (filters.bbox) params.set('bbox', filters.bbox.join(','));
+  if (filters.polygon) params.set('polygon', JSON.stringify(filters.polygon));
+  if (filters.sort) params.set('sort', filters.sort);
   params.set('limit', '20');
 
   return useQuery({
@@ -54,6 +84,27 @@ export function useListings(filters: ListingFilters = {}) {
   });
 }
 
+/**
+ * Hook to fetch the listings in a map viewport (clustered by the server at low zoom)
+ * Keeps showing the previous viewport's markers while the map moves
+ */
+export function useMapListings(viewport: MapViewport | null) {
+  const authFetch = useAuthFetch();
+
+  const params = new URLSearchParams();
+  if (viewport) {
+    params.set('bbox', viewport.bbox.join(','));
+    params.set('zoom', viewport.zoom.toString());
+  }
+
+  return useQuery({
+    queryKey: ['mapListings', viewport],
+    queryFn: (): Promise<MapListings> => authFetch(`/api/listings/map?${params}`),
+    enabled: viewport !== null,
+    placeholderData: keepPreviousData,
+  });
+}
+
 /**
  * Hook to fetch a single listing
  */
@@ -62,7 +113,7 @@ export function useListing(id: number) {
 
   return useQuery({
     queryKey: ['listing', id],
-    queryFn: () => authFetch(`/api/listings/${id}`),
+    queryFn: () => authFetch(`/api/listings/${id}`) as Promise<Listing>,
     enabled: !!id,
   });
 }
@@ -75,14 +126,17 @@ export function useSwipe() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: ({ listingId, direction }: { listingId: number; direction: 'left' | 'right' | 'super' }) =>
+    mutationFn: ({ listingId, direction }: { listingId: number; direction: SwipeDirection }) =>
       authFetch('/api/swipes', {
         method: 'POST',
         body: JSON.stringify({ listingId, direction }),
       }),
-    onSuccess: () => {
+    onSuccess: (_data, { listingId }) => {
       // Invalidate listings to remove swiped ones
       queryClient.invalidateQueries({ queryKey: ['listings'] });
+      queryClient.invalidateQueries({ queryKey: ['mapListings'] });
+      queryClient.invalidateQueries({ queryKey: ['listing', listingId] });
+      queryClient.invalidateQueries({ queryKey: ['swipes'] });
       // Invalidate favorites if it was a right/super swipe
       queryClient.invalidateQueries({ queryKey: ['favorites'] });
       // Update stats
@@ -91,6 +145,62 @@ export function useSwipe() {
   });
 }
 
+/**
+ * Hook to undo a swipe (also removes the favorite a right/super swipe created)
+ */
+export function useUndoSwipe() {
+  const authFetch = useAuthFetch();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (listingId: number) =>
+      authFetch(`/api/swipes/${listingId}`, { method: 'DELETE' }) as Promise<{ direction: SwipeDirection; favoriteRemoved: boolean }>,
+    onSuccess: (_data, listingId) => {
+      queryClient.invalidateQueries({ queryKey: ['listings'] });
+      queryClient.invalidateQueries({ queryKey: ['mapListings'] });
+      queryClient.invalidateQueries({ queryKey: ['listing', listingId] });
+      queryClient.invalidateQueries({ queryKey: ['swipes'] });
+      queryClient.invalidateQueries({ queryKey: ['favorites'] });
+      queryClient.invalidateQueries({ queryKey: ['stats'] });
+    },
+  });
+}
+
+/**
+ * Hook to fetch swiped listings, most recent first
+ */
+export function useSwipeHistory(direction?: SwipeDirection) {
+  const authFetch = useAuthFetch();
+
+  return useQuery({
+    queryKey: ['swipes', direction ?? 'all'],
+    queryFn: () =>
+      authFetch(`/api/swipes?limit=200${direction ? `&direction=${direction}` : ''}`) as Promise<{ swipes: Listing[]; total: number }>,
+  });
+}
+
+/**
+ * Hook to forget passes older than some number of days
+ */
+export function useResetPasses() {
+  const authFetch = useAuthFetch();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (olderThanDays: number) =>
+      authFetch('/api/swipes/reset', {
+        method: 'POST',
+        body: JSON.stringify({ olderThanDays }),
+      }) as Promise<{ reset: number }>,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['listings'] });
+      queryClient.invalidateQueries({ queryKey: ['mapListings'] });
+      queryClient.invalidateQueries({ queryKey: ['swipes'] });
+      queryClient.invalidateQueries({ queryKey: ['stats'] });
+    },
+  });
+}
+
 /**
  * Hook to fetch favorites
  */
@@ -117,8 +227,9 @@ export function useUpdateFavorite() {
         method: 'PUT',
         body: JSON.stringify({ notes, rating }),
       }),
-    onSuccess: () => {
+    onSuccess: (_data, { listingId }) => {
       queryClient.invalidateQueries({ queryKey: ['favorites'] });
+      queryClient.invalidateQueries({ queryKey: ['listing', listingId] });
     },
   });
 }
@@ -133,8 +244,10 @@ export function useRemoveFavorite() {
   return useMutation({
     mutationFn: (listingId: number) =>
       authFetch(`/api/favorites/${listingId}`, { method: 'DELETE' }),
-    onSuccess: () => {
+    onSuccess: (_data, listingId) => {
       queryClient.invalidateQueries({ queryKey: ['favorites'] });
+      queryClient.invalidateQueries({ queryKey: ['mapListings'] });
+      queryClient.invalidateQueries({ queryKey: ['listing', listingId] });
       queryClient.invalidateQueries({ queryKey: ['stats'] });
     },
   });
@@ -220,6 +333,7 @@ export function useDeleteSearch() {
 
 /**
  * Hook to fetch user stats
+ * Polled so the unread-alerts badge picks up alerts created by the scraper
  */
 export function useStats() {
   const authFetch = useAuthFetch();
@@ -227,5 +341,37 @@ export function useStats() {
   return useQuery({
     queryKey: ['stats'],
     queryFn: () => authFetch('/api/stats') as Promise<UserStats>,
+    refetchInterval: 60_000,
+  });
+}
+
+/**
+ * Hook to fetch the current user
+ */
+export function useMe() {
+  const authFetch = useAuthFetch();
+
+  return useQuery({
+    queryKey: ['me'],
+    queryFn: () => authFetch('/api/me') as Promise<User>,
+  });
+}
+
+/**
+ * Hook to update current user settings
+ */
+export function useUpdateMe() {
+  const authFetch = useAuthFetch();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (settings: { alertThresholdPercent?: number; changeAlertFields?: string[] }) =>
+      authFetch('/api/me', {
+        method: 'PUT',
+        body: JSON.stringify(settings),
+      }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['me'] });
+    },
   });
 }
@@ -0,0 +1,39 @@
+/**
+ * ProgressiveImage - Shows a blurred placeholder until the full image has loaded
+ */
+
+import { useState } from 'react';
+
+interface ProgressiveImageProps {
+  src: string;
+  placeholderSrc?: string;
+  alt: string;
+  className?: string;
+  onError?: () => void;
+}
+
+export function ProgressiveImage({ src, placeholderSrc, alt, className = '', onError }: ProgressiveImageProps) {
+  const [loaded, setLoaded] = useState(false);
+
+  return (
+    <div className={`relative overflow-hidden bg-gray-200 ${className}`}>
+      {placeholderSrc && (
+        <img
+          src={placeholderSrc}
+          alt=""
+          aria-hidden="true"
+          className="absolute inset-0 w-full h-full object-cover blur-lg scale-110"
+        />
+      )}
+      <img
+        src={src}
+        alt={alt}
+        className={`relative w-full h-full object-cover transition-opacity duration-300 ${
+          loaded ? 'opacity-100' : 'opacity-0'
+        }`}
+        onLoad={() => setLoaded(true)}
+        onError={onError}
+      />
+    </div>
+  );
+}
@@ -5,12 +5,16 @@
 
 import { useState } from 'react';
 import { motion, useMotionValue, useTransform, type PanInfo } from 'framer-motion';
-import { Heart, X, Star, MapPin, Bed, Bath, Ruler, ExternalLink } from 'lucide-react';
-import type { Listing } from '../types';
+import { Link } from 'react-router-dom';
+import { Heart, X, Star, MapPin, Bed, Bath, Ruler, ExternalLink, Info, Sparkles, Compass } from 'lucide-react';
+import { imageProxyUrl, LQIP_WIDTH } from '../api';
+import { listingImageUrls } from '../listingImages';
+import { ProgressiveImage } from './ProgressiveImage';
+import type { Listing, SwipeDirection } from '../types';
 
 interface SwipeCardProps {
   listing: Listing;
-  onSwipe: (direction: 'left' | 'right' | 'super') => void;
+  onSwipe: (direction: SwipeDirection) => void;
   isTop: boolean;
 }
 
@@ -30,7 +34,7 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
   const rightOpacity = useTransform(x, [0, 100], [0, 1]);
   const superOpacity = useTransform(y, [-100, 0], [1, 0]);
 
-  const images = listing.image_urls?.filter(Boolean) || [];
+  const images = listingImageUrls(listing);
   const hasImages = images.length > 0;
 
   const handleDragEnd = (_: never, info: PanInfo) => {
@@ -79,6 +83,17 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
     }).format(price);
   };
 
+  const isRelisted = listing.status === 'relisted' || listing.previous_listing_id != null;
+
+  const detailChips = [
+    listing.property_type,
+    listing.year_built && `Built ${listing.year_built}`,
+    listing.annual_taxes && `${formatPrice(listing.annual_taxes)}/yr taxes`,
+    listing.condo_fees && `${formatPrice(listing.condo_fees)}/mo fees`,
+    listing.parking_spaces && `${listing.parking_spaces} parking`,
+    listing.heating,
+  ].filter((chip): chip is string => Boolean(chip));
+
   return (
     <motion.div
       className={`absolute inset-0 ${isTop ? 'z-10' : 'z-0'}`}
@@ -95,11 +110,13 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
         <div className="relative flex-1 min-h-0">
           {hasImages ? (
             <>
-              <img
-                src={images[currentImageIndex]}
+              <ProgressiveImage
+                key={currentImageIndex}
+                src={imageProxyUrl(listing.id, currentImageIndex, 960)}
+                placeholderSrc={imageProxyUrl(listing.id, currentImageIndex, LQIP_WIDTH)}
                 alt={listing.street}
-                className="w-full h-full object-cover"
-                onError={(_e) => {
+                className="w-full h-full"
+                onError={() => {
                   // Try next image on error
                   if (currentImageIndex < images.length - 1) {
                     setCurrentImageIndex(currentImageIndex + 1);
@@ -163,6 +180,25 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
           <div className="absolute bottom-4 left-4 bg-black/70 text-white px-3 py-1 rounded-full text-lg font-bold">
             {listing.price ? formatPrice(listing.price) : 'Price N/A'}
           </div>
+
+          {/* Market status badges */}
+          <div className="absolute bottom-4 right-4 flex gap-1.5">
+            {isRelisted && (
+              <span className="bg-amber-500 text-white px-2 py-1 rounded-full text-xs font-semibold">
+                Relisted
+              </span>
+            )}
+            {listing.status === 'conditional' && (
+              <span className="bg-purple-600 text-white px-2 py-1 rounded-full text-xs font-semibold">
+                Conditional
+              </span>
+            )}
+            {listing.days_on_market != null && (
+              <span className="bg-black/70 text-white px-2 py-1 rounded-full text-xs font-semibold">
+                {listing.days_on_market}d on market
+              </span>
+            )}
+          </div>
         </div>
 
         {/* Info Section */}
@@ -172,7 +208,10 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
           </h2>
           <div className="flex items-center text-gray-600 text-sm mt-1">
             <MapPin className="w-4 h-4 mr-1" />
-            {[listing.town, listing.province].filter(Boolean).join(', ')}
+            {[listing.neighborhood, listing.town, listing.province].filter(Boolean).join(', ')}
+            {listing.distance_km != null && (
+              <span className="ml-auto text-gray-500">{listing.distance_km.toFixed(1)} km</span>
+            )}
           </div>
 
           <div className="flex items-center gap-4 mt-3 text-gray-700">
@@ -194,16 +233,60 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
                 <span>{listing.sqft.toLocaleString()} sqft</span>
               </div>
             )}
+            <Link
+              to={`/listing/${listing.id}`}
+              className="ml-auto text-blue-600 hover:text-blue-800"
+              onClick={(e) => e.stopPropagation()}
+              title="Details"
+            >
+              <Info className="w-4 h-4" />
+            </Link>
             <a
               href={listing.realtor_url}
               target="_blank"
               rel="noopener noreferrer"
-              className="ml-auto text-blue-600 hover:text-blue-800"
+              className="text-blue-600 hover:text-blue-800"
               onClick={(e) => e.stopPropagation()}
             >
               <ExternalLink className="w-4 h-4" />
             </a>
           </div>
+
+          {/* Why this card is in the deck */}
+          {listing.recommendation && (
+            <div className="mt-3 text-xs text-gray-600 space-y-1">
+              {listing.recommendation.explore ? (
+                <div className="flex items-center gap-1 text-purple-600">
+                  <Compass className="w-3.5 h-3.5" />
+                  Something different, to learn what you like
+                </div>
+              ) : (
+                listing.recommendation.factors
+                  .filter((factor) => factor.weight > 0)
+                  .slice(0, 2)
+                  .map((factor) => (
+                    <div key={factor.feature} className="flex items-center gap-1">
+                      <Sparkles className="w-3.5 h-3.5 text-amber-500" />
+                      {factor.reason}
+                    </div>
+                  ))
+              )}
+            </div>
+          )}
+
+          {/* Detail-page attributes */}
+          {detailChips.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mt-3">
+              {detailChips.map((chip) => (
+                <span
+                  key={chip}
+                  className="bg-gray-100 text-gray-700 text-xs px-2 py-1 rounded-full"
+                >
+                  {chip}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       </div>
     </motion.div>
@@ -211,7 +294,7 @@ export function SwipeCard({ listing, onSwipe, isTop }: SwipeCardProps) {
 }
 
 interface SwipeButtonsProps {
-  onSwipe: (direction: 'left' | 'right' | 'super') => void;
+  onSwipe: (direction: SwipeDirection) => void;
 }
 
 export function SwipeButtons({ onSwipe }: SwipeButtonsProps) {
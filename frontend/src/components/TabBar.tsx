@@ -0,0 +1,59 @@
+/**
+ * TabBar - Bottom navigation between the main pages
+ */
+
+import { NavLink } from 'react-router-dom';
+import { Flame, Map as MapIcon, Heart, Bell, User } from 'lucide-react';
+import type { LucideIcon } from 'lucide-react';
+import { useStats } from '../api';
+
+interface Tab {
+  to: string;
+  label: string;
+  icon: LucideIcon;
+  badge?: number;
+}
+
+function formatBadge(count: number) {
+  return count > 99 ? '99+' : count.toString();
+}
+
+export function TabBar() {
+  const { data: stats } = useStats();
+
+  const tabs: Tab[] = [
+    { to: '/', label: 'Swipe', icon: Flame },
+    { to: '/map', label: 'Map', icon: MapIcon },
+    { to: '/favorites', label: 'Favorites', icon: Heart },
+    { to: '/alerts', label: 'Alerts', icon: Bell, badge: stats?.unreadAlerts },
+    { to: '/profile', label: 'Profile', icon: User },
+  ];
+
+  return (
+    <nav className="bg-white border-t flex justify-around pb-[env(safe-area-inset-bottom)] z-10">
+      {tabs.map(({ to, label, icon: Icon, badge }) => (
+        <NavLink
+          key={to}
+          to={to}
+          end={to === '/'}
+          className={({ isActive }) =>
+            `flex-1 flex flex-col items-center py-2 text-xs ${isActive ? 'text-blue-600' : 'text-gray-500'}`
+          }
+        >
+          <span className="relative">
+            <Icon className="w-6 h-6" />
+            {!!badge && (
+              <span
+                className="absolute -top-1.5 -right-2.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center"
+                aria-label={`${badge} unread`}
+              >
+                {formatBadge(badge)}
+              </span>
+            )}
+          </span>
+          <span className="mt-0.5">{label}</span>
+        </NavLink>
+      ))}
+    </nav>
+  );
+}
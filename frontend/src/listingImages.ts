@@ -0,0 +1,16 @@
+/**
+ * Photo URLs to show for a listing
+ */
+
+import type { Listing } from './types';
+
+/**
+ * Verified photos when the image verifier has checked the listing; otherwise only the
+ * first guessed URL (the card photo the scraper actually saw), since the rest are guesses
+ */
+export function listingImageUrls(listing: Listing): string[] {
+  if (listing.images_verified) {
+    return (listing.images ?? []).map((image) => image.url);
+  }
+  return listing.image_urls?.filter(Boolean).slice(0, 1) ?? [];
+}
@@ -0,0 +1,40 @@
+/**
+ * Map basemap shared by the map page and listing map snippets
+ */
+
+import L from 'leaflet';
+
+// Tile server; "none" draws a plain basemap (lat/lng grid) for offline development
+export const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION
+  || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+/**
+ * Plain basemap: a lat/lng grid that gets finer as the map zooms in
+ */
+function drawGraticule(map: L.Map, layer: L.LayerGroup) {
+  layer.clearLayers();
+  const step = 360 / 2 ** Math.max(map.getZoom(), 2) * 4;
+  const bounds = map.getBounds().pad(0.5);
+  const style = { color: '#d1d5db', weight: 1, interactive: false };
+
+  for (let lat = Math.floor(bounds.getSouth() / step) * step; lat <= bounds.getNorth(); lat += step) {
+    L.polyline([[lat, bounds.getWest()], [lat, bounds.getEast()]], style).addTo(layer);
+  }
+  for (let lng = Math.floor(bounds.getWest() / step) * step; lng <= bounds.getEast(); lng += step) {
+    L.polyline([[bounds.getSouth(), lng], [bounds.getNorth(), lng]], style).addTo(layer);
+  }
+}
+
+/**
+ * Add the configured tiles to a map, or the plain grid when VITE_MAP_TILE_URL is "none"
+ */
+export function addBasemap(map: L.Map) {
+  if (TILE_URL !== 'none') {
+    L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 19 }).addTo(map);
+    return;
+  }
+
+  const graticule = L.layerGroup().addTo(map);
+  map.on('moveend', () => drawGraticule(map, graticule));
+}
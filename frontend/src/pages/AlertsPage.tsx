@@ -1,9 +1,11 @@
 /**
- * AlertsPage - View price changes and new listing alerts
+ * AlertsPage - View price changes, listing changes and new listing alerts
  */
 
-import { Loader2, Bell, TrendingDown, TrendingUp, Home, CheckCircle } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Loader2, Bell, TrendingDown, TrendingUp, Home, CheckCircle, PencilLine } from 'lucide-react';
 import { useAlerts, useMarkAlertRead } from '../api';
+import { CHANGE_FIELD_LABELS } from '../types';
 import type { Alert } from '../types';
 
 function formatPrice(price: number) {
@@ -14,6 +16,25 @@ function formatPrice(price: number) {
   }).format(price);
 }
 
+function formatChangeValue(field: string, value: unknown) {
+  if (value === null || value === undefined) return 'none';
+  if (typeof value === 'number') {
+    return field === 'condo_fees' || field === 'annual_taxes' ? formatPrice(value) : value.toLocaleString();
+  }
+  return String(value);
+}
+
+function getFieldChangeMessage(alert: Alert) {
+  const field = alert.field ?? '';
+  const label = CHANGE_FIELD_LABELS[field] ?? field.replace(/_/g, ' ');
+
+  // Long or list values only get a summary
+  if (field === 'photos' || field === 'description') {
+    return `${label} updated`;
+  }
+  return `${label} changed from ${formatChangeValue(field, alert.old_value)} to ${formatChangeValue(field, alert.new_value)}`;
+}
+
 function formatTimeAgo(dateStr: string) {
   const date = new Date(dateStr);
   const now = new Date();
@@ -34,8 +55,14 @@ interface AlertCardProps {
 }
 
 function AlertCard({ alert, onMarkRead }: AlertCardProps) {
+  const navigate = useNavigate();
   const isUnread = !alert.read_at;
 
+  const handleOpen = () => {
+    if (isUnread) onMarkRead();
+    navigate(`/listing/${alert.listing_id}`);
+  };
+
   const getAlertIcon = () => {
     switch (alert.alert_type) {
       case 'price_drop':
@@ -44,6 +71,8 @@ function AlertCard({ alert, onMarkRead }: AlertCardProps) {
         return <TrendingUp className="w-5 h-5 text-red-500" />;
       case 'new_listing':
         return <Home className="w-5 h-5 text-blue-500" />;
+      case 'field_change':
+        return <PencilLine className="w-5 h-5 text-amber-500" />;
       default:
         return <Bell className="w-5 h-5 text-gray-500" />;
     }
@@ -82,8 +111,13 @@ function AlertCard({ alert, onMarkRead }: AlertCardProps) {
           <span>
             New listing at{' '}
             <span className="font-medium">{formatPrice(alert.price)}</span>
+            {alert.saved_search_name && (
+              <span className="text-gray-500"> · matches "{alert.saved_search_name}"</span>
+            )}
           </span>
         );
+      case 'field_change':
+        return getFieldChangeMessage(alert);
       default:
         return 'Alert';
     }
@@ -91,10 +125,10 @@ function AlertCard({ alert, onMarkRead }: AlertCardProps) {
 
   return (
     <div
-      className={`flex gap-3 p-4 bg-white rounded-xl shadow-sm ${
+      className={`flex gap-3 p-4 bg-white rounded-xl shadow-sm cursor-pointer ${
         isUnread ? 'border-l-4 border-blue-500' : ''
       }`}
-      onClick={isUnread ? onMarkRead : undefined}
+      onClick={handleOpen}
     >
       {/* Image */}
       <div className="w-20 h-20 rounded-lg overflow-hidden flex-shrink-0">
@@ -149,7 +183,7 @@ export function AlertsPage() {
         <Bell className="w-16 h-16 text-gray-300 mb-4" />
         <p className="text-lg font-medium">No alerts yet</p>
         <p className="text-sm mt-1 text-center">
-          You'll get notified when your favorites have price changes
+          You'll get notified when your favorites change or new listings match your saved searches
         </p>
       </div>
     );
@@ -3,8 +3,11 @@
  */
 
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { Loader2, MapPin, Bed, Bath, Ruler, ExternalLink, Trash2, Star, TrendingDown, TrendingUp, MessageSquare } from 'lucide-react';
-import { useFavorites, useUpdateFavorite, useRemoveFavorite } from '../api';
+import { useFavorites, useUpdateFavorite, useRemoveFavorite, imageProxyUrl, LQIP_WIDTH } from '../api';
+import { ProgressiveImage } from '../components/ProgressiveImage';
+import { listingImageUrls } from '../listingImages';
 import type { Listing } from '../types';
 
 function formatPrice(price: number) {
@@ -26,6 +29,7 @@ function FavoriteCard({ listing, onRemove, onUpdateNotes, onUpdateRating }: Favo
   const [showNotes, setShowNotes] = useState(false);
   const [notes, setNotes] = useState(listing.notes || '');
 
+  const hasImage = listingImageUrls(listing).length > 0;
   const priceHistory = listing.price_history || [];
   const hasPriceChange = priceHistory.length > 1;
   const priceChange = hasPriceChange
@@ -40,12 +44,13 @@ function FavoriteCard({ listing, onRemove, onUpdateNotes, onUpdateRating }: Favo
   return (
     <div className="bg-white rounded-xl shadow-sm overflow-hidden">
       {/* Image */}
-      <div className="relative h-48">
-        {listing.image_urls?.[0] ? (
-          <img
-            src={listing.image_urls[0]}
+      <Link to={`/listing/${listing.id}`} className="block relative h-48">
+        {hasImage ? (
+          <ProgressiveImage
+            src={imageProxyUrl(listing.id, 0, 640)}
+            placeholderSrc={imageProxyUrl(listing.id, 0, LQIP_WIDTH)}
             alt={listing.street}
-            className="w-full h-full object-cover"
+            className="w-full h-full"
           />
         ) : (
           <div className="w-full h-full bg-gray-200 flex items-center justify-center">
@@ -74,14 +79,16 @@ function FavoriteCard({ listing, onRemove, onUpdateNotes, onUpdateRating }: Favo
             </span>
           )}
         </div>
-      </div>
+      </Link>
 
       {/* Info */}
       <div className="p-4">
-        <h3 className="font-bold text-gray-900 truncate">{listing.street}</h3>
+        <Link to={`/listing/${listing.id}`} className="block font-bold text-gray-900 truncate hover:text-blue-600">
+          {listing.street}
+        </Link>
         <div className="flex items-center text-gray-600 text-sm mt-1">
           <MapPin className="w-4 h-4 mr-1" />
-          {[listing.town, listing.province].filter(Boolean).join(', ')}
+          {[listing.neighborhood, listing.town, listing.province].filter(Boolean).join(', ')}
         </div>
 
         <div className="flex items-center gap-4 mt-3 text-sm text-gray-700">
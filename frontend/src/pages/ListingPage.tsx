@@ -0,0 +1,379 @@
+/**
+ * ListingPage - Full details for one listing: gallery, price history, notes and location
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import {
+  Loader2, ArrowLeft, MapPin, Bed, Bath, Ruler, ExternalLink, Heart, X, Star, Trash2, Home,
+} from 'lucide-react';
+import { useListing, useSwipe, useUpdateFavorite, useRemoveFavorite, imageProxyUrl, LQIP_WIDTH } from '../api';
+import { ProgressiveImage } from '../components/ProgressiveImage';
+import { listingImageUrls } from '../listingImages';
+import { addBasemap } from '../mapTiles';
+import type { Listing, PricePoint } from '../types';
+
+function formatPrice(price: number) {
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    maximumFractionDigits: 0,
+  }).format(price);
+}
+
+function formatDate(dateStr: string) {
+  return new Date(dateStr).toLocaleDateString('en-CA', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function Gallery({ listing }: { listing: Listing }) {
+  const [index, setIndex] = useState(0);
+  const images = listingImageUrls(listing);
+
+  if (images.length === 0) {
+    return (
+      <div className="h-64 bg-gray-200 flex items-center justify-center">
+        <Home className="w-12 h-12 text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-black">
+      <ProgressiveImage
+        key={index}
+        src={imageProxyUrl(listing.id, index, 1280)}
+        placeholderSrc={imageProxyUrl(listing.id, index, LQIP_WIDTH)}
+        alt={`${listing.street} photo ${index + 1}`}
+        className="w-full h-72 sm:h-96"
+      />
+      {images.length > 1 && (
+        <div className="flex gap-1 p-1 overflow-x-auto">
+          {images.map((_, i) => (
+            <button
+              key={i}
+              onClick={() => setIndex(i)}
+              className={`flex-shrink-0 w-16 h-12 rounded overflow-hidden border-2 ${
+                i === index ? 'border-white' : 'border-transparent opacity-60'
+              }`}
+            >
+              <img src={imageProxyUrl(listing.id, i, 160)} alt="" className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Step chart of the listing's price over time (a price holds until the next change)
+ */
+function PriceHistoryChart({ history, currentPrice }: { history: PricePoint[]; currentPrice: number }) {
+  const width = 320;
+  const height = 120;
+  const pad = 8;
+
+  const points = [...history, { price: currentPrice, recorded_at: new Date().toISOString() }];
+  const times = points.map((point) => new Date(point.recorded_at).getTime());
+  const prices = points.map((point) => point.price);
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+
+  const x = (time: number) => pad + ((time - minTime) / (maxTime - minTime || 1)) * (width - pad * 2);
+  const y = (price: number) => height - pad - ((price - minPrice) / (maxPrice - minPrice || 1)) * (height - pad * 2);
+
+  const path = points
+    .map((point, i) => {
+      const px = x(times[i]);
+      const py = y(point.price);
+      return i === 0 ? `M${px},${py}` : `H${px} V${py}`;
+    })
+    .join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+        <path d={path} fill="none" stroke="#2563eb" strokeWidth={2} />
+        {history.map((point, i) => (
+          <circle key={i} cx={x(times[i])} cy={y(point.price)} r={3} fill="#2563eb" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{formatPrice(minPrice)}</span>
+        <span>{formatPrice(maxPrice)}</span>
+      </div>
+      <ul className="mt-3 space-y-1 text-sm">
+        {[...history].reverse().map((point, i) => (
+          <li key={i} className="flex justify-between">
+            <span className="text-gray-500">{formatDate(point.recorded_at)}</span>
+            <span className="font-medium">{formatPrice(point.price)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Small static map around the listing
+ */
+function LocationMap({ lat, lng }: { lat: number; lng: number }) {
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const map = L.map(containerRef.current, {
+      zoomControl: false,
+      dragging: false,
+      scrollWheelZoom: false,
+      doubleClickZoom: false,
+      touchZoom: false,
+      keyboard: false,
+    });
+    addBasemap(map);
+    L.circleMarker([lat, lng], { radius: 8, color: '#fff', weight: 2, fillColor: '#2563eb', fillOpacity: 1 }).addTo(map);
+    map.setView([lat, lng], 15);
+
+    return () => {
+      map.remove();
+    };
+  }, [lat, lng]);
+
+  // isolate keeps Leaflet's panes (z-index 400+) under the sticky header
+  return <div ref={containerRef} className="h-48 rounded-lg overflow-hidden bg-gray-50 isolate" />;
+}
+
+function FavoriteSection({ listing }: { listing: Listing }) {
+  const [notes, setNotes] = useState(listing.notes || '');
+  const swipeMutation = useSwipe();
+  const updateMutation = useUpdateFavorite();
+  const removeMutation = useRemoveFavorite();
+
+  if (!listing.favorite_id) {
+    return (
+      <div className="flex items-center justify-center gap-4">
+        <button
+          onClick={() => swipeMutation.mutate({ listingId: listing.id, direction: 'left' })}
+          disabled={swipeMutation.isPending}
+          className="w-14 h-14 rounded-full bg-white shadow flex items-center justify-center text-red-500"
+          title="Pass"
+        >
+          <X className="w-7 h-7" />
+        </button>
+        <button
+          onClick={() => swipeMutation.mutate({ listingId: listing.id, direction: 'super' })}
+          disabled={swipeMutation.isPending}
+          className="w-12 h-12 rounded-full bg-white shadow flex items-center justify-center text-blue-500"
+          title="Super like"
+        >
+          <Star className="w-6 h-6" />
+        </button>
+        <button
+          onClick={() => swipeMutation.mutate({ listingId: listing.id, direction: 'right' })}
+          disabled={swipeMutation.isPending}
+          className="w-14 h-14 rounded-full bg-white shadow flex items-center justify-center text-green-500"
+          title="Save to favorites"
+        >
+          <Heart className="w-7 h-7" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold text-gray-900">Your notes</h2>
+        <button
+          onClick={() => removeMutation.mutate(listing.id)}
+          disabled={removeMutation.isPending}
+          className="p-2 rounded-full hover:bg-red-100 text-red-600"
+          title="Remove from favorites"
+        >
+          <Trash2 className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1 mt-2">
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            onClick={() => updateMutation.mutate({ listingId: listing.id, rating: star })}
+            className="focus:outline-none"
+          >
+            <Star
+              className={`w-6 h-6 ${
+                star <= (listing.rating || 0) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'
+              }`}
+            />
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Add notes about this listing..."
+        className="w-full border rounded-lg p-2 text-sm resize-none h-24 mt-3"
+      />
+      <div className="flex justify-end mt-2">
+        <button
+          onClick={() => updateMutation.mutate({ listingId: listing.id, notes })}
+          disabled={updateMutation.isPending || notes === (listing.notes || '')}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg disabled:opacity-50"
+        >
+          {updateMutation.isPending ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function ListingPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const listingId = Number(id);
+  const { data: listing, isLoading, error } = useListing(Number.isInteger(listingId) ? listingId : 0);
+
+  // Opened from a deep link there is no in-app page to go back to
+  const goBack = () => (location.key === 'default' ? navigate('/') : navigate(-1));
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (!listing || error) {
+    return (
+      <div className="flex flex-col items-center justify-center h-full text-gray-500 p-8">
+        <Home className="w-16 h-16 text-gray-300 mb-4" />
+        <p className="text-lg font-medium">Listing not found</p>
+        <Link to="/" className="text-sm text-blue-600 mt-2">Back to swiping</Link>
+      </div>
+    );
+  }
+
+  const priceHistory = listing.price_history || [];
+  const details = [
+    ['MLS®', listing.mls_number],
+    ['Type', listing.property_type],
+    ['Style', listing.building_style],
+    ['Year built', listing.year_built],
+    ['Lot', listing.lot_size],
+    ['Taxes', listing.annual_taxes && `${formatPrice(listing.annual_taxes)}/yr`],
+    ['Condo fees', listing.condo_fees && `${formatPrice(listing.condo_fees)}/mo`],
+    ['Parking', [listing.parking_spaces && `${listing.parking_spaces} spaces`, listing.parking].filter(Boolean).join(' · ')],
+    ['Heating', listing.heating],
+    ['On market', listing.days_on_market != null && `${listing.days_on_market} days`],
+  ].filter((detail): detail is [string, string | number] => Boolean(detail[1]));
+
+  return (
+    <div className="h-full overflow-auto bg-gray-100">
+      <header className="bg-white shadow-sm px-2 py-2 sticky top-0 z-10 flex items-center gap-2">
+        <button onClick={goBack} className="p-2 rounded-full hover:bg-gray-100" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <h1 className="font-bold text-gray-900 truncate flex-1">{listing.street}</h1>
+        <a
+          href={listing.realtor_url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="p-2 rounded-full hover:bg-gray-100 text-blue-600"
+          title="View original listing"
+        >
+          <ExternalLink className="w-5 h-5" />
+        </a>
+      </header>
+
+      <Gallery listing={listing} />
+
+      <div className="p-4 space-y-4 max-w-3xl mx-auto">
+        {/* Summary */}
+        <div className="bg-white rounded-xl shadow-sm p-4">
+          <div className="flex items-center gap-2">
+            <span className="text-2xl font-bold text-gray-900">
+              {listing.price ? formatPrice(listing.price) : 'Price N/A'}
+            </span>
+            {listing.status && listing.status !== 'active' && (
+              <span className="bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full text-xs font-semibold capitalize">
+                {listing.status}
+              </span>
+            )}
+          </div>
+          <div className="flex items-center text-gray-600 text-sm mt-1">
+            <MapPin className="w-4 h-4 mr-1" />
+            {[listing.unit && `Unit ${listing.unit}`, listing.neighborhood, listing.town, listing.province]
+              .filter(Boolean)
+              .join(', ')}
+          </div>
+          <div className="flex items-center gap-4 mt-3 text-gray-700">
+            {listing.beds > 0 && (
+              <div className="flex items-center gap-1">
+                <Bed className="w-4 h-4" /> {listing.beds} beds
+              </div>
+            )}
+            {listing.baths > 0 && (
+              <div className="flex items-center gap-1">
+                <Bath className="w-4 h-4" /> {listing.baths} baths
+              </div>
+            )}
+            {listing.sqft && (
+              <div className="flex items-center gap-1">
+                <Ruler className="w-4 h-4" /> {listing.sqft.toLocaleString()} sqft
+              </div>
+            )}
+          </div>
+
+          {details.length > 0 && (
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-2 mt-4 pt-4 border-t text-sm">
+              {details.map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-gray-500 text-xs">{label}</dt>
+                  <dd className="text-gray-900">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+
+        <FavoriteSection key={listing.favorite_id ?? 'none'} listing={listing} />
+
+        {listing.description && (
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <h2 className="font-semibold text-gray-900 mb-2">Description</h2>
+            <p className="text-sm text-gray-700 whitespace-pre-line">{listing.description}</p>
+          </div>
+        )}
+
+        {priceHistory.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <h2 className="font-semibold text-gray-900 mb-2">Price history</h2>
+            <PriceHistoryChart history={priceHistory} currentPrice={listing.price} />
+          </div>
+        )}
+
+        {listing.lat != null && listing.lng != null && (
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="font-semibold text-gray-900">Location</h2>
+              <Link
+                to={`/map?lat=${listing.lat}&lng=${listing.lng}&zoom=15`}
+                className="text-sm text-blue-600"
+              >
+                Open in map
+              </Link>
+            </div>
+            <LocationMap lat={listing.lat} lng={listing.lng} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
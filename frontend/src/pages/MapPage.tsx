@@ -0,0 +1,286 @@
+/**
+ * MapPage - Browse listings on a map, clustered by the server at low zoom
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Link, useSearchParams } from 'react-router-dom';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Loader2, X, Heart, Star, HeartOff, Bed, Bath, ChevronRight } from 'lucide-react';
+import { useMapListings, useSwipe, useRemoveFavorite } from '../api';
+import { TILE_URL, addBasemap } from '../mapTiles';
+import type { MapViewport, MapListing, MapCluster } from '../types';
+
+const DEFAULT_CENTER = (import.meta.env.VITE_MAP_CENTER || '43.8824,-79.4404').split(',').map(Number) as [number, number];
+const DEFAULT_ZOOM = 11;
+
+type ColorMode = 'price' | 'favorites';
+
+const PRICE_COLORS = ['#16a34a', '#f59e0b', '#dc2626']; // Cheapest, middle and priciest third in view
+const FAVORITE_COLOR = '#ec4899';
+const PASSED_COLOR = '#9ca3af';
+const DEFAULT_COLOR = '#2563eb';
+
+function formatPrice(price: number) {
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    maximumFractionDigits: 0,
+  }).format(price);
+}
+
+function formatShortPrice(price: number | null) {
+  if (price === null) return '?';
+  if (price >= 1000000) return `$${(price / 1000000).toFixed(1)}M`;
+  return `$${Math.round(price / 1000)}k`;
+}
+
+/**
+ * Price thresholds splitting the viewport's prices into thirds
+ */
+function priceTerciles(prices: number[]): [number, number] {
+  const sorted = [...prices].sort((a, b) => a - b);
+  if (sorted.length === 0) return [0, 0];
+  return [sorted[Math.floor(sorted.length / 3)], sorted[Math.floor((sorted.length * 2) / 3)]];
+}
+
+function priceColor(price: number | null, [low, high]: [number, number]) {
+  if (price === null) return PASSED_COLOR;
+  return PRICE_COLORS[price < low ? 0 : price < high ? 1 : 2];
+}
+
+function listingColor(listing: MapListing, mode: ColorMode, terciles: [number, number]) {
+  if (mode === 'price') return priceColor(listing.price, terciles);
+  if (listing.is_favorite) return FAVORITE_COLOR;
+  if (listing.swipe === 'left') return PASSED_COLOR;
+  return DEFAULT_COLOR;
+}
+
+function clusterColor(cluster: MapCluster, mode: ColorMode, terciles: [number, number]) {
+  if (mode === 'price') return priceColor(cluster.median_price, terciles);
+  return cluster.favorites > 0 ? FAVORITE_COLOR : DEFAULT_COLOR;
+}
+
+function listingIcon(listing: MapListing, color: string) {
+  return L.divIcon({
+    className: '',
+    iconSize: [0, 0],
+    html: `<div style="background:${color}" class="-translate-x-1/2 -translate-y-1/2 px-1.5 py-0.5 rounded-full text-white text-xs font-semibold shadow whitespace-nowrap border border-white">${formatShortPrice(listing.price)}</div>`,
+  });
+}
+
+function clusterIcon(cluster: MapCluster, color: string) {
+  const size = Math.min(56, 28 + Math.log2(cluster.count) * 4);
+  return L.divIcon({
+    className: '',
+    iconSize: [size, size],
+    html: `<div style="background:${color};width:${size}px;height:${size}px" class="rounded-full text-white text-xs font-bold shadow flex items-center justify-center border-2 border-white opacity-90">${cluster.count}</div>`,
+  });
+}
+
+function viewportOf(map: L.Map): MapViewport {
+  const bounds = map.getBounds();
+  const clamp = (value: number, limit: number) => Math.max(-limit, Math.min(limit, value));
+  return {
+    bbox: [
+      clamp(bounds.getWest(), 180),
+      clamp(bounds.getSouth(), 90),
+      clamp(bounds.getEast(), 180),
+      clamp(bounds.getNorth(), 90),
+    ],
+    zoom: Math.round(map.getZoom()),
+  };
+}
+
+interface MarkerPopupProps {
+  listing: MapListing;
+  onClose: () => void;
+}
+
+function MarkerPopup({ listing, onClose }: MarkerPopupProps) {
+  const swipeMutation = useSwipe();
+  const removeFavoriteMutation = useRemoveFavorite();
+  const isBusy = swipeMutation.isPending || removeFavoriteMutation.isPending;
+
+  const swipe = (direction: 'left' | 'right' | 'super') => {
+    swipeMutation.mutate({ listingId: listing.id, direction });
+    if (direction === 'left') onClose();
+  };
+
+  return (
+    <div className="w-56">
+      <div className="text-lg font-bold text-gray-900">
+        {listing.price !== null ? formatPrice(listing.price) : 'Price unavailable'}
+      </div>
+      <div className="text-sm text-gray-700">{listing.street}</div>
+      <div className="text-xs text-gray-500">{listing.town}</div>
+      <div className="flex items-center gap-3 text-xs text-gray-600 mt-1">
+        <span className="flex items-center gap-1">
+          <Bed className="w-3 h-3" /> {listing.beds}
+        </span>
+        <span className="flex items-center gap-1">
+          <Bath className="w-3 h-3" /> {listing.baths}
+        </span>
+        {listing.swipe === 'left' && <span className="text-gray-400">Passed</span>}
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        {listing.is_favorite ? (
+          <button
+            onClick={() => removeFavoriteMutation.mutate(listing.id)}
+            disabled={isBusy}
+            className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg bg-pink-50 text-pink-600 text-sm hover:bg-pink-100"
+          >
+            <HeartOff className="w-4 h-4" /> Unfavorite
+          </button>
+        ) : (
+          <>
+            <button
+              onClick={() => swipe('left')}
+              disabled={isBusy}
+              title="Pass"
+              className="p-2 rounded-full bg-gray-100 text-red-500 hover:bg-gray-200"
+            >
+              <X className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => swipe('right')}
+              disabled={isBusy}
+              title="Favorite"
+              className="p-2 rounded-full bg-gray-100 text-green-500 hover:bg-gray-200"
+            >
+              <Heart className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => swipe('super')}
+              disabled={isBusy}
+              title="Super like"
+              className="p-2 rounded-full bg-gray-100 text-blue-500 hover:bg-gray-200"
+            >
+              <Star className="w-4 h-4" />
+            </button>
+          </>
+        )}
+        {isBusy && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+        <Link
+          to={`/listing/${listing.id}`}
+          className="ml-auto flex items-center text-sm text-blue-600"
+        >
+          Details <ChevronRight className="w-4 h-4" />
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export function MapPage() {
+  // ?lat=&lng=&zoom= opens the map somewhere else than VITE_MAP_CENTER (e.g. from a listing page)
+  const [searchParams] = useSearchParams();
+  const initialView = useRef({
+    center: searchParams.has('lat') && searchParams.has('lng')
+      ? [Number(searchParams.get('lat')), Number(searchParams.get('lng'))] as [number, number]
+      : DEFAULT_CENTER,
+    zoom: Number(searchParams.get('zoom')) || DEFAULT_ZOOM,
+  });
+  const containerRef = useRef<HTMLDivElement>(null);
+  const mapRef = useRef<L.Map | null>(null);
+  const markersRef = useRef<L.LayerGroup | null>(null);
+  const [viewport, setViewport] = useState<MapViewport | null>(null);
+  const [colorMode, setColorMode] = useState<ColorMode>('price');
+  const [popup, setPopup] = useState<{ listingId: number; element: HTMLElement } | null>(null);
+
+  const { data, isFetching, error } = useMapListings(viewport);
+
+  // Create the map once
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const map = L.map(containerRef.current, { worldCopyJump: true });
+    addBasemap(map);
+    markersRef.current = L.layerGroup().addTo(map);
+    mapRef.current = map;
+
+    map.on('moveend', () => setViewport(viewportOf(map)));
+    map.on('popupclose', () => setPopup(null));
+    map.setView(initialView.current.center, initialView.current.zoom);
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      markersRef.current = null;
+    };
+  }, []);
+
+  // Redraw markers when the data or colors change
+  useEffect(() => {
+    const map = mapRef.current;
+    const markers = markersRef.current;
+    if (!map || !markers || !data) return;
+
+    markers.clearLayers();
+    const prices = [
+      ...data.listings.map((listing) => listing.price),
+      ...data.clusters.map((cluster) => cluster.median_price),
+    ].filter((price): price is number => price !== null);
+    const terciles = priceTerciles(prices);
+
+    for (const cluster of data.clusters) {
+      L.marker([cluster.lat, cluster.lng], { icon: clusterIcon(cluster, clusterColor(cluster, colorMode, terciles)) })
+        .bindTooltip(`${cluster.count} listings, ${formatShortPrice(cluster.min_price)}–${formatShortPrice(cluster.max_price)}`)
+        .on('click', () => map.flyTo([cluster.lat, cluster.lng], Math.min(map.getZoom() + 2, map.getMaxZoom())))
+        .addTo(markers);
+    }
+
+    for (const listing of data.listings) {
+      L.marker([listing.lat, listing.lng], { icon: listingIcon(listing, listingColor(listing, colorMode, terciles)) })
+        .on('click', () => {
+          const element = document.createElement('div');
+          L.popup({ offset: [0, -8] }).setLatLng([listing.lat, listing.lng]).setContent(element).openOn(map);
+          setPopup({ listingId: listing.id, element });
+        })
+        .addTo(markers);
+    }
+  }, [data, colorMode]);
+
+  const popupListing = popup ? data?.listings.find((listing) => listing.id === popup.listingId) : undefined;
+
+  return (
+    <div className="flex flex-col h-full bg-gray-100">
+      {/* Header */}
+      <header className="bg-white shadow-sm px-4 py-3 flex items-center justify-between z-10">
+        <h1 className="text-xl font-bold text-gray-900">Map</h1>
+        <div className="flex items-center gap-3">
+          {isFetching && <Loader2 className="w-5 h-5 animate-spin text-gray-400" />}
+          <div className="flex rounded-lg border overflow-hidden text-sm">
+            {(['price', 'favorites'] as const).map((mode) => (
+              <button
+                key={mode}
+                onClick={() => setColorMode(mode)}
+                className={`px-3 py-1 ${colorMode === mode ? 'bg-blue-600 text-white' : 'hover:bg-gray-100'}`}
+              >
+                {mode === 'price' ? 'Price' : 'Favorites'}
+              </button>
+            ))}
+          </div>
+        </div>
+      </header>
+
+      {data?.truncated && (
+        <div className="bg-amber-50 text-amber-700 text-sm px-4 py-2">
+          Showing the newest {data.listings.length} listings here. Zoom in to see them all.
+        </div>
+      )}
+      {error && (
+        <div className="bg-red-50 text-red-600 text-sm px-4 py-2">Failed to load listings: {error.message}</div>
+      )}
+
+      <div ref={containerRef} className={`flex-1 isolate ${TILE_URL === 'none' ? 'bg-gray-50' : ''}`} />
+
+      {popup && popupListing && createPortal(
+        <MarkerPopup listing={popupListing} onClose={() => mapRef.current?.closePopup()} />,
+        popup.element
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * PassedPage - Browse listings swiped left, bring them back, or reset old passes
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Loader2, ArrowLeft, X, Undo2, Home } from 'lucide-react';
+import { useSwipeHistory, useUndoSwipe, useResetPasses, imageProxyUrl } from '../api';
+import { listingImageUrls } from '../listingImages';
+import type { Listing } from '../types';
+
+const RESET_OPTIONS = [7, 30, 90];
+
+function formatPrice(price: number) {
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    maximumFractionDigits: 0,
+  }).format(price);
+}
+
+function formatDaysAgo(dateStr: string) {
+  const days = Math.floor((Date.now() - new Date(dateStr).getTime()) / (1000 * 60 * 60 * 24));
+  if (days === 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+}
+
+interface PassedRowProps {
+  listing: Listing;
+  onBringBack: () => void;
+  isPending: boolean;
+}
+
+function PassedRow({ listing, onBringBack, isPending }: PassedRowProps) {
+  const hasImage = listingImageUrls(listing).length > 0;
+
+  return (
+    <div className="flex items-center gap-3 p-3 bg-white rounded-xl shadow-sm">
+      <Link to={`/listing/${listing.id}`} className="w-20 h-16 rounded-lg overflow-hidden flex-shrink-0">
+        {hasImage ? (
+          <img src={imageProxyUrl(listing.id, 0, 160)} alt={listing.street} className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full bg-gray-200 flex items-center justify-center">
+            <Home className="w-6 h-6 text-gray-400" />
+          </div>
+        )}
+      </Link>
+      <Link to={`/listing/${listing.id}`} className="flex-1 min-w-0">
+        <p className="font-medium text-gray-900 truncate">{listing.street}</p>
+        <p className="text-sm text-gray-600">
+          {listing.price ? formatPrice(listing.price) : 'Price N/A'} · {listing.town}
+        </p>
+        {listing.swiped_at && (
+          <p className="text-xs text-gray-400">Passed {formatDaysAgo(listing.swiped_at)}</p>
+        )}
+      </Link>
+      <button
+        onClick={onBringBack}
+        disabled={isPending}
+        className="p-2 rounded-full hover:bg-blue-50 text-blue-600 disabled:opacity-50"
+        title="Bring back for swiping"
+      >
+        <Undo2 className="w-5 h-5" />
+      </button>
+    </div>
+  );
+}
+
+export function PassedPage() {
+  const navigate = useNavigate();
+  const [resetDays, setResetDays] = useState(30);
+  const { data, isLoading } = useSwipeHistory('left');
+  const undoMutation = useUndoSwipe();
+  const resetMutation = useResetPasses();
+
+  const passed = data?.swipes || [];
+
+  const handleReset = () => {
+    if (!window.confirm(`Show listings you passed more than ${resetDays} days ago again?`)) return;
+    resetMutation.mutate(resetDays);
+  };
+
+  return (
+    <div className="h-full overflow-auto bg-gray-100">
+      <header className="bg-white shadow-sm px-2 py-2 sticky top-0 z-10 flex items-center gap-2">
+        <button onClick={() => navigate('/profile')} className="p-2 rounded-full hover:bg-gray-100" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <h1 className="text-xl font-bold text-gray-900">
+          Passed {data && data.total > 0 && `(${data.total})`}
+        </h1>
+      </header>
+
+      {/* Bulk reset */}
+      <div className="px-4 pt-4">
+        <div className="bg-white rounded-xl shadow-sm p-4 flex items-center gap-2 text-sm">
+          <span className="text-gray-700">Reset passes older than</span>
+          <select
+            value={resetDays}
+            onChange={(e) => setResetDays(parseInt(e.target.value))}
+            className="border rounded-lg px-2 py-1"
+          >
+            {RESET_OPTIONS.map((days) => (
+              <option key={days} value={days}>{days} days</option>
+            ))}
+          </select>
+          <button
+            onClick={handleReset}
+            disabled={resetMutation.isPending}
+            className="ml-auto px-3 py-1 bg-blue-600 text-white rounded-lg disabled:opacity-50"
+          >
+            {resetMutation.isPending ? 'Resetting...' : 'Reset'}
+          </button>
+        </div>
+        {resetMutation.data && (
+          <p className="text-xs text-gray-500 mt-2 px-1">
+            {resetMutation.data.reset === 0
+              ? 'No passes that old.'
+              : `${resetMutation.data.reset} listing${resetMutation.data.reset === 1 ? '' : 's'} back in your swipe deck.`}
+          </p>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-16">
+          <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+        </div>
+      ) : passed.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-16 text-gray-500 px-8">
+          <X className="w-16 h-16 text-gray-300 mb-4" />
+          <p className="text-lg font-medium">No passed listings</p>
+          <p className="text-sm mt-1 text-center">Listings you swipe left on show up here</p>
+        </div>
+      ) : (
+        <div className="p-4 space-y-3">
+          {passed.map((listing) => (
+            <PassedRow
+              key={listing.id}
+              listing={listing}
+              onBringBack={() => undoMutation.mutate(listing.id)}
+              isPending={undoMutation.isPending && undoMutation.variables === listing.id}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,14 +3,18 @@
  */
 
 import { useUser, useClerk } from '@clerk/clerk-react';
+import { Link } from 'react-router-dom';
 import { Loader2, LogOut, ChevronRight, Heart, X, Star, TrendingUp, Search, Bell, Settings } from 'lucide-react';
-import { useStats, useSavedSearches } from '../api';
+import { useStats, useSavedSearches, useMe, useUpdateMe } from '../api';
+import { CHANGE_FIELD_LABELS } from '../types';
 
 export function ProfilePage() {
   const { user, isLoaded: userLoaded } = useUser();
   const { signOut } = useClerk();
   const { data: stats, isLoading: statsLoading } = useStats();
   const { data: searches } = useSavedSearches();
+  const { data: me } = useMe();
+  const updateMeMutation = useUpdateMe();
 
   if (!userLoaded || statsLoading) {
     return (
@@ -140,6 +144,63 @@ export function ProfilePage() {
       {/* Menu Items */}
       <div className="px-4 mt-4 mb-8">
         <div className="bg-white rounded-xl shadow-sm divide-y">
+          <div className="flex items-center justify-between w-full p-4">
+            <div className="flex items-center gap-3">
+              <Bell className="w-5 h-5 text-gray-500" />
+              <span>Price alerts</span>
+            </div>
+            <select
+              value={me?.alert_threshold_percent ?? 0}
+              onChange={(e) =>
+                updateMeMutation.mutate({ alertThresholdPercent: parseInt(e.target.value) })
+              }
+              className="border rounded-lg px-3 py-1 text-sm"
+            >
+              <option value="0">Any change</option>
+              <option value="1">1%+</option>
+              <option value="2">2%+</option>
+              <option value="5">5%+</option>
+              <option value="10">10%+</option>
+            </select>
+          </div>
+          <div className="p-4">
+            <div className="flex items-center gap-3">
+              <Bell className="w-5 h-5 text-gray-500" />
+              <span>Change alerts for favorites</span>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              {Object.entries(CHANGE_FIELD_LABELS).map(([field, label]) => {
+                const fields = me?.change_alert_fields ?? [];
+                const enabled = fields.includes(field);
+                return (
+                  <button
+                    key={field}
+                    onClick={() =>
+                      updateMeMutation.mutate({
+                        changeAlertFields: enabled
+                          ? fields.filter((f) => f !== field)
+                          : [...fields, field],
+                      })
+                    }
+                    className={`text-xs px-3 py-1 rounded-full border ${
+                      enabled
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'border-gray-300 text-gray-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+          <Link to="/passed" className="flex items-center justify-between w-full p-4">
+            <div className="flex items-center gap-3">
+              <X className="w-5 h-5 text-gray-500" />
+              <span>Passed listings</span>
+            </div>
+            <ChevronRight className="w-5 h-5 text-gray-400" />
+          </Link>
           <button className="flex items-center justify-between w-full p-4">
             <div className="flex items-center gap-3">
               <Settings className="w-5 h-5 text-gray-500" />
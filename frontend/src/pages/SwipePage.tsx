@@ -2,40 +2,75 @@
  * SwipePage - Main Tinder-style swiping interface
  */
 
-import { useState, useCallback } from 'react';
-import { Filter, Loader2, RefreshCw } from 'lucide-react';
+import { useState, useCallback, useMemo } from 'react';
+import { Filter, Loader2, RefreshCw, Undo2 } from 'lucide-react';
 import { SwipeCard, SwipeButtons } from '../components/SwipeCard';
-import { useListings, useSwipe } from '../api';
-import type { ListingFilters } from '../types';
+import { useListings, useSwipe, useUndoSwipe } from '../api';
+import type { Listing, ListingFilters, SwipeDirection } from '../types';
+
+interface SwipeRecord {
+  listing: Listing;
+  direction: SwipeDirection;
+}
 
 export function SwipePage() {
   const [filters, setFilters] = useState<ListingFilters>({
     maxPrice: 700000,
   });
   const [showFilters, setShowFilters] = useState(false);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  // Swipes made on this page, newest last; undo pops them and puts the card back on top
+  const [history, setHistory] = useState<SwipeRecord[]>([]);
+  const [restored, setRestored] = useState<Listing[]>([]);
 
   const { data: listings, isLoading, refetch, isFetching } = useListings(filters);
   const swipeMutation = useSwipe();
+  const undoMutation = useUndoSwipe();
+
+  // Refetched listings already leave out swiped ones; filtering here covers the refetch in flight
+  const deck = useMemo(() => {
+    const swipedIds = new Set(history.map((record) => record.listing.id));
+    const restoredIds = new Set(restored.map((listing) => listing.id));
+    return [
+      ...restored,
+      ...(listings || []).filter((listing) => !swipedIds.has(listing.id) && !restoredIds.has(listing.id)),
+    ];
+  }, [listings, history, restored]);
 
   const handleSwipe = useCallback(
-    (direction: 'left' | 'right' | 'super') => {
-      if (!listings || currentIndex >= listings.length) return;
+    (direction: SwipeDirection) => {
+      const listing = deck[0];
+      if (!listing) return;
 
-      const listing = listings[currentIndex];
       swipeMutation.mutate({ listingId: listing.id, direction });
-      setCurrentIndex((prev) => prev + 1);
+      setHistory((prev) => [...prev, { listing, direction }]);
+      setRestored((prev) => prev.filter((item) => item.id !== listing.id));
     },
-    [listings, currentIndex, swipeMutation]
+    [deck, swipeMutation]
   );
 
+  const handleUndo = () => {
+    const last = history[history.length - 1];
+    if (!last) return;
+
+    setHistory((prev) => prev.slice(0, -1));
+    setRestored((prev) => [last.listing, ...prev]);
+    undoMutation.mutate(last.listing.id, {
+      onError: () => {
+        // Still swiped on the server: take the card back off the deck
+        setRestored((prev) => prev.filter((item) => item.id !== last.listing.id));
+        setHistory((prev) => [...prev, last]);
+      },
+    });
+  };
+
   const handleRefresh = () => {
-    setCurrentIndex(0);
+    setRestored([]);
     refetch();
   };
 
-  const visibleListings = listings?.slice(currentIndex, currentIndex + 2) || [];
-  const hasMore = listings && currentIndex < listings.length;
+  const visibleListings = deck.slice(0, 2);
+  const hasMore = deck.length > 0;
+  const lastSwipe = history[history.length - 1];
 
   return (
     <div className="flex flex-col h-full bg-gray-100">
@@ -43,6 +78,17 @@ export function SwipePage() {
       <header className="bg-white shadow-sm px-4 py-3 flex items-center justify-between">
         <h1 className="text-xl font-bold text-gray-900">Nestd</h1>
         <div className="flex items-center gap-2">
+          <button
+            onClick={handleUndo}
+            disabled={!lastSwipe || swipeMutation.isPending || undoMutation.isPending}
+            className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-30 relative"
+            title={lastSwipe ? `Undo ${lastSwipe.direction === 'left' ? 'pass' : 'like'} on ${lastSwipe.listing.street}` : 'Nothing to undo'}
+          >
+            <Undo2 className="w-5 h-5" />
+            {history.length > 1 && (
+              <span className="absolute -top-0.5 -right-0.5 text-[10px] font-bold text-gray-500">{history.length}</span>
+            )}
+          </button>
           <button
             onClick={handleRefresh}
             disabled={isFetching}
@@ -143,10 +189,97 @@ export function SwipePage() {
                 <option value="Alberta">Alberta</option>
               </select>
             </div>
+            <div>
+              <label className="text-xs text-gray-500 block mb-1">Property Type</label>
+              <select
+                value={filters.propertyType || ''}
+                onChange={(e) =>
+                  setFilters((f) => ({
+                    ...f,
+                    propertyType: e.target.value || undefined,
+                  }))
+                }
+                className="w-full border rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Any</option>
+                <option value="House">House</option>
+                <option value="Apartment">Condo/Apt</option>
+                <option value="Townhouse">Townhouse</option>
+                <option value="Vacant Land">Land</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-500 block mb-1">Max Condo Fees</label>
+              <select
+                value={filters.maxCondoFees ?? ''}
+                onChange={(e) =>
+                  setFilters((f) => ({
+                    ...f,
+                    maxCondoFees: e.target.value ? parseInt(e.target.value) : undefined,
+                  }))
+                }
+                className="w-full border rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Any</option>
+                <option value="0">None</option>
+                <option value="300">$300/mo</option>
+                <option value="500">$500/mo</option>
+                <option value="800">$800/mo</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-500 block mb-1">On Market</label>
+              <select
+                value={filters.minDaysOnMarket ?? ''}
+                onChange={(e) =>
+                  setFilters((f) => ({
+                    ...f,
+                    minDaysOnMarket: e.target.value ? parseInt(e.target.value) : undefined,
+                  }))
+                }
+                className="w-full border rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Any</option>
+                <option value="30">30+ days</option>
+                <option value="60">60+ days</option>
+                <option value="90">90+ days</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-500 block mb-1">Order</label>
+              <select
+                value={filters.sort === 'newest' ? 'newest' : ''}
+                onChange={(e) =>
+                  setFilters((f) => ({
+                    ...f,
+                    sort: e.target.value === 'newest' ? 'newest' : undefined,
+                  }))
+                }
+                className="w-full border rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">For you</option>
+                <option value="newest">Newest first</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-500 block mb-1">Relisted</label>
+              <select
+                value={filters.relisted ? 'true' : ''}
+                onChange={(e) =>
+                  setFilters((f) => ({
+                    ...f,
+                    relisted: e.target.value === 'true' || undefined,
+                  }))
+                }
+                className="w-full border rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Any</option>
+                <option value="true">Relisted only</option>
+              </select>
+            </div>
           </div>
           <button
             onClick={() => {
-              setCurrentIndex(0);
               refetch();
               setShowFilters(false);
             }}
@@ -5,23 +5,86 @@
 export interface Listing {
   id: number;
   realtor_url: string;
+  source?: string; // Source adapter the listing was scraped from
   price: number;
   street: string;
   town: string;
   province: string;
+  // Parsed address parts (null until the address is normalized)
+  unit?: string | null;
+  municipality?: string | null;
+  neighborhood?: string | null;
+  province_code?: string | null;
+  postal_code?: string | null;
+  fsa?: string | null;
   beds: number;
   baths: number;
   sqft: number | null;
   lat: number | null;
   lng: number | null;
-  image_urls: string[];
+  distance_km?: number | null; // From the search center, when the search has one
+  image_urls: string[]; // Guessed candidates, see images/images_verified
+  images_verified?: boolean;
+  images?: ListingImage[];
   listed_at: string | null;
   first_seen_at: string;
+  // Lifecycle
+  status?: ListingStatus;
+  previous_listing_id?: number | null;
+  days_on_market?: number;
+  status_history?: StatusChange[];
+  // Detail-page attributes (null until the listing is enriched)
+  mls_number?: string | null;
+  description?: string | null;
+  property_type?: string | null;
+  building_style?: string | null;
+  year_built?: number | null;
+  lot_size?: string | null;
+  annual_taxes?: number | null;
+  condo_fees?: number | null;
+  parking?: string | null;
+  parking_spaces?: number | null;
+  heating?: string | null;
   price_history?: PricePoint[];
   favorite_id?: number;
   notes?: string;
   rating?: number;
   favorited_at?: string;
+  recommendation?: Recommendation; // Personalized deck ranking, once the user has swiped enough
+  // Swipe history (GET /api/swipes)
+  swipe_direction?: SwipeDirection;
+  swiped_at?: string;
+}
+
+export type SwipeDirection = 'left' | 'right' | 'super';
+
+/**
+ * Why a listing is in the user's deck
+ */
+export interface Recommendation {
+  score: number; // Predicted affinity (log-odds of a like, relative to the user's usual)
+  explore: boolean; // Shown to learn more about the user rather than because it matches
+  factors: RecommendationFactor[];
+}
+
+export interface RecommendationFactor {
+  feature: 'price' | 'beds' | 'baths' | 'sqft' | 'town' | 'pricePerSqft';
+  value: string;
+  weight: number; // Positive: the user tends to like this; negative: tends to pass
+  reason: string; // e.g. "You liked 4 of 5 homes in Markham"
+}
+
+export type ListingStatus = 'active' | 'delisted' | 'relisted' | 'sold' | 'conditional';
+
+export interface StatusChange {
+  status: ListingStatus;
+  changed_at: string;
+}
+
+export interface ListingImage {
+  url: string;
+  width: number | null;
+  height: number | null;
 }
 
 export interface PricePoint {
@@ -35,6 +98,8 @@ export interface User {
   email: string;
   name: string;
   avatar_url: string;
+  alert_threshold_percent: number;
+  change_alert_fields: string[];
 }
 
 export interface SavedSearch {
@@ -55,7 +120,7 @@ export interface SavedSearch {
 export interface Alert {
   id: number;
   listing_id: number;
-  alert_type: 'new_listing' | 'price_drop' | 'price_increase';
+  alert_type: 'new_listing' | 'price_drop' | 'price_increase' | 'field_change';
   old_price: number | null;
   new_price: number | null;
   read_at: string | null;
@@ -64,8 +129,35 @@ export interface Alert {
   town: string;
   price: number;
   image_url: string;
+  saved_search_id: number | null;
+  saved_search_name: string | null;
+  // field_change alerts
+  listing_change_id: number | null;
+  field: string | null;
+  old_value: unknown;
+  new_value: unknown;
 }
 
+export interface ListingChange {
+  id: number;
+  field: string;
+  old_value: unknown;
+  new_value: unknown;
+  changed_at: string;
+}
+
+// Listing fields users can get change alerts for
+export const CHANGE_FIELD_LABELS: Record<string, string> = {
+  photos: 'Photos',
+  sqft: 'Sqft',
+  beds: 'Beds',
+  baths: 'Baths',
+  description: 'Description',
+  condo_fees: 'Condo fees',
+  annual_taxes: 'Taxes',
+  street: 'Address',
+};
+
 export interface UserStats {
   swipes: {
     left: number;
@@ -83,4 +175,73 @@ export interface ListingFilters {
   minBeds?: number;
   minBaths?: number;
   province?: string;
+  municipality?: string;
+  neighborhood?: string;
+  fsa?: string[];
+  propertyType?: string;
+  minYearBuilt?: number;
+  maxTaxes?: number;
+  maxCondoFees?: number;
+  minParking?: number;
+  minDaysOnMarket?: number;
+  relisted?: boolean;
+  // Geo search: center (+ radius), map viewport, drawn area
+  lat?: number;
+  lng?: number;
+  radiusKm?: number;
+  bbox?: [west: number, south: number, east: number, north: number];
+  polygon?: GeoJsonArea;
+  sort?: 'recommended' | 'newest' | 'distance'; // Server default: recommended
 }
+
+/**
+ * Map viewport sent to /api/listings/map
+ */
+export interface MapViewport {
+  bbox: [west: number, south: number, east: number, north: number];
+  zoom: number;
+}
+
+/**
+ * A listing marker on the map, with the user's favorite/swipe state
+ */
+export interface MapListing {
+  id: number;
+  lat: number;
+  lng: number;
+  price: number | null;
+  street: string;
+  town: string;
+  beds: number;
+  baths: number;
+  is_favorite: boolean;
+  swipe: SwipeDirection | null;
+}
+
+/**
+ * Listings grouped by the server at low zoom
+ */
+export interface MapCluster {
+  lat: number;
+  lng: number;
+  count: number;
+  min_price: number | null;
+  max_price: number | null;
+  median_price: number | null;
+  favorites: number;
+}
+
+export interface MapListings {
+  zoom: number;
+  clustered: boolean;
+  clusters: MapCluster[];
+  listings: MapListing[];
+  truncated: boolean; // More listings than markers returned
+}
+
+/**
+ * A drawn search area (GeoJSON, positions are [lng, lat])
+ */
+export type GeoJsonArea =
+  | { type: 'Polygon'; coordinates: number[][][] }
+  | { type: 'MultiPolygon'; coordinates: number[][][][] };
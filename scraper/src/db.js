@@ -4,6 +4,36 @@
  */
 
 const { Pool } = require('pg');
+const { Migrator } = require('../../shared/migrator');
+const {
+  normalizeMlsNumber,
+  findDuplicateGroups,
+  mergeListings,
+} = require('../../shared/listing-identity');
+const {
+  setListingStatus,
+  delistUnseenListings,
+} = require('../../shared/lifecycle');
+const { diffListingDetails, recordListingChanges } = require('../../shared/listing-changes');
+const { ADDRESS_RECORD, addressColumns } = require('../../shared/address');
+const {
+  listScrapePlans,
+  getScrapePlan,
+  createScrapePlan,
+  updateScrapePlan,
+  deleteScrapePlan,
+  syncDerivedPlans,
+} = require('../../shared/scrape-plans');
+const {
+  claimScrapeJob,
+  setScrapeJobRun,
+  touchScrapeJob,
+  logScrapeJob,
+  finishScrapeJob,
+  releaseScrapeJob,
+  requeueStaleScrapeJobs,
+} = require('../../shared/scrape-jobs');
+const { DEFAULT_SOURCE } = require('./sources');
 
 class Database {
   constructor(connectionString) {
@@ -11,156 +41,110 @@ class Database {
       connectionString: connectionString || process.env.DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
     });
+    this.migrator = new Migrator(this.pool);
   }
 
   /**
-   * Initialize database schema
+   * Verify the database schema is at the version this build expects
+   * Throws SchemaVersionError otherwise
    */
   async init() {
-    const client = await this.pool.connect();
-    try {
-      await client.query(`
-        -- Listings table
-        CREATE TABLE IF NOT EXISTS listings (
-          id SERIAL PRIMARY KEY,
-          realtor_url TEXT UNIQUE NOT NULL,
-          price INTEGER,
-          street TEXT NOT NULL,
-          town TEXT,
-          province TEXT,
-          beds INTEGER DEFAULT 0,
-          baths INTEGER DEFAULT 0,
-          sqft INTEGER,
-          lat DOUBLE PRECISION,
-          lng DOUBLE PRECISION,
-          image_urls TEXT[], -- Array of image URLs
-          listed_at TIMESTAMPTZ,
-          first_seen_at TIMESTAMPTZ DEFAULT NOW(),
-          last_seen_at TIMESTAMPTZ DEFAULT NOW(),
-          is_active BOOLEAN DEFAULT TRUE,
-          created_at TIMESTAMPTZ DEFAULT NOW(),
-          updated_at TIMESTAMPTZ DEFAULT NOW()
-        );
-
-        -- Price history for tracking changes
-        CREATE TABLE IF NOT EXISTS price_history (
-          id SERIAL PRIMARY KEY,
-          listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-          price INTEGER NOT NULL,
-          recorded_at TIMESTAMPTZ DEFAULT NOW()
-        );
-
-        -- Users table
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          clerk_id TEXT UNIQUE NOT NULL,
-          email TEXT,
-          name TEXT,
-          avatar_url TEXT,
-          created_at TIMESTAMPTZ DEFAULT NOW(),
-          updated_at TIMESTAMPTZ DEFAULT NOW()
-        );
-
-        -- Saved searches
-        CREATE TABLE IF NOT EXISTS saved_searches (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-          name TEXT NOT NULL,
-          min_price INTEGER,
-          max_price INTEGER,
-          min_beds INTEGER,
-          min_baths INTEGER,
-          towns TEXT[], -- Array of town names
-          provinces TEXT[], -- Array of provinces
-          lat DOUBLE PRECISION,
-          lng DOUBLE PRECISION,
-          radius_km INTEGER,
-          alerts_enabled BOOLEAN DEFAULT TRUE,
-          created_at TIMESTAMPTZ DEFAULT NOW(),
-          updated_at TIMESTAMPTZ DEFAULT NOW()
-        );
-
-        -- User favorites
-        CREATE TABLE IF NOT EXISTS favorites (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-          listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-          notes TEXT,
-          rating INTEGER CHECK (rating >= 1 AND rating <= 5),
-          created_at TIMESTAMPTZ DEFAULT NOW(),
-          updated_at TIMESTAMPTZ DEFAULT NOW(),
-          UNIQUE(user_id, listing_id)
-        );
+    const version = await this.migrator.assertCurrent();
+    console.log(`✅ Database schema at version ${version}`);
+  }
 
-        -- User swipes (for the Tinder-like UI)
-        CREATE TABLE IF NOT EXISTS swipes (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-          listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-          direction TEXT CHECK (direction IN ('left', 'right', 'super')),
-          created_at TIMESTAMPTZ DEFAULT NOW(),
-          UNIQUE(user_id, listing_id)
-        );
+  /**
+   * Apply pending schema migrations
+   */
+  async migrate() {
+    return this.migrator.up();
+  }
 
-        -- Alerts sent to users
-        CREATE TABLE IF NOT EXISTS alerts (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-          listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
-          saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
-          alert_type TEXT CHECK (alert_type IN ('new_listing', 'price_drop', 'price_increase')),
-          old_price INTEGER,
-          new_price INTEGER,
-          sent_at TIMESTAMPTZ,
-          read_at TIMESTAMPTZ,
-          created_at TIMESTAMPTZ DEFAULT NOW()
-        );
+  /**
+   * Start a scrape run
+   * Records what it searches so the run can be resumed from a checkpoint
+   */
+  async startScrapeRun({ planId = null, source = null, searchUrl = null, segments = null, options = null } = {}) {
+    const result = await this.pool.query(
+      `INSERT INTO scrape_runs (plan_id, source, search_url, segments, options)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [
+        planId,
+        source,
+        searchUrl,
+        segments ? JSON.stringify(segments) : null,
+        options ? JSON.stringify(options) : null,
+      ]
+    );
+    return result.rows[0].id;
+  }
 
-        -- Scrape runs log
-        CREATE TABLE IF NOT EXISTS scrape_runs (
-          id SERIAL PRIMARY KEY,
-          started_at TIMESTAMPTZ DEFAULT NOW(),
-          finished_at TIMESTAMPTZ,
-          listings_found INTEGER DEFAULT 0,
-          listings_new INTEGER DEFAULT 0,
-          listings_updated INTEGER DEFAULT 0,
-          price_changes INTEGER DEFAULT 0,
-          status TEXT DEFAULT 'running',
-          error TEXT
-        );
+  async getScrapeRun(runId) {
+    const result = await this.pool.query('SELECT * FROM scrape_runs WHERE id = $1', [runId]);
+    return result.rows[0] || null;
+  }
 
-        -- Indexes for performance
-        CREATE INDEX IF NOT EXISTS idx_listings_price ON listings(price);
-        CREATE INDEX IF NOT EXISTS idx_listings_town ON listings(town);
-        CREATE INDEX IF NOT EXISTS idx_listings_province ON listings(province);
-        CREATE INDEX IF NOT EXISTS idx_listings_beds ON listings(beds);
-        CREATE INDEX IF NOT EXISTS idx_listings_active ON listings(is_active);
-        CREATE INDEX IF NOT EXISTS idx_listings_location ON listings(lat, lng);
-        CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites(user_id);
-        CREATE INDEX IF NOT EXISTS idx_swipes_user ON swipes(user_id);
-        CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(user_id);
-        CREATE INDEX IF NOT EXISTS idx_price_history_listing ON price_history(listing_id);
-      `);
-      console.log('✅ Database schema initialized');
-    } finally {
-      client.release();
-    }
+  /**
+   * Save progress after a results page: segment cursors, running totals, proxy stats
+   * and the listings seen
+   */
+  async checkpointScrapeRun(runId, { segments, stats, proxyStats = {}, listingIds = [] }) {
+    const pageCursor = segments.reduce((sum, segment) => sum + segment.pageCursor, 0);
+    await this.pool.query(
+      `UPDATE scrape_runs
+       SET segments = $2,
+           page_cursor = $3,
+           listings_found = $4,
+           listings_new = $5,
+           listings_updated = $6,
+           price_changes = $7,
+           seen_listing_ids = seen_listing_ids || $8::int[],
+           proxy_stats = $9,
+           checkpoint_at = NOW()
+       WHERE id = $1`,
+      [
+        runId,
+        JSON.stringify(segments),
+        pageCursor,
+        stats.found,
+        stats.new,
+        stats.updated,
+        stats.priceChanges,
+        listingIds,
+        JSON.stringify(proxyStats),
+      ]
+    );
   }
 
   /**
-   * Start a scrape run
+   * Reopen a failed or interrupted run
    */
-  async startScrapeRun() {
+  async resumeScrapeRun(runId) {
     const result = await this.pool.query(
-      'INSERT INTO scrape_runs DEFAULT VALUES RETURNING id'
+      `UPDATE scrape_runs
+       SET status = 'running', error = NULL, finished_at = NULL, resumed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [runId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a run stopped by a signal; it can be resumed later
+   */
+  async interruptScrapeRun(runId) {
+    await this.pool.query(
+      `UPDATE scrape_runs SET finished_at = NOW(), status = 'interrupted' WHERE id = $1`,
+      [runId]
     );
-    return result.rows[0].id;
   }
 
   /**
    * Complete a scrape run
    */
-  async completeScrapeRun(runId, stats) {
+  async completeScrapeRun(runId, stats, proxyStats = null) {
     await this.pool.query(
       `UPDATE scrape_runs 
        SET finished_at = NOW(), 
@@ -168,113 +152,310 @@ class Database {
            listings_new = $3, 
            listings_updated = $4,
            price_changes = $5,
+           proxy_stats = COALESCE($6, proxy_stats),
            status = 'completed'
        WHERE id = $1`,
-      [runId, stats.found, stats.new, stats.updated, stats.priceChanges]
+      [runId, stats.found, stats.new, stats.updated, stats.priceChanges, proxyStats ? JSON.stringify(proxyStats) : null]
     );
   }
 
   /**
    * Fail a scrape run
    */
-  async failScrapeRun(runId, error) {
+  async failScrapeRun(runId, error, proxyStats = null) {
     await this.pool.query(
       `UPDATE scrape_runs 
        SET finished_at = NOW(), 
            status = 'failed',
-           error = $2
+           error = $2,
+           proxy_stats = COALESCE($3, proxy_stats)
        WHERE id = $1`,
-      [runId, error]
+      [runId, error, proxyStats ? JSON.stringify(proxyStats) : null]
     );
   }
 
   /**
-   * Upsert a listing
-   * Returns { listing, isNew, priceChanged, oldPrice }
+   * Scrape plans (see shared/scrape-plans.js)
+   */
+  async listScrapePlans(options) {
+    return listScrapePlans(this.pool, options);
+  }
+
+  async getScrapePlan(id) {
+    return getScrapePlan(this.pool, id);
+  }
+
+  async createScrapePlan(input) {
+    return createScrapePlan(this.pool, input);
+  }
+
+  async updateScrapePlan(id, input) {
+    return updateScrapePlan(this.pool, id, input);
+  }
+
+  async deleteScrapePlan(id) {
+    return deleteScrapePlan(this.pool, id);
+  }
+
+  /**
+   * Regenerate the plans derived from users' saved searches
+   */
+  async syncDerivedPlans(options) {
+    return syncDerivedPlans(this.pool, options);
+  }
+
+  /**
+   * Scrape job queue, worker side (see shared/scrape-jobs.js)
+   */
+  async claimScrapeJob(workerId) {
+    return claimScrapeJob(this.pool, workerId);
+  }
+
+  async setScrapeJobRun(jobId, runId) {
+    return setScrapeJobRun(this.pool, jobId, runId);
+  }
+
+  async touchScrapeJob(jobId) {
+    return touchScrapeJob(this.pool, jobId);
+  }
+
+  async logScrapeJob(jobId, entry) {
+    return logScrapeJob(this.pool, jobId, entry);
+  }
+
+  async finishScrapeJob(jobId, status, error = null) {
+    return finishScrapeJob(this.pool, jobId, status, error);
+  }
+
+  async releaseScrapeJob(jobId) {
+    return releaseScrapeJob(this.pool, jobId);
+  }
+
+  async requeueStaleScrapeJobs(options) {
+    return requeueStaleScrapeJobs(this.pool, options);
+  }
+
+  /**
+   * Merge listing rows that are the same property (same MLS® number or property ID)
+   * Returns the duplicate groups found; with dryRun nothing is changed
    */
-  async upsertListing(data) {
+  async mergeDuplicateListings({ dryRun = false } = {}) {
     const client = await this.pool.connect();
     try {
       await client.query('BEGIN');
 
-      // Check if listing exists
-      const existing = await client.query(
-        'SELECT id, price FROM listings WHERE realtor_url = $1',
-        [data.detailUrl]
+      const groups = await findDuplicateGroups(client);
+      if (!dryRun) {
+        for (const group of groups) {
+          await mergeListings(client, group.canonicalId, group.duplicateIds);
+        }
+      }
+
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+      return groups;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get listings whose detail page should be scraped
+   * New listings (listingIds) first, then active listings with details older than refreshDays
+   */
+  async getListingsNeedingDetails({ listingIds = [], refreshDays = 14, limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT l.id, l.realtor_url, l.source
+       FROM listings l
+       LEFT JOIN listing_details d ON d.listing_id = l.id
+       WHERE l.is_active = TRUE
+       AND (
+         l.id = ANY($1::int[])
+         OR d.listing_id IS NULL
+         OR d.scraped_at < NOW() - make_interval(days => $2)
+       )
+       ORDER BY (l.id = ANY($1::int[])) DESC, d.scraped_at ASC NULLS FIRST, l.first_seen_at DESC
+       LIMIT $3`,
+      [listingIds, refreshDays, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Insert or refresh the detail-page attributes of a listing
+   * Returns the recorded field changes (none on the first scrape)
+   */
+  async upsertListingDetails(listingId, details) {
+    const existing = await this.pool.query(
+      'SELECT * FROM listing_details WHERE listing_id = $1',
+      [listingId]
+    );
+    const changes = existing.rows.length > 0
+      ? await recordListingChanges(this.pool, listingId, diffListingDetails(existing.rows[0], details))
+      : [];
+
+    await this.pool.query(
+      `INSERT INTO listing_details
+       (listing_id, mls_number, description, property_type, building_style, year_built,
+        lot_size, annual_taxes, condo_fees, parking, parking_spaces, heating, scraped_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+       ON CONFLICT (listing_id) DO UPDATE SET
+         mls_number = COALESCE(EXCLUDED.mls_number, listing_details.mls_number),
+         description = COALESCE(EXCLUDED.description, listing_details.description),
+         property_type = COALESCE(EXCLUDED.property_type, listing_details.property_type),
+         building_style = COALESCE(EXCLUDED.building_style, listing_details.building_style),
+         year_built = COALESCE(EXCLUDED.year_built, listing_details.year_built),
+         lot_size = COALESCE(EXCLUDED.lot_size, listing_details.lot_size),
+         annual_taxes = COALESCE(EXCLUDED.annual_taxes, listing_details.annual_taxes),
+         condo_fees = COALESCE(EXCLUDED.condo_fees, listing_details.condo_fees),
+         parking = COALESCE(EXCLUDED.parking, listing_details.parking),
+         parking_spaces = COALESCE(EXCLUDED.parking_spaces, listing_details.parking_spaces),
+         heating = COALESCE(EXCLUDED.heating, listing_details.heating),
+         scraped_at = NOW()`,
+      [
+        listingId,
+        details.mlsNumber,
+        details.description,
+        details.propertyType,
+        details.buildingStyle,
+        details.yearBuilt,
+        details.lotSize,
+        details.annualTaxes,
+        details.condoFees,
+        details.parking,
+        details.parkingSpaces,
+        details.heating,
+      ]
+    );
+
+    // The detail page is the most reliable source of the MLS® number
+    const mlsNumber = normalizeMlsNumber(details.mlsNumber);
+    if (mlsNumber) {
+      await this.pool.query(
+        'UPDATE listings SET mls_number = $2 WHERE id = $1',
+        [listingId, mlsNumber]
       );
+    }
 
-      let listingId;
-      let isNew = false;
-      let priceChanged = false;
-      let oldPrice = null;
-
-      if (existing.rows.length === 0) {
-        // New listing
-        const result = await client.query(
-          `INSERT INTO listings 
-           (realtor_url, price, street, town, province, beds, baths, sqft, lat, lng, image_urls, listed_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-           RETURNING id`,
-          [
-            data.detailUrl,
-            data.price,
-            data.street,
-            data.town,
-            data.province,
-            data.beds,
-            data.baths,
-            data.sqft,
-            data.lat || null,
-            data.lng || null,
-            data.imageUrls || [],
-            data.listedAt ? new Date(data.listedAt) : null,
-          ]
-        );
-        listingId = result.rows[0].id;
-        isNew = true;
-
-        // Record initial price
-        if (data.price) {
-          await client.query(
-            'INSERT INTO price_history (listing_id, price) VALUES ($1, $2)',
-            [listingId, data.price]
-          );
-        }
-      } else {
-        // Existing listing - update
-        listingId = existing.rows[0].id;
-        oldPrice = existing.rows[0].price;
+    return changes;
+  }
+
+  /**
+   * Get active listings whose photos should be (re-)verified
+   * Never-verified first, then listings whose photos changed, then ones older than reverifyDays
+   */
+  async getListingsNeedingImageVerification({ reverifyDays = 7, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT l.id, l.street, l.image_urls
+       FROM listings l
+       WHERE l.is_active = TRUE
+       AND cardinality(l.image_urls) > 0
+       AND (
+         l.images_verified_at IS NULL
+         OR l.images_verified_at < NOW() - make_interval(days => $1)
+         OR EXISTS (
+           SELECT 1 FROM listing_changes c
+           WHERE c.listing_id = l.id AND c.field = 'photos' AND c.changed_at > l.images_verified_at
+         )
+       )
+       ORDER BY l.images_verified_at ASC NULLS FIRST, l.first_seen_at DESC
+       LIMIT $2`,
+      [reverifyDays, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Listings without coordinates, newest first
+   * With belowConfidence, also listings geocoded less confidently than that
+   */
+  async getListingsMissingCoordinates({ limit = 500, belowConfidence = null } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, street, town, province, lat, lng, geocode_provider, geocode_confidence
+       FROM listings
+       WHERE street IS NOT NULL
+       AND (
+         lat IS NULL OR lng IS NULL
+         OR (geocode_confidence IS NOT NULL AND geocode_confidence < $2)
+       )
+       ORDER BY (lat IS NULL) DESC, first_seen_at DESC
+       LIMIT $1`,
+      [limit, belowConfidence]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Store geocoded coordinates on a listing
+   */
+  async setListingCoordinates(listingId, { lat, lng, provider, confidence }) {
+    await this.pool.query(
+      `UPDATE listings
+       SET lat = $2, lng = $3, geocode_provider = $4, geocode_confidence = $5, updated_at = NOW()
+       WHERE id = $1`,
+      [listingId, lat, lng, provider, confidence]
+    );
+  }
+
+  /**
+   * Listings whose address hasn't been split into parts (all listings with all = true)
+   */
+  async getListingsToNormalize({ limit = 1000, afterId = 0, all = false } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, street, town, province
+       FROM listings
+       WHERE id > $1 AND street IS NOT NULL AND ($2 OR address_key IS NULL)
+       ORDER BY id
+       LIMIT $3`,
+      [afterId, all, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Store parsed address parts: [{ id, parts }] with parts from parseAddress()
+   */
+  async saveListingAddresses(entries) {
+    if (entries.length === 0) return;
+
+    await this.pool.query(
+      `UPDATE listings l
+       SET unit = a.unit, civic_number = a.civic_number, street_name = a.street_name,
+           street_type = a.street_type, street_direction = a.street_direction,
+           municipality = a.municipality, neighborhood = COALESCE(a.neighborhood, l.neighborhood),
+           province_code = a.province_code, postal_code = COALESCE(a.postal_code, l.postal_code),
+           fsa = COALESCE(a.fsa, l.fsa), address_key = a.address_key
+       FROM jsonb_to_recordset($1::jsonb) AS a(id INTEGER, ${ADDRESS_RECORD})
+       WHERE l.id = a.id`,
+      [JSON.stringify(entries.map(({ id, parts }) => ({ id, ...addressColumns(parts) })))]
+    );
+  }
+
+  /**
+   * Replace a listing's verified photos and mark it verified
+   */
+  async saveVerifiedImages(listingId, images) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM listing_images WHERE listing_id = $1', [listingId]);
 
+      if (images.length > 0) {
         await client.query(
-          `UPDATE listings 
-           SET price = $2, 
-               last_seen_at = NOW(), 
-               updated_at = NOW(),
-               is_active = TRUE,
-               image_urls = COALESCE($3, image_urls)
-           WHERE id = $1`,
-          [listingId, data.price, data.imageUrls]
+          `INSERT INTO listing_images (listing_id, position, url, width, height)
+           SELECT $1, i.position, i.url, i.width, i.height
+           FROM jsonb_to_recordset($2::jsonb) AS i(position INTEGER, url TEXT, width INTEGER, height INTEGER)`,
+          [listingId, JSON.stringify(images.map((image, i) => ({ ...image, position: i + 1 })))]
         );
-
-        // Check for price change
-        if (data.price && oldPrice && data.price !== oldPrice) {
-          priceChanged = true;
-          await client.query(
-            'INSERT INTO price_history (listing_id, price) VALUES ($1, $2)',
-            [listingId, data.price]
-          );
-        }
       }
 
+      await client.query(
+        'UPDATE listings SET images_verified_at = NOW() WHERE id = $1',
+        [listingId]
+      );
       await client.query('COMMIT');
-
-      return {
-        listingId,
-        isNew,
-        priceChanged,
-        oldPrice,
-        newPrice: data.price,
-      };
     } catch (err) {
       await client.query('ROLLBACK');
       throw err;
@@ -284,19 +465,20 @@ class Database {
   }
 
   /**
-   * Mark listings not seen in recent scrape as inactive
+   * Mark listings not seen in a scrape as inactive: those from earlier runs of
+   * planId, or every listing from the source after a full sweep (no planId)
    */
-  async markInactiveListings(activeIds) {
-    if (activeIds.length === 0) return;
+  async markInactiveListings(activeIds, source = DEFAULT_SOURCE, { planId = null } = {}) {
+    if (activeIds.length === 0) return 0;
 
-    await this.pool.query(
-      `UPDATE listings 
-       SET is_active = FALSE, updated_at = NOW()
-       WHERE id NOT IN (SELECT UNNEST($1::int[]))
-       AND is_active = TRUE
-       AND last_seen_at < NOW() - INTERVAL '24 hours'`,
-      [activeIds]
-    );
+    return delistUnseenListings(this.pool, activeIds, source, { planId });
+  }
+
+  /**
+   * Set a listing's lifecycle status (e.g. sold/conditional from its detail page)
+   */
+  async updateListingStatus(listingId, status) {
+    return setListingStatus(this.pool, listingId, status);
   }
 
   /**
@@ -0,0 +1,134 @@
+/**
+ * HouseWipe Image Verifier
+ * Checks guessed Realtor.ca photo URLs (..._1.jpg, ..._2.jpg, ...) and keeps
+ * only the ones that exist, with their dimensions.
+ */
+
+// Photos are numbered consecutively, so stop after this many misses in a row
+const MAX_CONSECUTIVE_MISSES = 2;
+
+// Enough of the file to reach the JPEG frame header in practice
+const HEADER_BYTES = 64 * 1024;
+
+/**
+ * Read width/height from the start of a JPEG or PNG file
+ * Returns { width, height } or null
+ */
+function parseImageSize(buffer) {
+  // PNG: IHDR chunk right after the signature
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk segments until a start-of-frame marker
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+class ImageVerifier {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.delayMs = options.delayMs ?? 100;
+  }
+
+  /**
+   * HEAD-check a URL, then read its header bytes for dimensions
+   * Returns { url, width, height } or null if the image doesn't exist
+   */
+  async verifyUrl(url) {
+    const head = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!head.ok) return null;
+
+    const contentType = head.headers.get('content-type') || '';
+    if (contentType && !contentType.startsWith('image/')) return null;
+
+    let size = null;
+    try {
+      const response = await fetch(url, {
+        headers: { Range: `bytes=0-${HEADER_BYTES - 1}` },
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      if (response.ok) {
+        size = parseImageSize(await this.readHeader(response));
+      }
+    } catch (err) {
+      // Dimensions are nice to have; the HEAD check already proved the image exists
+      console.error(`   ⚠️  Could not read size of ${url}: ${err.message}`);
+    }
+
+    return { url, width: size?.width ?? null, height: size?.height ?? null };
+  }
+
+  /**
+   * Read up to HEADER_BYTES from a response body, even if the server ignored the Range header
+   */
+  async readHeader(response) {
+    const chunks = [];
+    let length = 0;
+    const reader = response.body.getReader();
+
+    try {
+      while (length < HEADER_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+      }
+    } finally {
+      await reader.cancel().catch(() => {});
+    }
+
+    return Buffer.concat(chunks).subarray(0, HEADER_BYTES);
+  }
+
+  /**
+   * Verify a listing's candidate URLs in order
+   * Returns the images that exist: [{ url, width, height }]
+   */
+  async verifyListing(candidateUrls) {
+    const images = [];
+    let misses = 0;
+
+    for (const url of candidateUrls) {
+      let image = null;
+      try {
+        image = await this.verifyUrl(url);
+      } catch (err) {
+        // Network errors shouldn't count as a missing photo, so give up on this listing
+        throw new Error(`Image check failed for ${url}: ${err.message}`);
+      }
+
+      if (image) {
+        images.push(image);
+        misses = 0;
+      } else if (++misses >= MAX_CONSECUTIVE_MISSES) {
+        break;
+      }
+
+      if (this.delayMs > 0) {
+        await new Promise(r => setTimeout(r, this.delayMs));
+      }
+    }
+
+    return images;
+  }
+}
+
+module.exports = { ImageVerifier, parseImageSize };
@@ -4,107 +4,367 @@
  */
 
 require('dotenv').config();
+const os = require('os');
 const cron = require('node-cron');
-const { RealtorScraper } = require('./scraper');
+const { ListingScraper } = require('./scraper');
+const { ProxyPool } = require('./proxies');
+const { DEFAULT_SOURCE, getSource } = require('./sources');
+const { ImageVerifier } = require('./image-verifier');
 const { Database } = require('./db');
+const { AlertEngine } = require('../../shared/alerts');
+const { IngestService } = require('../../shared/ingest');
+const { createGeocoder } = require('../../shared/geocode');
+const { parseAddress } = require('../../shared/address');
+const { runMigrateCommand } = require('../../shared/migrator');
+const { planSearchOptions } = require('../../shared/scrape-plans');
+const { JobCancelledError, jobOverridesPlan } = require('../../shared/scrape-jobs');
 
 const db = new Database();
+const alertEngine = new AlertEngine(db.pool);
+const geocoder = createGeocoder(db.pool);
+const ingestService = new IngestService(db.pool, { alertEngine, geocoder });
 
 /**
- * Geocode an address using Geoapify
+ * Geocode listings that have no coordinates (or, with belowConfidence, only rough ones)
+ * Answers come from geocode_cache when the address was looked up before
  */
-async function geocodeAddress(address) {
-  const apiKey = process.env.GEOAPIFY_API_KEY;
-  if (!apiKey) return null;
+async function runGeocodeBackfill(options = {}) {
+  const { limit = 500, belowConfidence = null, dryRun = false } = options;
 
-  try {
-    const cleanedAddress = address
-      .replace(/\([^)]*\)/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
+  const listings = await db.getListingsMissingCoordinates({ limit, belowConfidence });
+  if (listings.length === 0) {
+    console.log('📍 No listings need geocoding');
+    return 0;
+  }
 
-    const url = `https://api.geoapify.com/v1/geocode/search?text=${encodeURIComponent(cleanedAddress)}&filter=countrycode:ca&limit=1&apiKey=${apiKey}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) return null;
+  console.log(`\n📍 Geocoding ${listings.length} listings${dryRun ? ' (dry run)' : ''}...`);
+  let geocoded = 0;
 
-    const data = await response.json();
-    if (data.features && data.features.length > 0) {
-      const coords = data.features[0].geometry.coordinates;
-      return { lat: coords[1], lng: coords[0] };
+  for (const listing of listings) {
+    const result = await geocoder.geocode(listing);
+    const better = result && (listing.lat === null || result.confidence > (listing.geocode_confidence ?? 0));
+    if (!better) {
+      console.log(`   ❔ ${listing.street}, ${listing.town || '-'}: ${result ? 'no better match' : 'not found'}`);
+      continue;
+    }
+
+    if (!dryRun) await db.setListingCoordinates(listing.id, result);
+    geocoded++;
+    console.log(`   ✅ ${listing.street}, ${listing.town || '-'}: ${result.lat.toFixed(5)}, ${result.lng.toFixed(5)} ` +
+      `(${result.provider}, confidence ${result.confidence.toFixed(2)})`);
+  }
+
+  console.log(`   ${dryRun ? '🔍 Would geocode' : '✅ Geocoded'} ${geocoded}/${listings.length} listings`);
+  return geocoded;
+}
+
+/**
+ * Split stored addresses into unit, civic number, street, municipality, postal code...
+ * Listings are normalized on ingest; this fills in older rows (or redoes all with all = true)
+ */
+async function runAddressNormalization({ all = false, batchSize = 1000 } = {}) {
+  let afterId = 0;
+  let normalized = 0;
+
+  for (;;) {
+    const listings = await db.getListingsToNormalize({ limit: batchSize, afterId, all });
+    if (listings.length === 0) break;
+
+    await db.saveListingAddresses(listings.map(listing => ({ id: listing.id, parts: parseAddress(listing) })));
+    normalized += listings.length;
+    afterId = listings[listings.length - 1].id;
+    console.log(`   🏷️  Normalized ${normalized} addresses...`);
+  }
+
+  console.log(normalized > 0 ? `✅ Normalized ${normalized} addresses` : '🏷️  No addresses to normalize');
+  return normalized;
+}
+
+/**
+ * Scrape detail pages for new listings and listings due for a refresh
+ * Refresh cadence is DETAIL_REFRESH_DAYS (default 14)
+ */
+async function runDetailPass(options = {}) {
+  const {
+    listingIds = [],
+    limit = parseInt(process.env.DETAIL_PAGE_LIMIT) || 50,
+    refreshDays = parseInt(process.env.DETAIL_REFRESH_DAYS) || 14,
+  } = options;
+
+  const listings = await db.getListingsNeedingDetails({ listingIds, refreshDays, limit });
+  if (listings.length === 0) {
+    console.log('📄 No listings need detail pages');
+    return 0;
+  }
+
+  console.log(`\n📄 Scraping ${listings.length} detail pages...`);
+  let enriched = 0;
+  let alertsCreated = 0;
+
+  // Detail pages are parsed by the adapter the listing was scraped with
+  const bySource = new Map();
+  for (const listing of listings) {
+    if (!bySource.has(listing.source)) bySource.set(listing.source, []);
+    bySource.get(listing.source).push(listing);
+  }
+
+  for (const [source, sourceListings] of bySource) {
+    const idByUrl = new Map(sourceListings.map(l => [l.realtor_url, l.id]));
+    const scraper = new ListingScraper({
+      source,
+      headless: process.env.HEADLESS !== 'false',
+      proxies: getProxyPool(),
+    });
+
+    await scraper.scrapeDetails(sourceListings.map(l => l.realtor_url), {
+      onDetails: async (url, details) => {
+        const listingId = idByUrl.get(url);
+        const changes = await db.upsertListingDetails(listingId, details);
+        if (changes.length > 0) {
+          alertsCreated += await alertEngine.createFieldChangeAlerts(changes);
+        }
+        if (details.status && await db.updateListingStatus(listingId, details.status)) {
+          console.log(`   🏷️  ${url} is now ${details.status}`);
+        }
+        enriched++;
+      },
+    });
+  }
+
+  console.log(`   ✅ Enriched ${enriched}/${listings.length} listings`);
+  if (alertsCreated > 0) {
+    console.log(`   🔔 Created ${alertsCreated} alerts`);
+  }
+  return enriched;
+}
+
+/**
+ * Verify guessed photo URLs and store the ones that exist
+ * Re-verification cadence is IMAGE_REVERIFY_DAYS (default 7)
+ */
+async function runImageVerification(options = {}) {
+  const {
+    limit = parseInt(process.env.IMAGE_VERIFY_LIMIT) || 100,
+    reverifyDays = parseInt(process.env.IMAGE_REVERIFY_DAYS) || 7,
+  } = options;
+
+  const listings = await db.getListingsNeedingImageVerification({ reverifyDays, limit });
+  if (listings.length === 0) {
+    console.log('🖼️  No listings need image verification');
+    return 0;
+  }
+
+  console.log(`\n🖼️  Verifying images for ${listings.length} listings...`);
+  const verifier = new ImageVerifier();
+  let verified = 0;
+
+  for (const listing of listings) {
+    try {
+      const images = await verifier.verifyListing(listing.image_urls);
+      await db.saveVerifiedImages(listing.id, images);
+      verified++;
+      console.log(`   ✅ ${listing.street}: ${images.length}/${listing.image_urls.length} images`);
+    } catch (err) {
+      // Leave the listing unverified so the next run retries it
+      console.error(`   ❌ ${listing.street}: ${err.message}`);
+    }
+  }
+
+  console.log(`   ✅ Verified ${verified}/${listings.length} listings`);
+  return verified;
+}
+
+// Run in progress, marked interrupted if the process is stopped
+let currentRunId = null;
+// Scrape job being worked on, put back in the queue if the process is stopped
+let currentJobId = null;
+
+// Scrapes go one at a time so plans and jobs never share the browser or the proxies
+let scrapeQueue = Promise.resolve();
+function runExclusive(fn) {
+  const result = scrapeQueue.then(fn);
+  scrapeQueue = result.catch(() => {});
+  return result;
+}
+
+// One pool per process so proxy failure scores carry over between runs
+let proxyPool = null;
+function getProxyPool() {
+  if (!proxyPool) proxyPool = ProxyPool.fromEnv();
+  return proxyPool;
+}
+
+/**
+ * Split a search into segments for parallel workers
+ * SCRAPE_SPLIT sets the number of parts (default: SCRAPE_CONCURRENCY),
+ * SCRAPE_SPLIT_BY picks price bands or map tiles (auto|price|tiles)
+ */
+function splitSearch(scraper, searchOptions) {
+  const parts = parseInt(process.env.SCRAPE_SPLIT) || scraper.concurrency;
+  const by = process.env.SCRAPE_SPLIT_BY || 'auto';
+
+  return scraper.source.splitSearch(searchOptions, parts, by).map(options => ({
+    searchUrl: scraper.source.buildSearchUrl(options),
+    pageCursor: 0,
+    done: false,
+  }));
+}
+
+/**
+ * Segments of a run being resumed (runs from before segments had a single search URL)
+ */
+function runSegments(run) {
+  return run.segments || [{ searchUrl: run.search_url, pageCursor: run.page_cursor, done: false }];
+}
+
+/**
+ * Save one page of listings through the ingest service
+ * Returns the saved listings' results and the alerts created
+ */
+async function saveListings(listings, stats, source) {
+  const { results, alertsCreated } = await ingestService.ingest(listings, { source });
+
+  for (const result of results) {
+    const listing = listings[result.index];
+    stats.found++;
+
+    if (result.outcome === 'rejected') {
+      console.log(`   ⚠️  Skipped ${result.detailUrl || `item ${result.index}`}: ${result.errors.join('; ')}`);
+    } else if (result.status === 'relisted' && result.isNew) {
+      stats.new++;
+      console.log(`   🔁 Relisted: ${listing.street} - $${listing.price?.toLocaleString()}`);
+    } else if (result.isNew) {
+      stats.new++;
+      console.log(`   ✨ New: ${listing.street} - $${listing.price?.toLocaleString()}`);
+    } else if (result.priceChanged) {
+      stats.priceChanges++;
+      const direction = result.newPrice < result.oldPrice ? '📉' : '📈';
+      console.log(`   ${direction} Price change: ${listing.street} - $${result.oldPrice?.toLocaleString()} → $${result.newPrice?.toLocaleString()}`);
+    } else {
+      stats.updated++;
     }
-  } catch (err) {
-    console.error('Geocoding error:', err.message);
   }
-  return null;
+
+  return { results: results.filter(r => r.outcome !== 'rejected'), alertsCreated };
 }
 
 /**
  * Run a full scrape
+ * Each results page is saved and checkpointed as soon as it's scraped; pass
+ * resumeRun (a scrape_runs row) to continue a run from its checkpoint.
+ * Listings missing from the results are delisted only within the plan's area, or
+ * source-wide when sweep says the search covers the whole source; otherwise not at all.
+ * Runs cut short by maxListings or maxPages don't delist.
+ * onStart(runId) is awaited once the run exists and onPage({ segment, page, listings,
+ * new, updated, priceChanges }) after each checkpoint; throwing from onPage stops the scrape.
  */
 async function runScrape(options = {}) {
   const {
     maxListings = 500,
     searchOptions = { maxPrice: 700000 },
+    source = process.env.SCRAPE_SOURCE || DEFAULT_SOURCE,
+    details = process.env.SCRAPE_DETAILS === 'true',
+    plan = null,
+    sweep = false,
+    resumeRun = null,
+    onStart = null,
+    onPage = null,
   } = options;
 
-  console.log('\n🏠 Starting HouseWipe scrape...');
+  console.log(resumeRun ? `\n🏠 Resuming scrape run #${resumeRun.id}...` : '\n🏠 Starting HouseWipe scrape...');
+  if (plan) console.log(`   Plan: ${plan.name}`);
+  console.log(`   Source: ${source}`);
   console.log(`   Max listings: ${maxListings}`);
   console.log(`   Search options:`, searchOptions);
 
-  const runId = await db.startScrapeRun();
-  const stats = { found: 0, new: 0, updated: 0, priceChanges: 0 };
-  const activeListingIds = [];
-
-  const scraper = new RealtorScraper({
+  const scraper = new ListingScraper({
+    source,
     headless: process.env.HEADLESS !== 'false',
+    proxies: getProxyPool(),
+    proxyStats: resumeRun ? resumeRun.proxy_stats : null,
   });
 
-  try {
-    const listings = await scraper.scrape({
-      maxListings,
-      searchOptions,
-      onPage: (page, total) => {
-        console.log(`   📄 Page ${page}: ${total} listings so far`);
-      },
-    });
+  const segments = resumeRun ? runSegments(resumeRun) : splitSearch(scraper, searchOptions);
+  const runId = resumeRun ? resumeRun.id : await db.startScrapeRun({
+    planId: plan ? plan.id : null,
+    source,
+    searchUrl: scraper.source.buildSearchUrl(searchOptions),
+    segments,
+    options: { maxListings, searchOptions, details, sweep },
+  });
+  const stats = resumeRun
+    ? {
+      found: resumeRun.listings_found,
+      new: resumeRun.listings_new,
+      updated: resumeRun.listings_updated,
+      priceChanges: resumeRun.price_changes,
+    }
+    : { found: 0, new: 0, updated: 0, priceChanges: 0 };
+  const activeListingIds = resumeRun ? [...resumeRun.seen_listing_ids] : [];
+  const newListingIds = [];
+  let alertsCreated = 0;
 
-    console.log(`\n💾 Saving ${listings.length} listings to database...`);
+  // Workers finish pages concurrently; save and checkpoint one page at a time
+  let saving = Promise.resolve();
+  const serially = (fn) => (...args) => (saving = saving.then(() => fn(...args)));
 
-    for (const listing of listings) {
-      stats.found++;
+  currentRunId = runId;
+  try {
+    if (onStart) await onStart(runId);
+    await scraper.scrape({
+      maxListings,
+      segments,
+      collected: stats.found,
+      onPage: serially(async (segmentIndex, pageNum, listings, total) => {
+        const label = segments.length > 1 ? `Segment ${segmentIndex + 1} page ${pageNum}` : `Page ${pageNum}`;
+        console.log(`   💾 ${label}: saving ${listings.length} listings (${total} so far)`);
+        const before = { ...stats };
+        // Saving also notifies users about changes to their listings
+        const saved = await saveListings(listings, stats, scraper.source.name);
+        const listingIds = saved.results.map(r => r.listingId);
+        activeListingIds.push(...listingIds);
+        newListingIds.push(...saved.results.filter(r => r.isNew).map(r => r.listingId));
+        alertsCreated += saved.alertsCreated;
 
-      // Geocode if we don't have coordinates
-      if (!listing.lat && listing.street) {
-        const fullAddress = `${listing.street}, ${listing.town || ''}, ${listing.province || ''}, Canada`;
-        const coords = await geocodeAddress(fullAddress);
-        if (coords) {
-          listing.lat = coords.lat;
-          listing.lng = coords.lng;
+        await db.checkpointScrapeRun(runId, { segments, stats, proxyStats: scraper.proxyStats, listingIds });
+        if (onPage) {
+          await onPage({
+            segment: segmentIndex + 1,
+            page: pageNum,
+            listings: listings.length,
+            new: stats.new - before.new,
+            updated: stats.updated - before.updated,
+            priceChanges: stats.priceChanges - before.priceChanges,
+          });
         }
-        // Rate limit geocoding
-        await new Promise(r => setTimeout(r, 100));
-      }
+      }),
+      onSegmentDone: serially(() => db.checkpointScrapeRun(runId, { segments, stats, proxyStats: scraper.proxyStats })),
+    });
 
-      const result = await db.upsertListing(listing);
-      activeListingIds.push(result.listingId);
-
-      if (result.isNew) {
-        stats.new++;
-        console.log(`   ✨ New: ${listing.street} - $${listing.price?.toLocaleString()}`);
-      } else if (result.priceChanged) {
-        stats.priceChanges++;
-        const direction = result.newPrice < result.oldPrice ? '📉' : '📈';
-        console.log(`   ${direction} Price change: ${listing.street} - $${result.oldPrice?.toLocaleString()} → $${result.newPrice?.toLocaleString()}`);
-      } else {
-        stats.updated++;
+    // Mark listings that dropped out of the results as delisted, only after the whole
+    // search was read: listings on pages or segments never scraped aren't gone
+    const complete = segments.every(segment => segment.done && !segment.partial) && stats.found < maxListings;
+    if ((plan || sweep) && !complete) {
+      console.log('   ⏭️  Stopped at maxListings or maxPages; not delisting');
+    } else if (plan || sweep) {
+      const delisted = await db.markInactiveListings(activeListingIds, scraper.source.name, {
+        planId: plan ? plan.id : null,
+      });
+      if (delisted > 0) {
+        console.log(`   📴 Delisted ${delisted} listings`);
       }
     }
 
-    // Mark old listings as inactive
-    await db.markInactiveListings(activeListingIds);
+    if (alertsCreated > 0) {
+      console.log(`   🔔 Created ${alertsCreated} alerts`);
+    }
+
+    // Optional detail-page pass: new listings first, then stale ones
+    if (details) {
+      await runDetailPass({ listingIds: newListingIds });
+    }
 
-    await db.completeScrapeRun(runId, stats);
+    await db.completeScrapeRun(runId, stats, scraper.proxyStats);
 
     console.log('\n✅ Scrape complete!');
     console.log(`   Found: ${stats.found}`);
@@ -115,9 +375,395 @@ async function runScrape(options = {}) {
     return stats;
 
   } catch (err) {
+    if (err instanceof JobCancelledError) {
+      console.log(`\n⏹️  ${err.message}; continue with: node src/index.js resume ${runId}`);
+      await db.interruptScrapeRun(runId);
+      throw err;
+    }
     console.error('❌ Scrape failed:', err);
-    await db.failScrapeRun(runId, err.message);
+    await db.failScrapeRun(runId, err.message, scraper.proxyStats);
+    console.error(`   Saved up to the last checkpoint; continue with: node src/index.js resume ${runId}`);
     throw err;
+  } finally {
+    currentRunId = null;
+  }
+}
+
+/**
+ * Continue a failed or interrupted run from its last checkpoint
+ * onStart/onPage are passed to runScrape
+ */
+async function resumeScrape(runId, { force = false, onStart = null, onPage = null } = {}) {
+  if (!Number.isInteger(runId)) {
+    throw Object.assign(new Error('Usage: node src/index.js resume <runId> [--force]'), { status: 400 });
+  }
+
+  const run = await db.getScrapeRun(runId);
+  if (!run) {
+    throw Object.assign(new Error(`Scrape run ${runId} not found`), { status: 404 });
+  }
+  if (!run.segments && !run.search_url) {
+    throw Object.assign(new Error(`Scrape run ${runId} has no checkpoint to resume from`), { status: 400 });
+  }
+  if (run.status === 'completed') {
+    throw Object.assign(new Error(`Scrape run ${runId} already completed`), { status: 400 });
+  }
+  // A 'running' run may still be alive in another process (or died with kill -9)
+  if (run.status === 'running' && !force) {
+    throw Object.assign(new Error(`Scrape run ${runId} is still marked running; pass --force if its process is gone`), { status: 400 });
+  }
+
+  const options = run.options || {};
+  const plan = run.plan_id ? await db.getScrapePlan(run.plan_id) : null;
+  const segments = runSegments(run);
+  const remaining = segments.filter(segment => !segment.done).length;
+  console.log(`⏯️  Run #${run.id} (${run.status}) stopped after ${run.page_cursor} page(s) with ${run.listings_found} listings; ${remaining}/${segments.length} segment(s) left`);
+
+  return runScrape({
+    resumeRun: await db.resumeScrapeRun(run.id),
+    plan,
+    source: run.source || DEFAULT_SOURCE,
+    maxListings: options.maxListings,
+    searchOptions: options.searchOptions,
+    details: options.details,
+    sweep: options.sweep,
+    onStart,
+    onPage,
+  });
+}
+
+/**
+ * Run a scrape plan's search
+ */
+async function runPlan(plan) {
+  return runScrape({
+    plan,
+    source: plan.source,
+    maxListings: plan.max_listings,
+    searchOptions: planSearchOptions(plan),
+  });
+}
+
+/**
+ * Schedule every enabled scrape plan on its own cron
+ * Plans are reloaded every 5 minutes so CLI/API edits apply without a restart.
+ * With no enabled plans, the default search runs on fallbackCron.
+ */
+async function schedulePlans(fallbackCron) {
+  const tasks = new Map(); // plan id (or 'default') -> { cron, task }
+
+  const enqueue = (planId) => {
+    runExclusive(async () => {
+      // Without plans the default search is the only one, so it covers the whole source
+      if (planId === 'default') return runScrape({ sweep: true });
+
+      const plan = await db.getScrapePlan(planId);
+      if (plan && plan.enabled) await runPlan(plan);
+    }).catch(err => console.error('Scheduled scrape failed:', err));
+  };
+
+  const schedule = (key, cronExpr, label) => {
+    tasks.set(key, {
+      cron: cronExpr,
+      task: cron.schedule(cronExpr, () => {
+        console.log(`\n⏰ Scheduled scrape triggered: ${label}`);
+        enqueue(key);
+      }),
+    });
+    console.log(`📅 Scheduled ${label} with cron: ${cronExpr}`);
+  };
+
+  const reload = async () => {
+    if (process.env.SCRAPE_PLANS_FROM_SEARCHES === 'true') {
+      const { created, removed } = await db.syncDerivedPlans({ cron: process.env.SCRAPE_PLANS_DERIVED_CRON });
+      if (created > 0 || removed > 0) {
+        console.log(`🔎 Saved-search plans: ${created} added, ${removed} removed`);
+      }
+    }
+
+    const plans = [];
+    for (const plan of await db.listScrapePlans({ enabledOnly: true })) {
+      if (cron.validate(plan.cron)) plans.push(plan);
+      else console.error(`⚠️  Plan "${plan.name}" has an invalid cron: ${plan.cron}`);
+    }
+    const wanted = new Map(plans.map(plan => [plan.id, plan]));
+    if (plans.length === 0) wanted.set('default', { cron: fallbackCron, name: 'default search' });
+
+    for (const [key, entry] of tasks) {
+      const plan = wanted.get(key);
+      if (!plan || plan.cron !== entry.cron) {
+        entry.task.stop();
+        tasks.delete(key);
+      }
+    }
+    for (const [key, plan] of wanted) {
+      if (!tasks.has(key)) schedule(key, plan.cron, key === 'default' ? plan.name : `plan "${plan.name}"`);
+    }
+
+    return [...wanted.keys()];
+  };
+
+  // Run everything once on start, then on schedule
+  const keys = await reload();
+  keys.forEach(enqueue);
+
+  cron.schedule('*/5 * * * *', () => {
+    reload().catch(err => console.error('Reloading scrape plans failed:', err));
+  });
+}
+
+/**
+ * Run a claimed scrape job
+ * A job whose previous worker stopped mid-way resumes that worker's run. The job's
+ * heartbeat is sent every 30 seconds and after each page, which also checks for cancellation.
+ */
+async function runJob(job, workerId) {
+  console.log(`\n📥 Scrape job #${job.id} (attempt ${job.attempts})`);
+  currentJobId = job.id;
+  const heartbeat = setInterval(() => {
+    db.touchScrapeJob(job.id).catch(err => console.error('Scrape job heartbeat failed:', err.message));
+  }, 30000);
+
+  const hooks = {
+    onStart: (runId) => db.setScrapeJobRun(job.id, runId),
+    onPage: async (entry) => {
+      await db.logScrapeJob(job.id, entry);
+      if (await db.touchScrapeJob(job.id)) throw new JobCancelledError(job.id);
+    },
+  };
+
+  try {
+    const run = job.run_id ? await db.getScrapeRun(job.run_id) : null;
+    if (run && run.status !== 'completed') {
+      await db.logScrapeJob(job.id, { message: `Resuming run #${run.id} on ${workerId}` });
+      await resumeScrape(run.id, { force: true, ...hooks });
+    } else if (!run) {
+      await db.logScrapeJob(job.id, { message: `Started on ${workerId}` });
+      let plan = job.plan_id ? await db.getScrapePlan(job.plan_id) : null;
+      // Run a narrowed plan search as a one-off, so it doesn't delist the rest of the plan
+      if (plan && jobOverridesPlan(job, plan)) {
+        await db.logScrapeJob(job.id, { message: `Search differs from plan #${plan.id}; not delisting for the plan` });
+        plan = null;
+      }
+      await runScrape({
+        plan,
+        source: job.source,
+        maxListings: job.max_listings,
+        searchOptions: job.search_options,
+        details: job.details,
+        ...hooks,
+      });
+    }
+
+    await db.finishScrapeJob(job.id, 'completed');
+    await db.logScrapeJob(job.id, { message: 'Completed' });
+    console.log(`📦 Scrape job #${job.id} completed`);
+  } catch (err) {
+    const cancelled = err instanceof JobCancelledError;
+    await db.finishScrapeJob(job.id, cancelled ? 'cancelled' : 'failed', cancelled ? null : err.message);
+    await db.logScrapeJob(job.id, { message: cancelled ? 'Cancelled' : `Failed: ${err.message}` });
+    console.log(`📦 Scrape job #${job.id} ${cancelled ? 'cancelled' : 'failed'}`);
+  } finally {
+    clearInterval(heartbeat);
+    currentJobId = null;
+  }
+}
+
+/**
+ * Poll scrape_jobs and run queued jobs, taking turns with scheduled plans
+ * Every poll first requeues jobs whose worker stopped sending heartbeats
+ * (SCRAPE_JOB_STALE_MINUTES), failing them after SCRAPE_JOB_MAX_ATTEMPTS workers.
+ */
+function startJobWorker(pollMs = parseInt(process.env.SCRAPE_JOB_POLL_MS) || 15000) {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const staleMinutes = parseInt(process.env.SCRAPE_JOB_STALE_MINUTES) || 5;
+  const maxAttempts = parseInt(process.env.SCRAPE_JOB_MAX_ATTEMPTS) || 3;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const job of await db.requeueStaleScrapeJobs({ staleMinutes, maxAttempts })) {
+        console.log(`♻️  Scrape job #${job.id} lost its worker (now ${job.status})`);
+      }
+
+      // Claim only once it's our turn, so a queued job isn't held while a plan runs
+      let job;
+      do {
+        job = await runExclusive(async () => {
+          const claimed = await db.claimScrapeJob(workerId);
+          if (claimed) await runJob(claimed, workerId);
+          return claimed;
+        });
+      } while (job);
+    } catch (err) {
+      console.error('Scrape job worker failed:', err);
+    } finally {
+      polling = false;
+    }
+  };
+
+  console.log(`👷 Scrape job worker ${workerId} polling every ${pollMs / 1000}s`);
+  setInterval(poll, pollMs);
+  poll();
+}
+
+/**
+ * Parse --kebab-case=value / --kebab-case value flags into camelCase keys
+ */
+function parseFlags(args) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(args[i]);
+      continue;
+    }
+
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    let value = match[2];
+    if (value === undefined) {
+      value = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : 'true';
+    }
+    flags[key] = value === 'true' ? true : value === 'false' ? false : value;
+  }
+
+  return { flags, positional };
+}
+
+function formatPlan(plan) {
+  const price = [plan.min_price, plan.max_price]
+    .map(p => (p === null ? '∞' : `$${p.toLocaleString()}`)).join('-');
+  const lastRun = plan.last_run_started_at
+    ? `last run ${new Date(plan.last_run_started_at).toISOString()} (${plan.last_run_status}, ${plan.last_run_listings} found)`
+    : 'never run';
+  return `  #${plan.id} ${plan.enabled ? '✅' : '⏸️ '} ${plan.name} [${plan.origin}, ${plan.source}] ` +
+    `${plan.region || `${plan.lat ?? '-'}, ${plan.lng ?? '-'} z${plan.zoom ?? '-'}`} ${price} ` +
+    `cron "${plan.cron}", ${lastRun}`;
+}
+
+/**
+ * plans list|add|update|enable|disable|remove|run|url|derive
+ */
+async function runPlansCommand(args) {
+  const [subcommand = 'list', ...rest] = args;
+  const { flags, positional } = parseFlags(rest);
+  const planId = parseInt(positional[0]);
+
+  const requirePlan = async () => {
+    const plan = Number.isInteger(planId) ? await db.getScrapePlan(planId) : null;
+    if (!plan) throw Object.assign(new Error(`Scrape plan ${positional[0] || '(missing id)'} not found`), { status: 404 });
+    return plan;
+  };
+
+  switch (subcommand) {
+    case 'list': {
+      const plans = await db.listScrapePlans();
+      console.log(plans.length > 0 ? `📋 ${plans.length} scrape plan(s)` : '📋 No scrape plans (schedule runs the default search)');
+      plans.forEach(plan => console.log(formatPlan(plan)));
+      break;
+    }
+
+    case 'add': {
+      const plan = await db.createScrapePlan({ ...flags, name: positional.join(' ') || flags.name });
+      console.log(`✅ Created plan #${plan.id}`);
+      console.log(formatPlan(plan));
+      break;
+    }
+
+    case 'update':
+    case 'enable':
+    case 'disable': {
+      await requirePlan();
+      const changes = subcommand === 'update' ? flags : { enabled: subcommand === 'enable' };
+      const plan = await db.updateScrapePlan(planId, changes);
+      console.log(`✅ Updated plan #${plan.id}`);
+      console.log(formatPlan(plan));
+      break;
+    }
+
+    case 'remove':
+      await requirePlan();
+      await db.deleteScrapePlan(planId);
+      console.log(`🗑️  Removed plan #${planId}`);
+      break;
+
+    case 'run':
+      await runPlan(await requirePlan());
+      break;
+
+    case 'url': {
+      // Printed last so scripts can take it with `| tail -1`
+      const plan = await requirePlan();
+      console.log(getSource(plan.source).buildSearchUrl(planSearchOptions(plan)));
+      break;
+    }
+
+    case 'derive': {
+      const dryRun = flags.dryRun === true;
+      const { plans, created, updated, removed } = await db.syncDerivedPlans({
+        cron: flags.cron || process.env.SCRAPE_PLANS_DERIVED_CRON,
+        dryRun,
+      });
+      for (const plan of plans) {
+        console.log(`  ${plan.name}: ${plan.region}, ${plan.search_ids.length} saved search(es)`);
+      }
+      console.log(`${dryRun ? '🔍 Would add' : '✅ Added'} ${created}, ${dryRun ? 'update' : 'updated'} ${updated}, ` +
+        `${dryRun ? 'remove' : 'removed'} ${removed} saved-search plan(s)`);
+      break;
+    }
+
+    default:
+      console.log('Usage:');
+      console.log('  plans list                         - Show scrape plans and their last run');
+      console.log('  plans add <name> [--flags]         - Add a plan (--lat --lng --zoom --min-price --max-price');
+      console.log('                                       --min-beds --min-baths --property-type --source');
+      console.log('                                       --search-url --max-listings --cron)');
+      console.log('  plans update <id> [--flags]        - Change a plan');
+      console.log('  plans enable|disable|remove <id>   - Toggle or delete a plan');
+      console.log('  plans run <id>                     - Run a plan now');
+      console.log('  plans url <id>                     - Print a plan\'s search URL');
+      console.log('  plans derive [--dry-run] [--cron]  - Regenerate plans from users\' saved searches');
+  }
+}
+
+/**
+ * proxies list|check [--url URL] [--timeout MS]
+ */
+async function runProxiesCommand(args) {
+  const [subcommand = 'list', ...rest] = args;
+  const { flags } = parseFlags(rest);
+  const pool = getProxyPool();
+
+  if (pool.size === 0) {
+    console.log('🌐 No proxies configured (set PROXY_LIST, PROXY_FILE or WEBSHARE_USER/WEBSHARE_PASS)');
+    return;
+  }
+
+  switch (subcommand) {
+    case 'list':
+      console.log(`🌐 ${pool.size} proxy(ies)`);
+      pool.proxies.forEach(proxy => console.log(`  ${proxy.label}`));
+      break;
+
+    case 'check': {
+      // Fetch PROXY_CHECK_URL (or --url) through every proxy
+      const results = await pool.checkAll({ url: flags.url, timeoutMs: parseInt(flags.timeout) || undefined });
+      for (const result of results) {
+        const detail = result.ok ? `HTTP ${result.status}` : result.error;
+        console.log(`  ${result.ok ? '✅' : '❌'} ${result.proxy.label} - ${detail} (${result.latencyMs}ms)`);
+      }
+      const healthy = results.filter(result => result.ok).length;
+      console.log(`🌐 ${healthy}/${results.length} proxies healthy`);
+      if (healthy === 0) process.exitCode = 1;
+      break;
+    }
+
+    default:
+      throw Object.assign(new Error(`Unknown proxies command "${subcommand}" (list, check)`), { status: 400 });
   }
 }
 
@@ -131,9 +777,50 @@ async function main() {
   console.log('🏠 HouseWipe Scraper');
   console.log('====================\n');
 
-  // Initialize database
+  // Schema commands run before the version check
+  if (command === 'init-db') {
+    await db.migrate();
+    console.log('✅ Database initialized');
+    await db.close();
+    return;
+  }
+  if (command === 'migrate') {
+    await runMigrateCommand(db.migrator, args.slice(1));
+    await db.close();
+    return;
+  }
+
+  // Proxy checks don't touch the database
+  if (command === 'proxies') {
+    try {
+      await runProxiesCommand(args.slice(1));
+    } catch (err) {
+      if (!err.status) throw err;
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 1;
+    }
+    await db.close();
+    return;
+  }
+
+  // Refuse to run against a schema version this build doesn't expect
   await db.init();
 
+  // Stopping mid-run leaves a resumable run instead of one stuck in 'running',
+  // and puts a job back in the queue for the next worker to resume
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      if (currentRunId) {
+        console.log(`\n⏸️  Interrupted; continue with: node src/index.js resume ${currentRunId}`);
+        await db.interruptScrapeRun(currentRunId).catch(err => console.error('Failed to mark run interrupted:', err));
+      }
+      if (currentJobId) {
+        await db.releaseScrapeJob(currentJobId).catch(err => console.error('Failed to requeue scrape job:', err));
+      }
+      process.exit(130);
+    });
+  }
+
   switch (command) {
     case 'once':
       // Run once and exit
@@ -146,38 +833,115 @@ async function main() {
       await db.close();
       break;
 
+    case 'resume':
+      // Continue a failed or interrupted run from its last saved page
+      try {
+        await resumeScrape(parseInt(args[1]), { force: args.includes('--force') });
+      } catch (err) {
+        if (!err.status) throw err;
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+      }
+      await db.close();
+      break;
+
+    case 'details':
+      // Scrape detail pages for listings missing or due for a refresh
+      await runDetailPass({ limit: parseInt(args[1]) || undefined });
+      await db.close();
+      break;
+
+    case 'merge-duplicates': {
+      // Fold rows for the same property (changed URL slug) into one listing
+      const dryRun = args.includes('--dry-run');
+      const groups = await db.mergeDuplicateListings({ dryRun });
+      for (const group of groups) {
+        console.log(`  #${group.canonicalId} ← ${group.duplicateIds.map(id => `#${id}`).join(', ')}`);
+      }
+      console.log(dryRun
+        ? `🔍 Found ${groups.length} duplicate group(s) (dry run, nothing changed)`
+        : `✅ Merged ${groups.length} duplicate group(s)`);
+      await db.close();
+      break;
+    }
+
+    case 'geocode-backfill': {
+      // Look up coordinates for listings without them (--below 0.5 also redoes rough ones)
+      const { flags, positional } = parseFlags(args.slice(1));
+      await runGeocodeBackfill({
+        limit: parseInt(positional[0]) || undefined,
+        belowConfidence: flags.below !== undefined ? parseFloat(flags.below) : null,
+        dryRun: flags.dryRun === true,
+      });
+      await db.close();
+      break;
+    }
+
+    case 'normalize-addresses':
+      // Parse addresses of listings saved before address parsing (--all re-parses every listing)
+      await runAddressNormalization({ all: args.includes('--all') });
+      await db.close();
+      break;
+
+    case 'verify-images':
+      // Check guessed photo URLs for listings that are unverified or due for a re-check
+      await runImageVerification({ limit: parseInt(args[1]) || undefined });
+      await db.close();
+      break;
+
     case 'schedule':
-      // Run on schedule (every 4 hours by default)
-      const cronExpr = args[1] || '0 */4 * * *';
-      console.log(`📅 Scheduling scrapes with cron: ${cronExpr}`);
-      
-      // Run immediately on start
-      runScrape().catch(console.error);
-
-      // Schedule future runs
-      cron.schedule(cronExpr, async () => {
-        console.log('\n⏰ Scheduled scrape triggered');
+      // Run each scrape plan on its cron (the default search every 4 hours without plans)
+      await schedulePlans(args[1] || '0 */4 * * *');
+
+      // Run on-demand jobs from the admin API between plan runs
+      if (process.env.SCRAPE_JOB_WORKER !== 'false') startJobWorker();
+
+      // Verify photos in the background (hourly by default)
+      const imageCron = process.env.IMAGE_VERIFY_CRON || '30 * * * *';
+      console.log(`🖼️  Scheduling image verification with cron: ${imageCron}`);
+      cron.schedule(imageCron, async () => {
         try {
-          await runScrape();
+          await runImageVerification();
         } catch (err) {
-          console.error('Scheduled scrape failed:', err);
+          console.error('Image verification failed:', err);
         }
       });
 
       console.log('Scraper running. Press Ctrl+C to stop.\n');
       break;
 
-    case 'init-db':
-      // Just initialize database and exit
-      console.log('✅ Database initialized');
+    case 'worker':
+      // Only run queued scrape jobs (no schedule)
+      startJobWorker();
+      console.log('Worker running. Press Ctrl+C to stop.\n');
+      break;
+
+    case 'plans':
+      try {
+        await runPlansCommand(args.slice(1));
+      } catch (err) {
+        if (!err.status) throw err;
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+      }
       await db.close();
       break;
 
     default:
       console.log('Usage:');
       console.log('  node src/index.js once [maxListings] [maxPrice]  - Run once');
-      console.log('  node src/index.js schedule [cron]                - Run on schedule');
-      console.log('  node src/index.js init-db                        - Initialize database only');
+      console.log('  node src/index.js schedule [cron]                - Run scrape plans on schedule (cron: default search without plans)');
+      console.log('  node src/index.js plans [list|add|run|derive...] - Manage scrape plans');
+      console.log('  node src/index.js worker                         - Run scrape jobs queued through the admin API');
+      console.log('  node src/index.js resume <runId> [--force]       - Continue a failed or interrupted run');
+      console.log('  node src/index.js details [limit]                - Scrape detail pages');
+      console.log('  node src/index.js proxies [list|check]           - List proxies or health-check them');
+      console.log('  node src/index.js verify-images [limit]          - Check photo URLs and keep the ones that exist');
+      console.log('  node src/index.js geocode-backfill [limit] [--below 0.5] [--dry-run] - Geocode listings missing lat/lng');
+      console.log('  node src/index.js normalize-addresses [--all]    - Split addresses into unit, street, postal code...');
+      console.log('  node src/index.js merge-duplicates [--dry-run]   - Merge listings with the same MLS® number');
+      console.log('  node src/index.js init-db                        - Apply all pending migrations');
+      console.log('  node src/index.js migrate status|up|down         - Manage schema migrations');
       await db.close();
   }
 }
@@ -1,50 +1,41 @@
 /**
- * HouseWipe Scraper - Realtor.ca Headless Scraper
- * Uses Playwright with proxy rotation for reliable scraping
+ * HouseWipe Scraper - Headless Listing Scraper
+ * Uses Playwright with proxy rotation for reliable scraping.
+ * Site-specific parsing lives in source adapters (./sources).
+ *
+ * A search can be split into segments (price bands or map tiles) that a pool of
+ * browser contexts scrapes in parallel, each worker with its own rate limit and
+ * exponential backoff when the site blocks it. Each context takes a proxy from
+ * the ProxyPool (./proxies) and a blocked context moves to another one.
  */
 
 const { chromium } = require('playwright');
 
-// Canadian provinces for validation
-const PROVINCES = [
-  'Ontario', 'Quebec', 'British Columbia', 'Alberta', 'Manitoba',
-  'Saskatchewan', 'Nova Scotia', 'New Brunswick', 'Newfoundland and Labrador',
-  'Prince Edward Island', 'Northwest Territories', 'Yukon', 'Nunavut'
-];
+const { getSource } = require('./sources');
+const { BlockedError, RateLimiter, backoffDelay, sleep } = require('./throttle');
+const { ProxyPool, ProxyStats, isProxyError } = require('./proxies');
 
-const MAX_IMAGES = 80;
-
-class RealtorScraper {
+class ListingScraper {
   constructor(options = {}) {
-    this.proxyUser = options.proxyUser || process.env.WEBSHARE_USER;
-    this.proxyPass = options.proxyPass || process.env.WEBSHARE_PASS;
+    this.source = typeof options.source === 'object' ? options.source : getSource(options.source);
+    this.proxies = options.proxies || ProxyPool.fromEnv();
+    // What each proxy served during this scrape (scrape_runs.proxy_stats)
+    this.proxyStats = new ProxyStats(options.proxyStats);
     this.headless = options.headless !== false;
+    // Global cap on parallel browser contexts
+    this.concurrency = Math.max(1, options.concurrency || parseInt(process.env.SCRAPE_CONCURRENCY) || 1);
+    this.pageDelayMs = options.pageDelayMs ?? (parseInt(process.env.SCRAPE_PAGE_DELAY_MS) || 1500);
+    this.backoffBaseMs = parseInt(process.env.SCRAPE_BACKOFF_BASE_MS) || 30000;
+    this.backoffMaxMs = parseInt(process.env.SCRAPE_BACKOFF_MAX_MS) || 15 * 60 * 1000;
+    this.maxRetries = parseInt(process.env.SCRAPE_MAX_RETRIES) || 5;
     this.browser = null;
-    this.context = null;
-    this.page = null;
-  }
-
-  /**
-   * Get proxy configuration for webshare.io
-   */
-  getProxyConfig() {
-    if (!this.proxyUser || !this.proxyPass) {
-      console.log('⚠️  No proxy configured, running without proxy');
-      return null;
-    }
-
-    return {
-      server: 'http://p.webshare.io:80',
-      username: this.proxyUser,
-      password: this.proxyPass,
-    };
   }
 
   /**
-   * Initialize browser with stealth settings
+   * Launch the browser
    */
-  async init() {
-    const proxy = this.getProxyConfig();
+  async launch() {
+    if (this.browser) return;
 
     const launchOptions = {
       headless: this.headless,
@@ -56,6 +47,18 @@ class RealtorScraper {
     };
 
     this.browser = await chromium.launch(launchOptions);
+    console.log('✅ Browser initialized');
+    if (this.proxies.size === 0) {
+      console.log('⚠️  No proxy configured, running without proxy');
+    }
+  }
+
+  /**
+   * Open a browser context with stealth settings, through the next proxy in the pool
+   * Returns { context, page, proxy }
+   */
+  async newContext() {
+    const proxy = this.proxies.acquire();
 
     const contextOptions = {
       viewport: { width: 1920, height: 1080 },
@@ -65,13 +68,23 @@ class RealtorScraper {
     };
 
     if (proxy) {
-      contextOptions.proxy = proxy;
+      contextOptions.proxy = { server: proxy.server };
+      if (proxy.username) {
+        contextOptions.proxy.username = proxy.username;
+        contextOptions.proxy.password = proxy.password || '';
+      }
     }
 
-    this.context = await this.browser.newContext(contextOptions);
+    let context;
+    try {
+      context = await this.browser.newContext(contextOptions);
+    } catch (err) {
+      this.proxies.release(proxy);
+      throw err;
+    }
     
     // Add stealth scripts
-    await this.context.addInitScript(() => {
+    await context.addInitScript(() => {
       // Hide webdriver
       Object.defineProperty(navigator, 'webdriver', { get: () => false });
       
@@ -86,8 +99,28 @@ class RealtorScraper {
       });
     });
 
-    this.page = await this.context.newPage();
-    console.log('✅ Browser initialized');
+    const page = await context.newPage();
+    return { context, page, proxy };
+  }
+
+  /**
+   * Create a worker: its own context, page and rate limiter
+   */
+  async createWorker(id, intervalMs = this.pageDelayMs) {
+    const worker = { id, limiter: new RateLimiter({ intervalMs }), ...await this.newContext() };
+
+    worker.close = async () => {
+      await worker.context.close().catch(() => {});
+      this.proxies.release(worker.proxy);
+      worker.proxy = null;
+    };
+
+    // Fresh context (new session/proxy) after a block
+    worker.reset = async () => {
+      await worker.close();
+      Object.assign(worker, await this.newContext());
+    };
+    return worker;
   }
 
   /**
@@ -96,288 +129,259 @@ class RealtorScraper {
   async close() {
     if (this.browser) {
       await this.browser.close();
+      this.browser = null;
       console.log('✅ Browser closed');
     }
   }
 
   /**
-   * Generate high-res image URLs from a base image URL
+   * Throw BlockedError if the page is a bot wall or captcha
    */
-  generateImageUrls(baseImageUrl) {
-    if (!baseImageUrl) return [];
-    if (!baseImageUrl.includes('cdn.realtor.ca')) return [baseImageUrl];
+  async assertNotBlocked(page, response = null) {
+    if (response && [403, 429].includes(response.status())) {
+      throw new BlockedError(`HTTP ${response.status()}`);
+    }
+    const reason = await this.source.detectBlock(page);
+    if (reason) throw new BlockedError(reason);
+  }
 
-    const highresUrl = baseImageUrl.replace('/lowres/', '/highres/');
-    const match = highresUrl.match(/^(.+_)(\d+)(\.jpg)$/i);
-    if (!match) return [highresUrl];
+  /**
+   * Whether an error is worth retrying in a fresh context (block or proxy failure)
+   */
+  isRetryable(err) {
+    return err instanceof BlockedError || isProxyError(err);
+  }
 
-    const [, prefix, , extension] = match;
-    return Array.from({ length: MAX_IMAGES }, (_, i) => `${prefix}${i + 1}${extension}`);
+  /**
+   * Score the worker's proxy, move it to a fresh context and wait until it may retry
+   * Switching to a healthy proxy retries right away; otherwise back off exponentially.
+   */
+  async backOff(worker, err, attempt) {
+    const failed = worker.proxy;
+    if (err instanceof BlockedError) {
+      this.proxyStats.block(failed);
+    } else {
+      this.proxyStats.error(failed);
+    }
+    this.proxies.reportFailure(failed, err.message);
+    worker.limiter.penalize();
+
+    await worker.reset();
+    const retry = `retry ${attempt}/${this.maxRetries}`;
+    if (worker.proxy && worker.proxy !== failed && worker.proxy.cooldownUntil <= Date.now()) {
+      console.log(`   🔀 Worker ${worker.id} ${err.message}; ${retry} via ${worker.proxy.label}`);
+      return;
+    }
+
+    const delay = backoffDelay(attempt, this.backoffBaseMs, this.backoffMaxMs);
+    console.log(`   🚧 Worker ${worker.id} ${err.message}; ${retry} in ${Math.round(delay / 1000)}s`);
+    await sleep(delay);
   }
 
   /**
-   * Extract listing data from a card element
+   * Record a page a worker loaded cleanly
    */
-  async extractListingFromCard(cardHandle) {
-    try {
-      const data = await cardHandle.evaluate((card, { PROVINCES }) => {
-        const fullText = card.textContent || '';
-
-        // Price
-        let price = null;
-        const priceMatch = fullText.match(/\$[\d,]+/);
-        if (priceMatch) {
-          price = parseInt(priceMatch[0].replace(/[$,]/g, ''), 10);
-        }
-        if (!price) {
-          const priceDiv = card.querySelector('div[data-value-cad]');
-          if (priceDiv) {
-            price = parseInt(priceDiv.getAttribute('data-value-cad').replace(/[^\d]/g, ''), 10);
-          }
-        }
+  pageServed(worker, listings) {
+    worker.limiter.reward();
+    this.proxies.reportSuccess(worker.proxy);
+    this.proxyStats.page(worker.proxy, listings);
+  }
 
-        // Address
-        let street = null, town = null, province = null, detailUrl = null;
-        const addressLink = Array.from(card.querySelectorAll('a')).find(a => 
-          (a.href || '').includes('real-estate')
-        );
-
-        if (addressLink) {
-          detailUrl = addressLink.href;
-          const addressDiv = addressLink.querySelector('.smallListingCardAddress');
-          
-          if (addressDiv) {
-            const addressText = addressDiv.textContent.trim().replace(/\s+/g, ' ');
-            const parts = addressText.split(',').map(p => p.trim()).filter(p => p);
-
-            if (parts.length >= 3) {
-              street = parts[0];
-              town = parts[1];
-              const provinceRaw = parts[parts.length - 1];
-              for (const prov of PROVINCES) {
-                if (provinceRaw.toLowerCase().includes(prov.toLowerCase())) {
-                  province = prov;
-                  break;
-                }
-              }
-              if (!province) province = provinceRaw.split(/\s{2,}/)[0].trim();
-            } else if (parts.length === 2) {
-              street = parts[0];
-              for (const prov of PROVINCES) {
-                if (parts[1].toLowerCase().includes(prov.toLowerCase())) {
-                  province = prov;
-                  town = parts[1].replace(prov, '').trim();
-                  break;
-                }
-              }
-              if (!province) town = parts[1];
-            }
-          }
-        }
+  /**
+   * Visit listing detail pages and extract their attributes
+   * Calls onDetails(url, details) for each page that loads
+   */
+  async scrapeDetails(urls, options = {}) {
+    const { onDetails = null, delayMs = 2000 } = options;
+    const results = [];
 
-        if (!street) return null;
-
-        // Beds/Baths/Sqft
-        const bedsMatch = fullText.match(/(\d+)\s*Bedrooms?/i);
-        const beds = bedsMatch ? parseInt(bedsMatch[1], 10) : 0;
-
-        const bathsMatch = fullText.match(/(\d+)\s*Bathrooms?/i);
-        const baths = bathsMatch ? parseInt(bathsMatch[1], 10) : 0;
-
-        const sqftMatch = fullText.match(/([\d,]+)\+?\s*sqft/i);
-        const sqft = sqftMatch ? parseInt(sqftMatch[1].replace(',', ''), 10) : null;
-
-        // Time ago
-        const timeMatch = fullText.match(/(\d+)\s+(hour|day|week|min)s?\s+ago/i);
-        let listedAt = null;
-        if (timeMatch) {
-          const amount = parseInt(timeMatch[1], 10);
-          const unit = timeMatch[2].toLowerCase();
-          const now = new Date();
-          if (unit === 'hour' || unit === 'min') {
-            now.setHours(now.getHours() - (unit === 'min' ? 0 : amount));
-          } else if (unit === 'day') {
-            now.setDate(now.getDate() - amount);
-          } else if (unit === 'week') {
-            now.setDate(now.getDate() - amount * 7);
+    await this.launch();
+    const worker = await this.createWorker(0, delayMs);
+
+    try {
+      for (const url of urls) {
+        for (let attempt = 1; ; attempt++) {
+          try {
+            // Be gentle between detail pages
+            await worker.limiter.wait();
+            const response = await worker.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+            await this.assertNotBlocked(worker.page, response);
+            await this.source.waitForDetails(worker.page);
+
+            const details = await this.source.parseDetails(worker.page);
+            results.push({ url, details });
+            this.pageServed(worker, 0);
+            if (onDetails) await onDetails(url, details);
+          } catch (err) {
+            if (this.isRetryable(err) && attempt < this.maxRetries) {
+              await this.backOff(worker, err, attempt);
+              continue;
+            }
+            console.error(`   ⚠️  Detail page failed (${url}):`, err.message);
           }
-          listedAt = now.toISOString();
+          break;
         }
+      }
 
-        // Image
-        let imageUrl = null;
-        const img = card.querySelector('img.smallListingCardImage') || 
-                    card.querySelector('img[src*="cdn.realtor.ca"]');
-        if (img && img.src) imageUrl = img.src;
-
-        return {
-          price,
-          street,
-          town,
-          province,
-          beds,
-          baths,
-          sqft,
-          listedAt,
-          imageUrl,
-          detailUrl,
-        };
-      }, { PROVINCES });
-
-      if (!data) return null;
-
-      // Generate all image URLs
-      data.imageUrls = this.generateImageUrls(data.imageUrl);
-      data.scrapedAt = new Date().toISOString();
-
-      return data;
-    } catch (err) {
-      console.error('Error extracting listing:', err.message);
-      return null;
+      return results;
+    } finally {
+      await worker.close();
+      await this.close();
     }
   }
 
   /**
-   * Scrape a search results page
+   * Scrape a worker's current search results page
    */
-  async scrapePage() {
-    const cards = await this.page.$$('.cardCon');
-    const listings = [];
-
-    for (const card of cards) {
-      const listing = await this.extractListingFromCard(card);
-      if (listing) {
-        listings.push(listing);
-      }
-    }
+  async scrapePage(page) {
+    const listings = await this.source.parseResults(page);
+    if (listings.length === 0) await this.assertNotBlocked(page);
 
-    return listings;
+    const scrapedAt = new Date().toISOString();
+    return listings.map(listing => ({ ...listing, source: this.source.name, scrapedAt }));
   }
 
   /**
-   * Navigate to next page
-   * Returns true if successful, false if no more pages
+   * Scrape one segment's result pages with a worker, from segment.pageCursor on
+   * Retries with backoff when blocked; updates segment.pageCursor/done as it goes, and
+   * sets segment.partial when it stops before the last results page.
    */
-  async goToNextPage() {
-    const nextBtn = await this.page.$('a[aria-label*="next"]');
-    if (!nextBtn) return false;
+  async scrapeSegment(worker, segment, index, run) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await worker.limiter.wait();
+        const response = await worker.page.goto(segment.searchUrl, this.source.searchNavigation);
+        await this.assertNotBlocked(worker.page, response);
+        await this.source.waitForResults(worker.page).catch(async (err) => {
+          await this.assertNotBlocked(worker.page);
+          throw err;
+        });
+
+        // Page back to the checkpoint without re-reading pages that were already saved
+        for (let page = 1; page <= segment.pageCursor; page++) {
+          await worker.limiter.wait();
+          if (!await this.source.goToNextPage(worker.page)) {
+            segment.done = true;
+            if (run.onSegmentDone) await run.onSegmentDone(index, segment);
+            return;
+          }
+        }
 
-    const isVisible = await nextBtn.isVisible();
-    if (!isVisible) return false;
+        let pageNum = segment.pageCursor;
+        let lastPage = false;
+        while (pageNum < run.maxPages && !run.full() && !run.error) {
+          pageNum++;
+          const pageListings = await this.scrapePage(worker.page);
+          this.pageServed(worker, pageListings.length);
+
+          const added = [];
+          for (const listing of pageListings) {
+            if (run.full()) break;
+            if (listing.detailUrl && run.seenUrls.has(listing.detailUrl)) continue;
+
+            if (listing.detailUrl) run.seenUrls.add(listing.detailUrl);
+            run.listings.push(listing);
+            added.push(listing);
+          }
 
-    // Get first listing URL to detect page change
-    const firstCard = await this.page.$('.cardCon a[href*="real-estate"]');
-    const firstUrl = firstCard ? await firstCard.getAttribute('href') : null;
+          const label = run.segments > 1 ? `Segment ${index + 1} page ${pageNum}` : `Page ${pageNum}`;
+          console.log(`   ✅ ${label}: +${added.length} listings (total: ${run.total()})`);
+          segment.pageCursor = pageNum;
+          if (run.onPage) await run.onPage(index, pageNum, added, run.total());
 
-    await nextBtn.click();
+          if (run.full()) break;
 
-    // Wait for page to change
-    try {
-      await this.page.waitForFunction(
-        (prevUrl) => {
-          const firstLink = document.querySelector('.cardCon a[href*="real-estate"]');
-          return firstLink && firstLink.href !== prevUrl;
-        },
-        firstUrl,
-        { timeout: 10000 }
-      );
-      await this.page.waitForTimeout(500); // Let cards fully render
-      return true;
-    } catch {
-      return false;
-    }
-  }
-
-  /**
-   * Build search URL with filters
-   */
-  buildSearchUrl(options = {}) {
-    const params = new URLSearchParams();
-    
-    // Base map coordinates (default: Ontario)
-    const lat = options.lat || 43.65;
-    const lng = options.lng || -79.38;
-    const zoom = options.zoom || 8;
+          await worker.limiter.wait();
+          if (!await this.source.goToNextPage(worker.page)) {
+            lastPage = true;
+            break;
+          }
+        }
 
-    let url = `https://www.realtor.ca/map#ZoomLevel=${zoom}&Center=${lat}%2C${lng}`;
-    
-    if (options.minPrice) url += `&PriceMin=${options.minPrice}`;
-    if (options.maxPrice) url += `&PriceMax=${options.maxPrice}`;
-    if (options.beds) url += `&BedRange=${options.beds}-0`;
-    if (options.baths) url += `&BathRange=${options.baths}-0`;
-    if (options.propertyType) url += `&PropertyTypeGroupID=${options.propertyType}`;
-    
-    url += '&Sort=6-D'; // Sort by newest
-    url += '&PropertySearchTypeId=1'; // For sale
-    url += '&TransactionTypeId=2'; // Residential
-    
-    return url;
+        if (run.error) return;
+        segment.done = true;
+        // Stopped at maxPages or maxListings with result pages left
+        if (!lastPage) segment.partial = true;
+        if (run.onSegmentDone) await run.onSegmentDone(index, segment);
+        return;
+      } catch (err) {
+        if (!this.isRetryable(err) || attempt >= this.maxRetries || run.error) throw err;
+        await this.backOff(worker, err, attempt);
+      }
+    }
   }
 
   /**
    * Main scrape function
+   * segments: [{ searchUrl, pageCursor, done, partial }] scraped by up to `concurrency` workers;
+   * defaults to one segment for searchUrl / searchOptions.
+   * onPage(segmentIndex, pageNum, listings, total) is awaited after each page, so callers
+   * can save listings and checkpoint as they go; onSegmentDone(segmentIndex, segment) after
+   * a segment runs out of pages. `collected` counts toward maxListings (listings saved
+   * before a resume).
    */
   async scrape(options = {}) {
     const {
       maxListings = 100,
       maxPages = 50,
       searchOptions = {},
-      onListing = null,
+      searchUrl = null,
+      collected = 0,
       onPage = null,
+      onSegmentDone = null,
     } = options;
+    const segments = options.segments ||
+      [{ searchUrl: searchUrl || this.source.buildSearchUrl(searchOptions), pageCursor: 0, done: false }];
+
+    const run = {
+      maxPages,
+      onPage,
+      onSegmentDone,
+      segments: segments.length,
+      listings: [],
+      seenUrls: new Set(),
+      error: null,
+      total: () => collected + run.listings.length,
+      full: () => run.total() >= maxListings,
+    };
 
-    await this.init();
-
-    try {
-      const url = this.buildSearchUrl(searchOptions);
-      console.log(`🔍 Navigating to: ${url}`);
-      
-      await this.page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
-      
-      // Wait for listings to load
-      await this.page.waitForSelector('.cardCon', { timeout: 30000 });
-      
-      const allListings = [];
-      let pageNum = 0;
-      const seenUrls = new Set();
-
-      while (pageNum < maxPages && allListings.length < maxListings) {
-        pageNum++;
-        console.log(`📄 Scraping page ${pageNum}...`);
-
-        const pageListings = await this.scrapePage();
-        let addedCount = 0;
+    const pending = segments.map((segment, index) => ({ segment, index })).filter(({ segment }) => !segment.done);
+    const workerCount = Math.min(this.concurrency, pending.length);
+    if (workerCount === 0) return [];
 
-        for (const listing of pageListings) {
-          if (allListings.length >= maxListings) break;
-          if (listing.detailUrl && seenUrls.has(listing.detailUrl)) continue;
+    await this.launch();
+    let workers = [];
 
-          if (listing.detailUrl) seenUrls.add(listing.detailUrl);
-          allListings.push(listing);
-          addedCount++;
+    try {
+      console.log(`🔍 Scraping ${pending.length} segment(s) with ${workerCount} worker(s) (${this.source.name})`);
+      pending.forEach(({ segment, index }) => {
+        console.log(`   ${index + 1}. ${segment.searchUrl}${segment.pageCursor > 0 ? ` (from page ${segment.pageCursor + 1})` : ''}`);
+      });
 
-          if (onListing) await onListing(listing);
+      // Each worker takes the next pending segment until none are left
+      workers = await Promise.all(Array.from({ length: workerCount }, (_, id) => this.createWorker(id + 1)));
+      await Promise.all(workers.map(async (worker) => {
+        while (pending.length > 0 && !run.full() && !run.error) {
+          const { segment, index } = pending.shift();
+          try {
+            await this.scrapeSegment(worker, segment, index, run);
+          } catch (err) {
+            // Stop handing out segments; the others finish their current page
+            run.error = run.error || err;
+          }
         }
+      }));
 
-        console.log(`   ✅ Page ${pageNum}: +${addedCount} listings (total: ${allListings.length})`);
-        if (onPage) await onPage(pageNum, allListings.length);
-
-        if (allListings.length >= maxListings) break;
-
-        const hasNext = await this.goToNextPage();
-        if (!hasNext) {
-          console.log('📭 No more pages');
-          break;
-        }
-      }
+      if (run.error) throw run.error;
 
-      console.log(`\n✅ Scraping complete: ${allListings.length} listings`);
-      return allListings;
+      console.log(`\n✅ Scraping complete: ${run.listings.length} listings`);
+      return run.listings;
 
     } finally {
+      await Promise.all(workers.map(worker => worker.close()));
       await this.close();
     }
   }
 }
 
-module.exports = { RealtorScraper };
+module.exports = { ListingScraper };
@@ -0,0 +1,28 @@
+/**
+ * Listing source registry
+ * Add a source by implementing ListingSource (see source.js) and registering it here.
+ */
+
+const { ListingSource } = require('./source');
+const { RealtorCaSource } = require('./realtor-ca');
+const { JsonLdSource } = require('./json-ld');
+
+const SOURCES = {
+  'realtor-ca': RealtorCaSource,
+  'json-ld': JsonLdSource,
+};
+
+const DEFAULT_SOURCE = 'realtor-ca';
+
+/**
+ * Create a source adapter by name
+ */
+function getSource(name = DEFAULT_SOURCE) {
+  const Source = SOURCES[name];
+  if (!Source) {
+    throw new Error(`Unknown listing source "${name}" (available: ${Object.keys(SOURCES).join(', ')})`);
+  }
+  return new Source();
+}
+
+module.exports = { ListingSource, SOURCES, DEFAULT_SOURCE, getSource };
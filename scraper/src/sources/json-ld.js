@@ -0,0 +1,178 @@
+/**
+ * Generic schema.org / JSON-LD source adapter
+ * Reads listings from the <script type="application/ld+json"> blocks many brokerage
+ * sites publish (RealEstateListing, SingleFamilyResidence, Offer, ItemList, ...).
+ * The search URL is passed as searchOptions.url (or SCRAPE_SOURCE_URL); pagination
+ * follows rel="next" links.
+ */
+
+const { ListingSource, parseNumber } = require('./source');
+
+// schema.org types that describe a property for sale
+const LISTING_TYPES = [
+  'RealEstateListing', 'Residence', 'SingleFamilyResidence', 'House', 'Apartment',
+  'ApartmentComplex', 'Accommodation', 'Product', 'Offer',
+];
+
+const PROVINCE_CODES = {
+  ON: 'Ontario', QC: 'Quebec', BC: 'British Columbia', AB: 'Alberta', MB: 'Manitoba',
+  SK: 'Saskatchewan', NS: 'Nova Scotia', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+  PE: 'Prince Edward Island', NT: 'Northwest Territories', YT: 'Yukon', NU: 'Nunavut',
+};
+
+const SQFT_PER_SQM = 10.7639;
+
+/**
+ * Flatten JSON-LD documents into a list of nodes (@graph, ItemList items, nested offers)
+ */
+function flattenJsonLd(documents) {
+  const nodes = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    nodes.push(node);
+    visit(node['@graph']);
+    if (node.itemListElement) {
+      visit([].concat(node.itemListElement).map(el => (el && el.item) || el));
+    }
+  };
+  documents.forEach(visit);
+  return nodes;
+}
+
+function hasType(node, types) {
+  return [].concat(node['@type'] || []).some(type => types.includes(type));
+}
+
+/**
+ * Map a schema.org node to the ingest listing shape, or null if it isn't a listing
+ */
+function nodeToListing(node, pageUrl) {
+  if (!hasType(node, LISTING_TYPES)) return null;
+
+  // The property is often nested: Offer.itemOffered, RealEstateListing.about/mainEntity
+  const property = node.itemOffered || node.about || node.mainEntity || node;
+  const offer = [].concat(node.offers || property.offers || (hasType(node, ['Offer']) ? node : []))[0] || {};
+  const address = property.address || node.address || {};
+  const geo = property.geo || node.geo || {};
+
+  const url = node.url || property.url || offer.url;
+  const street = typeof address === 'string' ? address.split(',')[0].trim() : address.streetAddress;
+  if (!url || !street) return null;
+
+  const region = typeof address === 'object' ? address.addressRegion : null;
+  const floorSize = property.floorSize || {};
+  const sqftValue = parseNumber(floorSize.value ?? floorSize);
+  const sqft = sqftValue && floorSize.unitCode === 'MTK' ? Math.round(sqftValue * SQFT_PER_SQM) : sqftValue;
+
+  const images = [].concat(property.image || node.image || [])
+    .map(image => (typeof image === 'string' ? image : image && (image.contentUrl || image.url)))
+    .filter(Boolean)
+    .map(image => new URL(image, pageUrl).href);
+
+  return {
+    detailUrl: new URL(url, pageUrl).href,
+    price: parseNumber(offer.price ?? node.price),
+    street,
+    town: typeof address === 'object' ? address.addressLocality || null : null,
+    province: (region && PROVINCE_CODES[region.toUpperCase()]) || region || null,
+    address: typeof address === 'string'
+      ? address
+      : [street, address.addressLocality, region, address.postalCode].filter(Boolean).join(', '),
+    beds: parseNumber(property.numberOfBedrooms ?? property.numberOfRooms) || 0,
+    baths: parseNumber(property.numberOfBathroomsTotal ?? property.numberOfFullBathrooms) || 0,
+    sqft,
+    lat: geo.latitude ? parseFloat(geo.latitude) : null,
+    lng: geo.longitude ? parseFloat(geo.longitude) : null,
+    imageUrls: images,
+    listedAt: node.datePosted || offer.validFrom || null,
+    mlsNumber: null,
+  };
+}
+
+/**
+ * Parse raw JSON-LD script contents into nodes
+ */
+function parseJsonLdScripts(scripts) {
+  const documents = [];
+  for (const script of scripts) {
+    try {
+      documents.push(JSON.parse(script));
+    } catch {
+      // Ignore malformed blocks; sites often ship several
+    }
+  }
+  return flattenJsonLd(documents);
+}
+
+/**
+ * Parse listings from raw JSON-LD script contents
+ */
+function parseJsonLdListings(scripts, pageUrl) {
+  const seen = new Set();
+  const listings = [];
+  for (const node of parseJsonLdScripts(scripts)) {
+    const listing = nodeToListing(node, pageUrl);
+    if (listing && !seen.has(listing.detailUrl)) {
+      seen.add(listing.detailUrl);
+      listings.push(listing);
+    }
+  }
+  return listings;
+}
+
+async function readJsonLdScripts(page) {
+  return page.$$eval('script[type="application/ld+json"]', scripts => scripts.map(s => s.textContent));
+}
+
+class JsonLdSource extends ListingSource {
+  get name() {
+    return 'json-ld';
+  }
+
+  get searchNavigation() {
+    return { waitUntil: 'domcontentloaded', timeout: 60000 };
+  }
+
+  buildSearchUrl(options = {}) {
+    const url = options.url || process.env.SCRAPE_SOURCE_URL;
+    if (!url) {
+      throw new Error('The json-ld source needs a search URL (searchOptions.url or SCRAPE_SOURCE_URL)');
+    }
+    return url;
+  }
+
+  async parseResults(page) {
+    return parseJsonLdListings(await readJsonLdScripts(page), page.url());
+  }
+
+  async goToNextPage(page) {
+    const next = await page.$('link[rel="next"], a[rel="next"]');
+    const href = next ? await next.getAttribute('href') : null;
+    if (!href) return false;
+
+    await page.goto(new URL(href, page.url()).href, this.searchNavigation);
+    return true;
+  }
+
+  async parseDetails(page) {
+    const nodes = parseJsonLdScripts(await readJsonLdScripts(page));
+    const node = nodes.find(n => hasType(n, LISTING_TYPES));
+    if (!node) return {};
+
+    const property = node.itemOffered || node.about || node.mainEntity || node;
+    const yearBuilt = parseNumber(property.yearBuilt);
+    const type = [].concat(property['@type'] || [])[0];
+
+    return {
+      description: property.description || node.description || null,
+      propertyType: type && !['Product', 'Offer', 'RealEstateListing'].includes(type) ? type : null,
+      yearBuilt: yearBuilt && yearBuilt > 1700 ? yearBuilt : null,
+    };
+  }
+}
+
+module.exports = { JsonLdSource, parseJsonLdListings };
@@ -0,0 +1,178 @@
+/**
+ * Realtor.ca source adapter
+ * Map search results (.cardCon cards), "next" pagination and listing detail pages
+ * Page parsing itself is in shared/parsers/realtor-ca.js
+ */
+
+const { ListingSource } = require('./source');
+const { injectParser } = require('../../../shared/parsers/inject');
+
+// Global registered by shared/parsers/realtor-ca.js
+const PARSER = 'HouseWipeRealtorParser';
+
+// Price bands are rounded to this step
+const PRICE_STEP = 25000;
+
+// Map viewport used by the scraper's browser contexts
+const VIEWPORT = { width: 1920, height: 1080 };
+
+class RealtorCaSource extends ListingSource {
+  get name() {
+    return 'realtor-ca';
+  }
+
+  /**
+   * Build search URL with filters
+   */
+  buildSearchUrl(options = {}) {
+    // Base map coordinates (default: Ontario)
+    const lat = options.lat || 43.65;
+    const lng = options.lng || -79.38;
+    const zoom = options.zoom || 8;
+
+    let url = `https://www.realtor.ca/map#ZoomLevel=${zoom}&Center=${lat}%2C${lng}`;
+
+    if (options.minPrice) url += `&PriceMin=${options.minPrice}`;
+    if (options.maxPrice) url += `&PriceMax=${options.maxPrice}`;
+    if (options.beds) url += `&BedRange=${options.beds}-0`;
+    if (options.baths) url += `&BathRange=${options.baths}-0`;
+    if (options.propertyType) url += `&PropertyTypeGroupID=${options.propertyType}`;
+
+    url += '&Sort=6-D'; // Sort by newest
+    url += '&PropertySearchTypeId=1'; // For sale
+    url += '&TransactionTypeId=2'; // Residential
+
+    return url;
+  }
+
+  /**
+   * Split a search into price bands (when it has a max price) or map tiles
+   * by: 'price' | 'tiles' | 'auto'
+   */
+  splitSearch(options = {}, parts = 1, by = 'auto') {
+    if (parts <= 1) return [options];
+    if (by === 'price' || (by === 'auto' && options.maxPrice)) {
+      return splitPriceBands(options, parts);
+    }
+    return splitTiles(options, parts);
+  }
+
+  async waitForResults(page) {
+    await page.waitForSelector('.cardCon', { timeout: 30000 });
+  }
+
+  /**
+   * Parse every listing card on the current results page
+   */
+  async parseResults(page) {
+    await injectParser(page, PARSER);
+    return page.evaluate(name => window[name].parseSearchResults(document), PARSER);
+  }
+
+  /**
+   * Navigate to next page
+   * Returns true if successful, false if no more pages
+   */
+  async goToNextPage(page) {
+    const nextBtn = await page.$('a[aria-label*="next"]');
+    if (!nextBtn) return false;
+
+    const isVisible = await nextBtn.isVisible();
+    if (!isVisible) return false;
+
+    // Get first listing URL to detect page change
+    const firstCard = await page.$('.cardCon a[href*="real-estate"]');
+    const firstUrl = firstCard ? await firstCard.getAttribute('href') : null;
+
+    await nextBtn.click();
+
+    // Wait for page to change
+    try {
+      await page.waitForFunction(
+        (prevUrl) => {
+          const firstLink = document.querySelector('.cardCon a[href*="real-estate"]');
+          return firstLink && firstLink.href !== prevUrl;
+        },
+        firstUrl,
+        { timeout: 10000 }
+      );
+      await page.waitForTimeout(500); // Let cards fully render
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Realtor.ca sits behind Incapsula, which serves its challenge in an iframe
+   */
+  async detectBlock(page) {
+    const reason = await super.detectBlock(page);
+    if (reason) return reason;
+    if (await page.$('iframe[src*="_Incapsula_Resource"]').catch(() => null)) {
+      return 'Incapsula challenge';
+    }
+    return null;
+  }
+
+  async waitForDetails(page) {
+    await page.waitForSelector('#propertyDescriptionCon, .propertyDetailsSectionContentSubCon', { timeout: 30000 });
+  }
+
+  /**
+   * Extract attributes from the currently loaded listing detail page
+   */
+  async parseDetails(page) {
+    await injectParser(page, PARSER);
+    return page.evaluate(name => window[name].parseDetailPage(document), PARSER);
+  }
+}
+
+/**
+ * Split [minPrice, maxPrice] into `parts` contiguous bands
+ * Without a max price, bands cover up to $2M and the last one is open-ended. A range
+ * that can't be split (min at or above max or $2M) stays one search.
+ */
+function splitPriceBands(options, parts) {
+  const min = options.minPrice || 0;
+  const max = options.maxPrice || 2000000;
+  if (min >= max) return [options];
+  const step = Math.max(PRICE_STEP, Math.ceil((max - min) / parts / PRICE_STEP) * PRICE_STEP);
+
+  const bands = [];
+  for (let low = min; low < max; low += step) {
+    bands.push({
+      ...options,
+      minPrice: low === min ? options.minPrice : low,
+      maxPrice: low + step >= max ? options.maxPrice : low + step - 1,
+    });
+  }
+  return bands;
+}
+
+/**
+ * Split the map view into quadrants one zoom level in, recursing until
+ * there are at least `parts` tiles
+ */
+function splitTiles(options, parts) {
+  const lat = options.lat || 43.65;
+  const lng = options.lng || -79.38;
+  const zoom = options.zoom || 8;
+
+  // Degrees covered by the viewport at this zoom (Web Mercator, 256px tiles)
+  const lngSpan = 360 * VIEWPORT.width / (256 * 2 ** zoom);
+  const latSpan = lngSpan * (VIEWPORT.height / VIEWPORT.width) * Math.cos(lat * Math.PI / 180);
+
+  const round = (n) => Math.round(n * 10000) / 10000;
+  const tiles = [];
+  for (const dLat of [-0.25, 0.25]) {
+    for (const dLng of [-0.25, 0.25]) {
+      tiles.push({ ...options, lat: round(lat + dLat * latSpan), lng: round(lng + dLng * lngSpan), zoom: zoom + 1 });
+    }
+  }
+
+  if (parts <= 4) return tiles;
+  return tiles.flatMap(tile => splitTiles(tile, Math.ceil(parts / 4)));
+}
+
+module.exports = { RealtorCaSource };
@@ -0,0 +1,111 @@
+/**
+ * Listing source adapter interface
+ * A source knows how to build a search URL, parse result cards, paginate and
+ * parse detail pages for one site. ListingScraper drives the browser and calls
+ * into the source, so runScrape() and IngestService stay source-agnostic.
+ *
+ * Listings returned by parseResults() use the ingest shape (see shared/listing-schema.js):
+ * { detailUrl, price, street, town, province, address, beds, baths, sqft, lat, lng,
+ *   imageUrls, listedAt, mlsNumber }
+ */
+
+// Generic signs of bot protection pages
+const BLOCK_TITLE = /access denied|attention required|just a moment|are you a robot|request unsuccessful|too many requests/i;
+const CAPTCHA_SELECTORS = [
+  'iframe[src*="recaptcha"]',
+  'iframe[src*="hcaptcha"]',
+  'iframe[src*="captcha"]',
+  '#challenge-form',
+];
+
+class ListingSource {
+  /**
+   * Unique source name, stored in listings.source
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must define name`);
+  }
+
+  /**
+   * URL of the first search results page
+   */
+  buildSearchUrl(searchOptions = {}) {
+    throw new Error(`${this.name} does not implement buildSearchUrl()`);
+  }
+
+  /**
+   * Options for page.goto() on the search page
+   */
+  get searchNavigation() {
+    return { waitUntil: 'networkidle', timeout: 60000 };
+  }
+
+  /**
+   * Split a search into `parts` smaller searches that can be scraped in parallel
+   * (price bands, map tiles...). Sources that can't split return the search as-is.
+   */
+  splitSearch(searchOptions = {}, parts = 1) {
+    return [searchOptions];
+  }
+
+  /**
+   * Wait until search results are rendered
+   */
+  async waitForResults(page) {
+  }
+
+  /**
+   * Parse the listings on the current results page
+   */
+  async parseResults(page) {
+    throw new Error(`${this.name} does not implement parseResults()`);
+  }
+
+  /**
+   * Move to the next results page
+   * Returns true if there was one
+   */
+  async goToNextPage(page) {
+    return false;
+  }
+
+  /**
+   * Describe why the loaded page is a bot wall or captcha, or return null
+   */
+  async detectBlock(page) {
+    const title = await page.title().catch(() => '');
+    if (BLOCK_TITLE.test(title)) return `page title "${title}"`;
+
+    for (const selector of CAPTCHA_SELECTORS) {
+      if (await page.$(selector).catch(() => null)) return `captcha (${selector})`;
+    }
+    return null;
+  }
+
+  /**
+   * Wait until a detail page is rendered
+   */
+  async waitForDetails(page) {
+  }
+
+  /**
+   * Parse the attributes upsertListingDetails() stores from a loaded detail page
+   * { mlsNumber, status, description, propertyType, buildingStyle, yearBuilt, lotSize,
+   *   annualTaxes, condoFees, parking, parkingSpaces, heating }
+   */
+  async parseDetails(page) {
+    return {};
+  }
+}
+
+/**
+ * Parse the first number in a string like "$4,512.00 / 2024"
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Math.round(value);
+  const match = String(value).replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? Math.round(parseFloat(match[0])) : null;
+}
+
+module.exports = { ListingSource, parseNumber };
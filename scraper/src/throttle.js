@@ -0,0 +1,60 @@
+/**
+ * Request pacing for scraper workers
+ * Each worker has its own RateLimiter; blocks (captchas, 403/429s) slow it down
+ * and retries back off exponentially.
+ */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Thrown when a page looks like a bot wall rather than results
+ */
+class BlockedError extends Error {
+  constructor(reason) {
+    super(`Blocked: ${reason}`);
+    this.name = 'BlockedError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Minimum interval between a worker's page loads, with jitter
+ * The interval doubles on each block and eases back to the base after clean pages.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.baseMs = options.intervalMs ?? 1500;
+    this.maxMs = options.maxIntervalMs ?? 60000;
+    this.jitter = options.jitter ?? 0.3;
+    this.intervalMs = this.baseMs;
+    this.lastAt = 0;
+  }
+
+  /**
+   * Wait until the next request is allowed
+   */
+  async wait() {
+    const interval = this.intervalMs * (1 + (Math.random() * 2 - 1) * this.jitter);
+    const waitMs = this.lastAt + interval - Date.now();
+    if (waitMs > 0) await sleep(waitMs);
+    this.lastAt = Date.now();
+  }
+
+  penalize() {
+    this.intervalMs = Math.min(this.maxMs, Math.max(this.baseMs, this.intervalMs * 2));
+  }
+
+  reward() {
+    this.intervalMs = Math.max(this.baseMs, this.intervalMs * 0.9);
+  }
+}
+
+/**
+ * Exponential backoff: a random delay between half and all of min(max, base * 2^(attempt - 1))
+ */
+function backoffDelay(attempt, baseMs = 30000, maxMs = 15 * 60 * 1000) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+module.exports = { BlockedError, RateLimiter, backoffDelay, sleep };
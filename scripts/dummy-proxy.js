@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Local dummy proxy for trying the scraper's proxy pool without a provider
+ * Speaks HTTP (CONNECT and plain forwarding) and SOCKS5, with optional auth.
+ *
+ *   node scripts/dummy-proxy.js [--port 8888] [--socks-port 1080] [--user u --pass p] [--refuse]
+ *
+ * --refuse rejects every tunnel (403 / SOCKS "not allowed"), like a banned proxy.
+ * Port 0 picks a free port (the scraper tests do this).
+ * Then point the scraper at it:
+ *   PROXY_LIST=http://u:p@127.0.0.1:8888,socks5://u:p@127.0.0.1:1080 node src/index.js proxies check
+ */
+
+const http = require('http');
+const net = require('net');
+
+function flag(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value === undefined || value.startsWith('--') ? true : value;
+}
+
+const HTTP_PORT = parseInt(flag('port', 8888));
+const SOCKS_PORT = parseInt(flag('socks-port', 1080));
+const USER = flag('user', null);
+const PASS = flag('pass', '');
+const REFUSE = flag('refuse', false) === true;
+
+let requests = 0;
+
+function log(kind, target, result) {
+  requests++;
+  console.log(`[${new Date().toISOString()}] #${requests} ${kind} ${target} → ${result}`);
+}
+
+/**
+ * Pipe a client socket to host:port
+ */
+function tunnel(client, host, port, onConnect, onError) {
+  let connected = false;
+  const upstream = net.connect({ host, port }, () => {
+    connected = true;
+    onConnect();
+    upstream.pipe(client);
+    client.pipe(upstream);
+  });
+  upstream.on('error', () => (connected ? client.destroy() : onError()));
+  client.on('error', () => upstream.destroy());
+}
+
+// ============ HTTP ============
+
+function httpAuthorized(req) {
+  if (!USER) return true;
+  const header = req.headers['proxy-authorization'] || '';
+  const [scheme, encoded] = header.split(' ');
+  return scheme === 'Basic' && Buffer.from(encoded || '', 'base64').toString() === `${USER}:${PASS}`;
+}
+
+const httpProxy = http.createServer((req, res) => {
+  // Plain http:// requests arrive with an absolute URL
+  if (!httpAuthorized(req)) {
+    log('GET', req.url, '407');
+    res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="dummy-proxy"' });
+    return res.end();
+  }
+  if (REFUSE) {
+    log('GET', req.url, '403 (refused)');
+    res.writeHead(403);
+    return res.end();
+  }
+
+  const url = new URL(req.url);
+  const headers = { ...req.headers };
+  delete headers['proxy-authorization'];
+  const upstream = http.request({
+    host: url.hostname,
+    port: url.port || 80,
+    path: `${url.pathname}${url.search}`,
+    method: req.method,
+    headers,
+  }, (upstreamRes) => {
+    log('GET', req.url, upstreamRes.statusCode);
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', (err) => {
+    log('GET', req.url, `502 (${err.message})`);
+    res.writeHead(502);
+    res.end();
+  });
+  req.pipe(upstream);
+});
+
+httpProxy.on('connect', (req, client) => {
+  if (!httpAuthorized(req)) {
+    log('CONNECT', req.url, '407');
+    return client.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="dummy-proxy"\r\n\r\n');
+  }
+  if (REFUSE) {
+    log('CONNECT', req.url, '403 (refused)');
+    return client.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+  }
+
+  const [host, port] = req.url.split(':');
+  tunnel(client, host, parseInt(port) || 443, () => {
+    log('CONNECT', req.url, '200');
+    client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+  }, () => {
+    log('CONNECT', req.url, '502');
+    client.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+  });
+});
+
+// ============ SOCKS5 ============
+
+const socksProxy = net.createServer((client) => {
+  let buffer = Buffer.alloc(0);
+  let stage = 'greeting';
+  client.on('error', () => {});
+
+  client.on('data', function onData(data) {
+    buffer = Buffer.concat([buffer, data]);
+
+    if (stage === 'greeting') {
+      if (buffer.length < 2 || buffer.length < 2 + buffer[1]) return;
+      const methods = [...buffer.subarray(2, 2 + buffer[1])];
+      buffer = buffer.subarray(2 + buffer[1]);
+      const method = USER ? 0x02 : 0x00;
+      if (!methods.includes(method)) {
+        log('SOCKS5', '-', 'no acceptable auth method');
+        return client.end(Buffer.from([0x05, 0xff]));
+      }
+      client.write(Buffer.from([0x05, method]));
+      stage = USER ? 'auth' : 'request';
+    }
+
+    if (stage === 'auth') {
+      if (buffer.length < 2) return;
+      const userLength = buffer[1];
+      if (buffer.length < 3 + userLength) return;
+      const passLength = buffer[2 + userLength];
+      if (buffer.length < 3 + userLength + passLength) return;
+      const user = buffer.subarray(2, 2 + userLength).toString();
+      const pass = buffer.subarray(3 + userLength, 3 + userLength + passLength).toString();
+      buffer = buffer.subarray(3 + userLength + passLength);
+      if (user !== USER || pass !== PASS) {
+        log('SOCKS5', '-', 'auth failed');
+        return client.end(Buffer.from([0x01, 0x01]));
+      }
+      client.write(Buffer.from([0x01, 0x00]));
+      stage = 'request';
+    }
+
+    if (stage === 'request') {
+      if (buffer.length < 5) return;
+      let host;
+      let offset;
+      if (buffer[3] === 0x01) {
+        offset = 8;
+        if (buffer.length < offset + 2) return;
+        host = [...buffer.subarray(4, 8)].join('.');
+      } else if (buffer[3] === 0x03) {
+        offset = 5 + buffer[4];
+        if (buffer.length < offset + 2) return;
+        host = buffer.subarray(5, offset).toString();
+      } else {
+        log('SOCKS5', '-', 'unsupported address type');
+        return client.end(Buffer.from([0x05, 0x08, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+      }
+      const port = buffer.readUInt16BE(offset);
+      stage = 'tunnel';
+      client.removeListener('data', onData);
+
+      if (REFUSE) {
+        log('SOCKS5', `${host}:${port}`, 'refused');
+        return client.end(Buffer.from([0x05, 0x02, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+      }
+
+      tunnel(client, host, port, () => {
+        log('SOCKS5', `${host}:${port}`, 'connected');
+        client.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+      }, () => {
+        log('SOCKS5', `${host}:${port}`, 'host unreachable');
+        client.end(Buffer.from([0x05, 0x04, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+      });
+    }
+  });
+});
+
+// Port 0 picks a free port; the logged address is the one to use
+httpProxy.listen(HTTP_PORT, '127.0.0.1', () => {
+  console.log(`🧪 Dummy HTTP proxy on http://127.0.0.1:${httpProxy.address().port}${USER ? ` (user ${USER})` : ''}${REFUSE ? ' refusing everything' : ''}`);
+});
+socksProxy.listen(SOCKS_PORT, '127.0.0.1', () => {
+  console.log(`🧪 Dummy SOCKS5 proxy on socks5://127.0.0.1:${socksProxy.address().port}`);
+});
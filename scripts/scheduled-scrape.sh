@@ -1,9 +1,13 @@
 #!/bin/bash
 # HouseWipe Scheduled Scraper
 # Opens Chrome to realtor.ca - Tampermonkey script handles the rest
-# Schedule with: crontab -e → 0 * * * * /path/to/scheduled-scrape.sh
+# Schedule with: crontab -e → 0 * * * * /path/to/scheduled-scrape.sh [search-url]
+#
+# Pass a scrape plan's URL to cover that plan's region:
+#   scheduled-scrape.sh "$(cd scraper && node src/index.js plans url 3 | tail -1)"
 
-SEARCH_URL="https://www.realtor.ca/map#ZoomLevel=8&Center=43.65%2C-79.38&PriceMax=700000&Sort=6-D"
+DEFAULT_URL="https://www.realtor.ca/map#ZoomLevel=8&Center=43.65%2C-79.38&PriceMax=700000&Sort=6-D"
+SEARCH_URL="${1:-$DEFAULT_URL}"
 
 echo "[$(date)] Starting scheduled scrape..."
 
@@ -0,0 +1,337 @@
+/**
+ * Canadian address parsing for Nestd
+ * Splits listing addresses like "1203-50 Disera Dr, Vaughan (Crestwood), Ontario L4J 9E9"
+ * into unit, civic number, street name/type/direction, municipality, neighbourhood,
+ * province code, FSA and postal code. addressKey is the normalized form used to
+ * dedupe listings and cache geocodes; two spellings of one address get the same key
+ * ("50 Disera Drive #1203" and "1203-50 Disera Dr.").
+ */
+
+const PROVINCE_CODES = {
+  'ontario': 'ON',
+  'quebec': 'QC',
+  'québec': 'QC',
+  'british columbia': 'BC',
+  'colombie-britannique': 'BC',
+  'alberta': 'AB',
+  'manitoba': 'MB',
+  'saskatchewan': 'SK',
+  'nova scotia': 'NS',
+  'nouvelle-écosse': 'NS',
+  'new brunswick': 'NB',
+  'nouveau-brunswick': 'NB',
+  'newfoundland and labrador': 'NL',
+  'newfoundland': 'NL',
+  'terre-neuve-et-labrador': 'NL',
+  'prince edward island': 'PE',
+  'île-du-prince-édouard': 'PE',
+  'northwest territories': 'NT',
+  'territoires du nord-ouest': 'NT',
+  'yukon': 'YT',
+  'nunavut': 'NU',
+  'ont': 'ON',
+  'que': 'QC',
+  'pei': 'PE',
+};
+const CODES = ['ON', 'QC', 'BC', 'AB', 'MB', 'SK', 'NS', 'NB', 'NL', 'PE', 'NT', 'YT', 'NU'];
+
+// Province names, longest first so "Nouveau-Brunswick" isn't read as "Brunswick"
+const PROVINCE_NAMES = Object.keys(PROVINCE_CODES).sort((a, b) => b.length - a.length);
+
+// Street types (full name and common abbreviations) -> Canada Post abbreviation
+const STREET_TYPES = {
+  street: 'ST', st: 'ST',
+  avenue: 'AVE', ave: 'AVE', av: 'AVE',
+  road: 'RD', rd: 'RD',
+  drive: 'DR', dr: 'DR',
+  crescent: 'CRES', cres: 'CRES', cr: 'CRES',
+  court: 'CRT', crt: 'CRT', ct: 'CRT',
+  boulevard: 'BLVD', blvd: 'BLVD', boul: 'BLVD',
+  lane: 'LANE', ln: 'LANE',
+  way: 'WAY',
+  place: 'PL', pl: 'PL',
+  circle: 'CIR', circ: 'CIR', cir: 'CIR',
+  trail: 'TRAIL', trl: 'TRAIL',
+  terrace: 'TERR', terr: 'TERR',
+  parkway: 'PKY', pky: 'PKY', pkwy: 'PKY',
+  highway: 'HWY', hwy: 'HWY',
+  line: 'LINE',
+  sideroad: 'SDRD', sdrd: 'SDRD',
+  concession: 'CONC', conc: 'CONC',
+  gate: 'GATE',
+  square: 'SQ', sq: 'SQ',
+  grove: 'GROVE', grv: 'GROVE',
+  heights: 'HTS', hts: 'HTS',
+  gardens: 'GDNS', gdns: 'GDNS',
+  point: 'PT', pt: 'PT',
+  green: 'GREEN', grn: 'GREEN',
+  common: 'COMMON', cmn: 'COMMON',
+  close: 'CLOSE', path: 'PATH', row: 'ROW', mews: 'MEWS', ridge: 'RIDGE', landing: 'LANDING',
+  view: 'VIEW', walk: 'WALK', wynd: 'WYND', hill: 'HILL', glen: 'GLEN', cove: 'COVE', bay: 'BAY',
+};
+
+// French street types come first ("rue Principale", "chemin du Lac")
+const PREFIX_STREET_TYPES = {
+  rue: 'RUE',
+  chemin: 'CH', ch: 'CH',
+  montée: 'MONTÉE', montee: 'MONTÉE',
+  rang: 'RANG',
+  route: 'RTE', rte: 'RTE',
+  boulevard: 'BOUL', boul: 'BOUL',
+  avenue: 'AV', av: 'AV',
+  impasse: 'IMP',
+  allée: 'ALLÉE',
+};
+
+const PREFIX_TYPE_CODES = new Set(Object.values(PREFIX_STREET_TYPES));
+
+const DIRECTIONS = {
+  n: 'N', north: 'N', nord: 'N',
+  s: 'S', south: 'S', sud: 'S',
+  e: 'E', east: 'E', est: 'E',
+  w: 'W', west: 'W', ouest: 'W', o: 'W',
+  ne: 'NE', northeast: 'NE',
+  nw: 'NW', northwest: 'NW',
+  se: 'SE', southeast: 'SE',
+  sw: 'SW', southwest: 'SW',
+};
+
+// Postal codes skip D, F, I, O, Q and U (and W, Z as the first letter)
+const POSTAL_CODE_RE = /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s*-?\s*(\d[ABCEGHJ-NPRSTV-Z]\d)\b/i;
+
+const UNIT_KEYWORD = '(?:unit|suite|apt|apartment|#)';
+// "Unit 5 - 12 Main St", "#5, 12 Main St", "PH2 - 50 Disera Dr"
+const LEADING_UNIT_RE = new RegExp(`^(?:${UNIT_KEYWORD}\\.?\\s*#?\\s*([a-z0-9]+)|(ph|th|lph|uph)\\s*-?\\s*(\\d+))\\s*[-,]?\\s+`, 'i');
+// "12 Main St Unit 5", "12 Main St #5", "12 Main St, Suite 300"
+const TRAILING_UNIT_RE = new RegExp(`[\\s,]+${UNIT_KEYWORD}\\.?\\s*#?\\s*([a-z0-9-]+)$`, 'i');
+// "1203-50 Disera Dr": unit before the civic number, Canada Post style
+const UNIT_CIVIC_RE = /^([a-z]?\d+[a-z]?)\s*-\s*(\d+[a-z]?)\s+/i;
+const CIVIC_RE = /^(\d+[a-z]?(?:\s+1\/2)?)(?:\s+|$)/i;
+// Parenthesized notes that name a unit rather than a neighbourhood
+const UNIT_NOTE_RE = /^(?:(?:unit|suite|apt|#)\.?\s*#?\s*([a-z0-9-]+)|(upper|lower|main|bsmt|basement|rear|front))$/i;
+
+function cleanText(value) {
+  return value ? String(value).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Two-letter code for a province name, abbreviation or code, or null
+ */
+function provinceCode(province) {
+  const value = cleanText(province).toLowerCase().replace(/\./g, '');
+  if (!value) return null;
+  if (PROVINCE_CODES[value]) return PROVINCE_CODES[value];
+  const code = value.toUpperCase();
+  return CODES.includes(code) ? code : null;
+}
+
+/**
+ * Canonical postal code ("L4J 9E9"), or null
+ */
+function normalizePostalCode(text) {
+  const match = cleanText(text).match(POSTAL_CODE_RE);
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+}
+
+/**
+ * Find a province at the end of free text ("Vaughan Ontario", "Guelph, ON")
+ * Returns { code, rest } with the province removed, or null
+ */
+function extractProvince(text) {
+  const lower = text.toLowerCase();
+  for (const name of PROVINCE_NAMES) {
+    const match = lower.match(new RegExp(`(^|[\\s,])${name.replace(/\./g, '\\.')}\\.?$`));
+    if (match) {
+      return { code: PROVINCE_CODES[name], rest: cleanText(text.slice(0, match.index + match[1].length)) };
+    }
+  }
+  const code = text.match(/(?:^|[\s,])([A-Z]{2})$/);
+  if (code && CODES.includes(code[1])) {
+    return { code: code[1], rest: cleanText(text.slice(0, code.index)) };
+  }
+  return null;
+}
+
+/**
+ * Pull "(...)" notes out of a string
+ * Returns { text, notes }
+ */
+function extractNotes(text) {
+  const notes = [];
+  const rest = text.replace(/\(([^)]*)\)/g, (_, note) => {
+    if (cleanText(note)) notes.push(cleanText(note));
+    return ' ';
+  });
+  return { text: cleanText(rest), notes };
+}
+
+/**
+ * Unit from a parenthesized note ("Unit 4", "Upper"), or null
+ */
+function unitFromNote(note) {
+  const match = note.match(UNIT_NOTE_RE);
+  if (!match) return null;
+  return (match[1] || match[2]).toUpperCase().replace(/^BASEMENT$/, 'BSMT');
+}
+
+/**
+ * Split a street line into unit, civic number, name, type and direction
+ * "1203-50 Disera Drive" -> { unit: '1203', civicNumber: '50', streetName: 'Disera', streetType: 'DR' }
+ */
+function parseStreet(street) {
+  const result = { unit: null, civicNumber: null, streetName: null, streetType: null, streetDirection: null };
+  let { text, notes } = extractNotes(cleanText(street).replace(/\s*\.\s*/g, ' '));
+
+  for (const note of notes) {
+    result.unit = result.unit || unitFromNote(note);
+  }
+
+  let match = text.match(LEADING_UNIT_RE);
+  if (match) {
+    result.unit = match[1] ? match[1].toUpperCase() : `${match[2]}${match[3]}`.toUpperCase();
+    text = text.slice(match[0].length);
+  }
+  match = text.match(TRAILING_UNIT_RE);
+  if (match) {
+    result.unit = result.unit || match[1].toUpperCase();
+    text = text.slice(0, match.index);
+  }
+  match = text.match(UNIT_CIVIC_RE);
+  if (match) {
+    result.unit = result.unit || match[1].toUpperCase();
+    result.civicNumber = match[2].toUpperCase();
+    text = text.slice(match[0].length);
+  } else if ((match = text.match(CIVIC_RE))) {
+    result.civicNumber = match[1].toUpperCase();
+    text = text.slice(match[0].length);
+  }
+
+  const words = text.replace(/,/g, ' ').split(' ').filter(Boolean);
+  const key = (word) => word.toLowerCase();
+
+  if (words.length > 1 && DIRECTIONS[key(words[words.length - 1])]) {
+    result.streetDirection = DIRECTIONS[key(words.pop())];
+  }
+  if (words.length > 1 && STREET_TYPES[key(words[words.length - 1])]) {
+    result.streetType = STREET_TYPES[key(words.pop())];
+  } else if (words.length > 1 && PREFIX_STREET_TYPES[key(words[0])]) {
+    result.streetType = PREFIX_STREET_TYPES[key(words.shift())];
+  }
+
+  result.streetName = words.join(' ') || null;
+  return result;
+}
+
+/**
+ * Street line without the unit, for geocoding ("50 Disera Dr")
+ */
+function formatStreet(parts) {
+  const name = PREFIX_TYPE_CODES.has(parts.streetType)
+    ? [parts.streetType, parts.streetName]
+    : [parts.streetName, parts.streetType];
+  return [parts.civicNumber, ...name, parts.streetDirection].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Normalized key for an address: same property, same key
+ * unit-civic name type direction|municipality|province, lowercased without punctuation
+ */
+function buildAddressKey(parts, { withUnit = true } = {}) {
+  const street = [
+    withUnit && parts.unit ? `${parts.unit}-${parts.civicNumber || ''}` : parts.civicNumber,
+    parts.streetName,
+    parts.streetType,
+    parts.streetDirection,
+  ].filter(Boolean).join(' ');
+  if (!street) return null;
+
+  const clean = (value) => (value || '').toLowerCase().normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9 -]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return [clean(street), clean(parts.municipality), (parts.province || '').toLowerCase()].join('|');
+}
+
+/**
+ * Parse a Canadian address
+ * Accepts the card text ("12 Main St, Guelph (Ward 5), Ontario N1H 1A1") or a listing
+ * with street/town/province (and optionally the raw `address` text)
+ * Returns { unit, civicNumber, streetName, streetType, streetDirection, municipality,
+ *   neighborhood, province, postalCode, fsa, addressKey }
+ */
+function parseAddress(input) {
+  const text = typeof input === 'string'
+    ? input
+    : input.address || [input.street, input.town, input.province].filter(Boolean).join(', ');
+
+  const postalCode = normalizePostalCode(text);
+  const withoutPostal = cleanText(text.replace(POSTAL_CODE_RE, ' ').replace(/\|/g, ','));
+  const parts = withoutPostal.split(',').map(cleanText).filter(Boolean);
+
+  let street = parts.shift() || '';
+  // "12 Main St, Unit 5, Guelph": a unit split off by a comma belongs to the street
+  while (parts.length > 0 && new RegExp(`^${UNIT_KEYWORD}`, 'i').test(parts[0])) {
+    street = `${street} ${parts.shift()}`;
+  }
+
+  let province = typeof input === 'string' ? null : provinceCode(input.province);
+  const rest = [];
+  const places = parts.map(part => cleanText(part.replace(/(?:^|\s)canada$/i, ''))).filter(Boolean);
+  places.forEach((part, i) => {
+    // The province ends the last part or is a part of its own, but the town part is
+    // kept whole: "Québec, Quebec", "Alberta Beach, Alberta"
+    let found = extractProvince(part);
+    if (found && i < places.length - 1 && (i === 0 || found.rest)) found = null;
+    if (found && !province) province = found.code;
+    const remaining = found ? found.rest : part;
+    if (remaining) rest.push(remaining);
+  });
+
+  const town = extractNotes(rest[0] || (typeof input === 'string' ? '' : cleanText(input.town)));
+  const streetParts = parseStreet(street);
+  const notes = [...town.notes, ...extractNotes(street).notes]
+    .filter(note => !unitFromNote(note) && !/^ward\s*\d+$/i.test(note));
+
+  const result = {
+    ...streetParts,
+    municipality: town.text || null,
+    neighborhood: notes[0] || null,
+    province,
+    postalCode,
+    fsa: postalCode ? postalCode.slice(0, 3) : null,
+  };
+  result.addressKey = buildAddressKey(result);
+  return result;
+}
+
+/**
+ * listings columns for parsed address parts (see migration 014_listing_address)
+ */
+function addressColumns(parts) {
+  return {
+    unit: parts.unit,
+    civic_number: parts.civicNumber,
+    street_name: parts.streetName,
+    street_type: parts.streetType,
+    street_direction: parts.streetDirection,
+    municipality: parts.municipality,
+    neighborhood: parts.neighborhood,
+    province_code: parts.province,
+    postal_code: parts.postalCode,
+    fsa: parts.fsa,
+    address_key: parts.addressKey,
+  };
+}
+
+// jsonb_to_recordset column list matching addressColumns()
+const ADDRESS_RECORD = `unit TEXT, civic_number TEXT, street_name TEXT, street_type TEXT, street_direction TEXT,
+  municipality TEXT, neighborhood TEXT, province_code TEXT, postal_code TEXT, fsa TEXT, address_key TEXT`;
+
+module.exports = {
+  ADDRESS_RECORD,
+  addressColumns,
+  provinceCode,
+  normalizePostalCode,
+  parseStreet,
+  parseAddress,
+  formatStreet,
+  buildAddressKey,
+};
@@ -0,0 +1,124 @@
+/**
+ * Alert engine for Nestd
+ * Turns ingest results into user alerts (price and field changes on favorites,
+ * new listings matching saved searches). Shared by the scraper and the API
+ * so every ingest path produces the same alerts.
+ */
+
+class AlertEngine {
+  /**
+   * @param {object} db - pg Pool or client (anything with a query() method)
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Process the results of an ingest batch
+   * Accepts the results of IngestService.ingest() (shared/ingest.js):
+   * { listingId, isNew, priceChanged, oldPrice, newPrice, changes }
+   * Returns the number of alerts created
+   */
+  async processIngestResults(results) {
+    let created = 0;
+
+    for (const result of results) {
+      if (result.isNew) {
+        created += await this.createNewListingAlerts(result.listingId);
+      }
+      if (result.priceChanged) {
+        created += await this.createPriceAlerts(result.listingId, result.oldPrice, result.newPrice);
+      }
+      if (result.changes && result.changes.length > 0) {
+        created += await this.createFieldChangeAlerts(result.changes);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Create price_drop/price_increase alerts for every user who favorited the listing
+   * Users only get an alert when the change meets their threshold
+   */
+  async createPriceAlerts(listingId, oldPrice, newPrice) {
+    if (!oldPrice || !newPrice || oldPrice === newPrice) return 0;
+
+    const alertType = newPrice < oldPrice ? 'price_drop' : 'price_increase';
+    const changePercent = (Math.abs(newPrice - oldPrice) * 100) / oldPrice;
+
+    const result = await this.db.query(
+      `INSERT INTO alerts (user_id, listing_id, alert_type, old_price, new_price)
+       SELECT f.user_id, f.listing_id, $2, $3, $4
+       FROM favorites f
+       JOIN users u ON u.id = f.user_id
+       WHERE f.listing_id = $1
+       AND $5::numeric >= COALESCE(u.alert_threshold_percent, 0)`,
+      [listingId, alertType, oldPrice, newPrice, changePercent]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Create field_change alerts for users who favorited the listing
+   * and subscribed to the changed field (users.change_alert_fields)
+   * Accepts listing_changes rows as returned by recordListingChanges()
+   */
+  async createFieldChangeAlerts(changes) {
+    const changeIds = changes.filter(c => c.field !== 'price').map(c => c.id);
+    if (changeIds.length === 0) return 0;
+
+    const result = await this.db.query(
+      `INSERT INTO alerts (user_id, listing_id, alert_type, listing_change_id)
+       SELECT f.user_id, c.listing_id, 'field_change', c.id
+       FROM listing_changes c
+       JOIN favorites f ON f.listing_id = c.listing_id
+       JOIN users u ON u.id = f.user_id
+       WHERE c.id = ANY($1)
+       AND c.field = ANY(u.change_alert_fields)`,
+      [changeIds]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Create new_listing alerts for every enabled saved search the listing matches
+   * A user gets at most one alert per listing, tagged with their first matching search
+   */
+  async createNewListingAlerts(listingId) {
+    const result = await this.db.query(
+      `INSERT INTO alerts (user_id, listing_id, saved_search_id, alert_type, new_price)
+       SELECT DISTINCT ON (s.user_id) s.user_id, l.id, s.id, 'new_listing', l.price
+       FROM listings l
+       JOIN saved_searches s ON s.alerts_enabled = TRUE
+       WHERE l.id = $1
+       AND (s.min_price IS NULL OR l.price >= s.min_price)
+       AND (s.max_price IS NULL OR l.price <= s.max_price)
+       AND (s.min_beds IS NULL OR l.beds >= s.min_beds)
+       AND (s.min_baths IS NULL OR l.baths >= s.min_baths)
+       AND (COALESCE(cardinality(s.towns), 0) = 0
+            OR EXISTS (SELECT 1 FROM unnest(s.towns) t WHERE lower(t) = lower(l.town)))
+       AND (COALESCE(cardinality(s.provinces), 0) = 0
+            OR EXISTS (SELECT 1 FROM unnest(s.provinces) p WHERE lower(p) = lower(l.province)))
+       AND (s.lat IS NULL OR s.lng IS NULL OR s.radius_km IS NULL
+            OR (l.lat IS NOT NULL AND l.lng IS NOT NULL AND
+                6371 * 2 * asin(sqrt(
+                  power(sin(radians(l.lat - s.lat) / 2), 2) +
+                  cos(radians(s.lat)) * cos(radians(l.lat)) * power(sin(radians(l.lng - s.lng) / 2), 2)
+                )) <= s.radius_km))
+       AND NOT EXISTS (
+         SELECT 1 FROM alerts a
+         WHERE a.user_id = s.user_id AND a.listing_id = l.id AND a.alert_type = 'new_listing'
+       )
+       ORDER BY s.user_id, s.id
+       ON CONFLICT DO NOTHING`,
+      [listingId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = { AlertEngine };
@@ -0,0 +1,139 @@
+/**
+ * API keys for Nestd
+ * Machine clients (the Tampermonkey userscript, external scrapers) authenticate with
+ * an API key instead of a Clerk session. A key is a public key id, sent as X-API-Key,
+ * and a signing secret that is shown once when the key is created and never sent.
+ *
+ * Requests are signed: X-Signature is an HMAC-SHA256 of `${X-Timestamp}.${raw body}`
+ * keyed with the signing secret, so a captured request can't be altered or replayed later.
+ * The server keeps the secret to check signatures; treat the api_keys table accordingly.
+ */
+
+const crypto = require('crypto');
+
+// Scopes a key can be granted
+const SCOPES = {
+  'listings:write': 'Submit scraped listings (POST /api/scraper/listings)',
+};
+
+const DEFAULT_SCOPES = ['listings:write'];
+const DEFAULT_RATE_LIMIT = 60; // requests per minute
+
+// Key ids are "hw_" + 12 characters, stored as key_prefix
+const KEY_ID_BYTES = 9;
+
+/**
+ * Error with an HTTP status, for input the CLI/API should reject
+ */
+function apiKeyError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Create a key; returns the row plus its `keyId` and `signingSecret`
+ */
+async function createApiKey(db, { name, scopes = DEFAULT_SCOPES, rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw apiKeyError('name is required');
+  }
+  const unknown = scopes.filter(scope => !SCOPES[scope]);
+  if (scopes.length === 0 || unknown.length > 0) {
+    throw apiKeyError(`Invalid scopes: ${unknown.join(', ') || '(none)'} (available: ${Object.keys(SCOPES).join(', ')})`);
+  }
+  const limit = parseInt(rateLimit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw apiKeyError('rateLimit must be a positive number of requests per minute');
+  }
+
+  const keyId = `hw_${crypto.randomBytes(KEY_ID_BYTES).toString('base64url')}`;
+  const signingSecret = `hws_${crypto.randomBytes(32).toString('base64url')}`;
+  const result = await db.query(
+    `INSERT INTO api_keys (name, key_prefix, signing_secret, scopes, rate_limit)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, key_prefix, scopes, rate_limit, created_at`,
+    [name.trim(), keyId, signingSecret, scopes, limit]
+  );
+  return { ...result.rows[0], keyId, signingSecret };
+}
+
+async function listApiKeys(db) {
+  const result = await db.query(
+    `SELECT id, name, key_prefix, scopes, rate_limit, created_at, last_used_at, revoked_at
+     FROM api_keys
+     ORDER BY id`
+  );
+  return result.rows;
+}
+
+/**
+ * Revoke a key by id; returns false if there's no active key with that id
+ */
+async function revokeApiKey(db, id) {
+  const result = await db.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Look up an active key by its key id
+ * Returns the row, with its signing_secret, or null
+ */
+async function findApiKey(db, keyId) {
+  if (typeof keyId !== 'string' || !keyId) return null;
+
+  const result = await db.query(
+    `SELECT id, name, key_prefix, signing_secret, scopes, rate_limit
+     FROM api_keys
+     WHERE key_prefix = $1 AND revoked_at IS NULL AND signing_secret IS NOT NULL`,
+    [keyId]
+  );
+  return result.rows[0] || null;
+}
+
+async function touchApiKey(db, id) {
+  await db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+}
+
+/**
+ * HMAC-SHA256 signature (hex) of a request body, keyed with the signing secret
+ */
+function signRequest(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a request signature and that its timestamp (unix seconds) is recent
+ * Returns an error message, or null if the signature is valid
+ */
+function verifySignature(secret, { timestamp, signature, body }, toleranceSec = 300) {
+  if (!timestamp || !signature) return 'Missing X-Timestamp or X-Signature header';
+
+  const ts = parseInt(timestamp);
+  if (!Number.isInteger(ts) || Math.abs(Date.now() / 1000 - ts) > toleranceSec) {
+    return 'Request timestamp is missing or too far from server time';
+  }
+
+  const expected = Buffer.from(signRequest(secret, timestamp, body));
+  const actual = Buffer.from(String(signature).replace(/^sha256=/, ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Invalid request signature';
+  }
+  return null;
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  touchApiKey,
+  signRequest,
+  verifySignature,
+};
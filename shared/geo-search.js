@@ -0,0 +1,223 @@
+/**
+ * Geospatial listing search for Nestd
+ * Radius ("within 10 km of work"), map viewport and drawn-area (GeoJSON) filters.
+ * Radius search and distances use earthdistance and its GiST index on
+ * ll_to_earth(lat, lng) (migration 016); boxes and polygons use the (lat, lng) index.
+ */
+
+const MAX_RADIUS_KM = 500;
+const MAX_POLYGON_POINTS = 2000;
+
+/**
+ * Error with an HTTP status, for query parameters the API should reject with a 400
+ */
+function geoError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseNumber(value, name, min, max) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+    throw geoError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Polygons of a GeoJSON Polygon/MultiPolygon geometry, Feature or FeatureCollection
+ * Returns [[ring, ...holes], ...] with rings as [[lng, lat], ...]
+ */
+function geoJsonPolygons(geojson) {
+  if (!geojson || typeof geojson !== 'object') return null;
+
+  switch (geojson.type) {
+    case 'Polygon':
+      return [geojson.coordinates];
+    case 'MultiPolygon':
+      return geojson.coordinates;
+    case 'Feature':
+      return geoJsonPolygons(geojson.geometry);
+    case 'FeatureCollection': {
+      const polygons = (geojson.features || []).map(geoJsonPolygons);
+      return polygons.every(Boolean) && polygons.length > 0 ? polygons.flat() : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a drawn area and return its polygons, with a bounding box around all of them
+ */
+function parsePolygon(value) {
+  let geojson = value;
+  if (typeof value === 'string') {
+    try {
+      geojson = JSON.parse(value);
+    } catch {
+      throw geoError('polygon must be GeoJSON');
+    }
+  }
+
+  const polygons = geoJsonPolygons(geojson);
+  if (!polygons || polygons.length === 0) {
+    throw geoError('polygon must be a GeoJSON Polygon or MultiPolygon (or a Feature with one)');
+  }
+
+  let points = 0;
+  const bbox = [180, 90, -180, -90];
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) throw geoError('polygon has no rings');
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        throw geoError('polygon rings need at least 4 positions');
+      }
+      for (const position of ring) {
+        const [lng, lat] = Array.isArray(position) ? position : [];
+        if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+          throw geoError('polygon positions must be [longitude, latitude]');
+        }
+      }
+      points += ring.length;
+    }
+    // Holes are inside the outer ring, so it alone sets the box
+    for (const [lng, lat] of rings[0]) {
+      bbox[0] = Math.min(bbox[0], lng);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lng);
+      bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+  if (points > MAX_POLYGON_POINTS) {
+    throw geoError(`polygon has more than ${MAX_POLYGON_POINTS} positions`);
+  }
+
+  return { polygons, bbox };
+}
+
+/**
+ * Parse the geo query parameters of a listings search
+ *   lat, lng - search center; listings get distance_km from it
+ *   radiusKm - only listings within this many km of the center
+ *   bbox - map viewport "west,south,east,north" (west > east crosses the antimeridian)
+ *   polygon - drawn area: GeoJSON Polygon or MultiPolygon, Feature or FeatureCollection (JSON text)
+ * Returns { center, radiusKm, bbox, area } with unused parts null; throws a 400 error on bad input
+ */
+function parseGeoSearch(query = {}) {
+  const search = { center: null, radiusKm: null, bbox: null, area: null };
+  const present = (value) => value !== undefined && value !== null && value !== '';
+
+  if (present(query.lat) || present(query.lng)) {
+    if (!present(query.lat) || !present(query.lng)) throw geoError('lat and lng must be given together');
+    search.center = {
+      lat: parseNumber(query.lat, 'lat', -90, 90),
+      lng: parseNumber(query.lng, 'lng', -180, 180),
+    };
+  }
+
+  if (present(query.radiusKm)) {
+    if (!search.center) throw geoError('radiusKm needs a center (lat and lng)');
+    search.radiusKm = parseNumber(query.radiusKm, 'radiusKm', 0.1, MAX_RADIUS_KM);
+  }
+
+  if (present(query.bbox)) {
+    const parts = String(query.bbox).split(',');
+    if (parts.length !== 4) throw geoError('bbox must be "west,south,east,north"');
+    const [west, south, east, north] = parts.map((part, i) =>
+      parseNumber(part.trim(), 'bbox', i % 2 === 0 ? -180 : -90, i % 2 === 0 ? 180 : 90));
+    if (south > north) throw geoError('bbox south must not be above north');
+    search.bbox = [west, south, east, north];
+  }
+
+  if (present(query.polygon)) {
+    search.area = parsePolygon(query.polygon);
+  }
+
+  return search;
+}
+
+/**
+ * SQL conditions for a box over listings; a box crossing the antimeridian wraps around
+ */
+function bboxSql([west, south, east, north], params, alias) {
+  params.push(south, north, west, east);
+  const n = params.length;
+  const lng = west <= east
+    ? `${alias}.lng BETWEEN $${n - 1} AND $${n}`
+    : `(${alias}.lng >= $${n - 1} OR ${alias}.lng <= $${n})`;
+  return `${alias}.lat BETWEEN $${n - 3} AND $${n - 2} AND ${lng}`;
+}
+
+/**
+ * Postgres polygon literal for a GeoJSON ring: ((lng,lat),...)
+ */
+function ringLiteral(ring) {
+  return `(${ring.map(([lng, lat]) => `(${lng},${lat})`).join(',')})`;
+}
+
+/**
+ * SQL for a parsed geo search over listings (table alias `alias`)
+ * Appends its parameters to params and returns { conditions, distanceSql };
+ * distanceSql (km from the center, 2 decimals) is null without a center.
+ */
+function geoSearchSql(search, params, alias = 'l') {
+  const conditions = [];
+  let distanceSql = null;
+
+  if (search.center) {
+    params.push(search.center.lat, search.center.lng);
+    const origin = `ll_to_earth($${params.length - 1}, $${params.length})`;
+    const point = `ll_to_earth(${alias}.lat, ${alias}.lng)`;
+    distanceSql = `ROUND((earth_distance(${origin}, ${point}) / 1000)::numeric, 2)::double precision`;
+
+    if (search.radiusKm !== null) {
+      // earth_box() is a cube around the circle (uses the GiST index); earth_distance() trims its corners
+      params.push(search.radiusKm * 1000);
+      conditions.push(`earth_box(${origin}, $${params.length}) @> ${point}`);
+      conditions.push(`earth_distance(${origin}, ${point}) <= $${params.length}`);
+    }
+  }
+
+  if (search.bbox) {
+    conditions.push(bboxSql(search.bbox, params, alias));
+  }
+
+  if (search.area) {
+    conditions.push(bboxSql(search.area.bbox, params, alias));
+    const point = `point(${alias}.lng, ${alias}.lat)`;
+    const inside = search.area.polygons.map(([outer, ...holes]) => {
+      params.push(ringLiteral(outer));
+      const parts = [`$${params.length}::polygon @> ${point}`];
+      for (const hole of holes) {
+        params.push(ringLiteral(hole));
+        parts.push(`NOT ($${params.length}::polygon @> ${point})`);
+      }
+      return `(${parts.join(' AND ')})`;
+    });
+    conditions.push(`(${inside.join(' OR ')})`);
+  }
+
+  return { conditions, distanceSql };
+}
+
+/**
+ * Web Mercator grid cell of listing `alias` at a map zoom level, as SQL ({ x, y })
+ * Cells are cellPx screen pixels across, so listings that would overlap on screen share one
+ */
+function gridCellSql(zoom, cellPx, params, alias = 'l') {
+  params.push((256 * 2 ** zoom) / cellPx);
+  const cells = `$${params.length}::double precision`;
+  return {
+    x: `floor((${alias}.lng + 180) / 360 * ${cells})`,
+    y: `floor((1 - ln(tan(radians(${alias}.lat)) + 1 / cos(radians(${alias}.lat))) / pi()) / 2 * ${cells})`,
+  };
+}
+
+module.exports = {
+  MAX_RADIUS_KM,
+  parseGeoSearch,
+  geoSearchSql,
+  gridCellSql,
+};
@@ -0,0 +1,295 @@
+/**
+ * Geocoding for Nestd
+ * Looks up coordinates for listings that arrive without them. A Geocoder asks its
+ * providers in order (Geoapify, Nominatim, an offline gazetteer of town centres)
+ * until one is confident enough, and caches every answer in geocode_cache by
+ * normalized address - misses included - so an address is only looked up once.
+ *
+ * Results: { lat, lng, confidence (0-1), provider }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { provinceCode, parseAddress, formatStreet, buildAddressKey } = require('./address');
+
+const DEFAULT_GAZETTEER_FILE = path.join(__dirname, 'data', 'ca-places.json');
+
+/**
+ * One-line query for an address (card text or { street, town, province })
+ * Leaves out the unit and parenthesized notes ("(Ward 5)", "(Upper)") that confuse geocoders
+ */
+function formatAddress(address) {
+  const parts = parseAddress(address);
+  const region = [parts.province, parts.postalCode].filter(Boolean).join(' ');
+  return [formatStreet(parts), parts.municipality, region].filter(Boolean).join(', ');
+}
+
+/**
+ * Cache key for an address: its address key without the unit, since units share coordinates
+ */
+function normalizeAddress(address) {
+  return buildAddressKey(parseAddress(address), { withUnit: false });
+}
+
+// ============ PROVIDERS ============
+
+/**
+ * Base geocoder provider
+ * Subclasses implement search(query, parts) - the one-line query and its parseAddress() parts -
+ * and return { lat, lng, confidence } or null;
+ * throwing means "couldn't ask" (network, quota), which isn't cached as a miss.
+ */
+class GeocodeProvider {
+  constructor({ minIntervalMs = 0 } = {}) {
+    this.minIntervalMs = minIntervalMs;
+    this.lastRequestAt = 0;
+  }
+
+  get name() {
+    throw new Error('GeocodeProvider subclasses must define name');
+  }
+
+  async search() {
+    throw new Error(`${this.name}: search() not implemented`);
+  }
+
+  /**
+   * search() spaced out by minIntervalMs
+   */
+  async lookup(query, parts) {
+    const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    this.lastRequestAt = Date.now();
+    return this.search(query, parts);
+  }
+}
+
+/**
+ * Geoapify geocoding API (GEOAPIFY_API_KEY)
+ */
+class GeoapifyProvider extends GeocodeProvider {
+  constructor({ apiKey, minIntervalMs = 100 } = {}) {
+    super({ minIntervalMs });
+    this.apiKey = apiKey;
+  }
+
+  get name() {
+    return 'geoapify';
+  }
+
+  async search(query) {
+    const url = `https://api.geoapify.com/v1/geocode/search?text=${encodeURIComponent(query)}&filter=countrycode:ca&limit=1&apiKey=${this.apiKey}`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Geoapify HTTP ${response.status}`);
+
+    const data = await response.json();
+    const feature = data.features && data.features[0];
+    if (!feature) return null;
+
+    const [lng, lat] = feature.geometry.coordinates;
+    const confidence = feature.properties.rank ? feature.properties.rank.confidence : null;
+    return { lat, lng, confidence: confidence ?? 0.5 };
+  }
+}
+
+/**
+ * Nominatim (OpenStreetMap) search API
+ * The public instance allows one request per second and needs an identifying User-Agent
+ */
+class NominatimProvider extends GeocodeProvider {
+  constructor({ url = 'https://nominatim.openstreetmap.org', userAgent = 'HouseWipe/1.0', minIntervalMs = 1000 } = {}) {
+    super({ minIntervalMs });
+    this.url = url.replace(/\/$/, '');
+    this.userAgent = userAgent;
+  }
+
+  get name() {
+    return 'nominatim';
+  }
+
+  async search(query) {
+    const url = `${this.url}/search?q=${encodeURIComponent(query)}&format=jsonv2&countrycodes=ca&limit=1`;
+    const response = await fetch(url, { headers: { 'User-Agent': this.userAgent } });
+    if (!response.ok) throw new Error(`Nominatim HTTP ${response.status}`);
+
+    const [place] = await response.json();
+    if (!place) return null;
+
+    // place_rank: 30 = building, 26-27 = street, 16-20 = town
+    const rank = place.place_rank || 0;
+    const confidence = rank >= 30 ? 0.9 : rank >= 26 ? 0.6 : rank >= 16 ? 0.3 : 0.1;
+    return { lat: parseFloat(place.lat), lng: parseFloat(place.lon), confidence };
+  }
+}
+
+/**
+ * Offline gazetteer of town centres (GEOCODE_GAZETTEER_FILE, default shared/data/ca-places.json)
+ * Only knows towns, so results are low confidence; it never needs the network.
+ * The file is read on first use; when it can't be read the provider warns once and finds nothing.
+ */
+class GazetteerProvider extends GeocodeProvider {
+  /**
+   * @param {object} options
+   *   places - [{ name, province, lat, lng }] (default: read from file)
+   *   file - JSON file with the same shape
+   *   confidence - confidence given to a town-centre match
+   */
+  constructor({ places, file = DEFAULT_GAZETTEER_FILE, confidence = 0.2 } = {}) {
+    super();
+    this.file = file;
+    this.confidence = confidence;
+    // normalized town name -> places with that name, built on first search
+    this.places = places ? this.indexPlaces(places) : null;
+  }
+
+  get name() {
+    return 'gazetteer';
+  }
+
+  townKey(name) {
+    return name.toLowerCase().replace(/^(city|town|township) of /, '').replace(/[^a-z0-9]/g, '');
+  }
+
+  indexPlaces(places) {
+    const index = new Map();
+    for (const place of places) {
+      const key = this.townKey(place.name);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ ...place, province: provinceCode(place.province) });
+    }
+    return index;
+  }
+
+  loadPlaces() {
+    if (this.places) return this.places;
+    try {
+      this.places = this.indexPlaces(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+    } catch (err) {
+      console.warn(`⚠️  Gazetteer disabled: can't read ${this.file} (${err.message})`);
+      this.places = new Map();
+    }
+    return this.places;
+  }
+
+  async search(query, parts) {
+    if (!parts.municipality) return null;
+
+    const candidates = this.loadPlaces().get(this.townKey(parts.municipality)) || [];
+    const province = provinceCode(parts.province);
+    const place = province ? candidates.find(c => c.province === province) : candidates[0];
+    if (!place) return null;
+    return { lat: place.lat, lng: place.lng, confidence: this.confidence };
+  }
+}
+
+const PROVIDERS = {
+  geoapify: (env) => (env.GEOAPIFY_API_KEY ? new GeoapifyProvider({ apiKey: env.GEOAPIFY_API_KEY }) : null),
+  nominatim: (env) => new NominatimProvider({
+    url: env.NOMINATIM_URL || undefined,
+    userAgent: env.NOMINATIM_USER_AGENT || undefined,
+  }),
+  gazetteer: (env) => new GazetteerProvider({ file: env.GEOCODE_GAZETTEER_FILE || undefined }),
+};
+
+// ============ GEOCODER ============
+
+class Geocoder {
+  /**
+   * @param {object} pool - pg Pool (for geocode_cache)
+   * @param {object} options
+   *   providers - GeocodeProvider instances, asked in order
+   *   minConfidence - stop at the first result at least this confident (default 0.5)
+   *   missRetryDays - look cached misses and low-confidence answers up again after this many days (default 30)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.providers = options.providers || [];
+    this.minConfidence = options.minConfidence ?? 0.5;
+    this.missRetryDays = options.missRetryDays ?? 30;
+  }
+
+  /**
+   * Geocode an address (card text or { street, town, province, address })
+   * Returns { lat, lng, confidence, provider } or null
+   */
+  async geocode(address) {
+    const parts = parseAddress(address);
+    const query = formatAddress(address);
+    const key = buildAddressKey(parts, { withUnit: false });
+    if (!key || this.providers.length === 0) return null;
+
+    const cached = await this.pool.query(
+      `SELECT provider, lat, lng, confidence
+       FROM geocode_cache
+       WHERE address_key = $1
+       AND (confidence >= $2 OR updated_at > NOW() - make_interval(days => $3))`,
+      [key, this.minConfidence, this.missRetryDays]
+    );
+    if (cached.rows.length > 0) {
+      const row = cached.rows[0];
+      return row.lat === null ? null : { lat: row.lat, lng: row.lng, confidence: row.confidence, provider: row.provider };
+    }
+
+    let best = null;
+    let failed = false;
+    for (const provider of this.providers) {
+      try {
+        const result = await provider.lookup(query, parts);
+        if (result && (!best || result.confidence > best.confidence)) {
+          best = { ...result, provider: provider.name };
+        }
+      } catch (err) {
+        failed = true;
+        console.error(`Geocoding error (${provider.name}):`, err.message);
+      }
+      if (best && best.confidence >= this.minConfidence) break;
+    }
+
+    // Don't remember a miss or a rough answer when a provider couldn't be asked
+    if (!failed || (best && best.confidence >= this.minConfidence)) {
+      await this.pool.query(
+        `INSERT INTO geocode_cache (address_key, query, provider, lat, lng, confidence)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (address_key) DO UPDATE
+         SET query = EXCLUDED.query, provider = EXCLUDED.provider, lat = EXCLUDED.lat,
+             lng = EXCLUDED.lng, confidence = EXCLUDED.confidence, updated_at = NOW()`,
+        [key, query, best ? best.provider : null, best ? best.lat : null, best ? best.lng : null, best ? best.confidence : null]
+      );
+    }
+    return best;
+  }
+}
+
+/**
+ * Geocoder configured from the environment
+ * GEOCODE_PROVIDERS: comma-separated, in order (default: geoapify,gazetteer; geoapify
+ * is skipped without GEOAPIFY_API_KEY). GEOCODE_MIN_CONFIDENCE, GEOCODE_MISS_RETRY_DAYS.
+ */
+function createGeocoder(pool, env = process.env) {
+  const names = (env.GEOCODE_PROVIDERS || 'geoapify,gazetteer')
+    .split(',').map(name => name.trim()).filter(Boolean);
+
+  const providers = names.map(name => {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown geocode provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return PROVIDERS[name](env);
+  }).filter(Boolean);
+
+  return new Geocoder(pool, {
+    providers,
+    minConfidence: env.GEOCODE_MIN_CONFIDENCE ? parseFloat(env.GEOCODE_MIN_CONFIDENCE) : undefined,
+    missRetryDays: parseInt(env.GEOCODE_MISS_RETRY_DAYS) || undefined,
+  });
+}
+
+module.exports = {
+  formatAddress,
+  normalizeAddress,
+  GeocodeProvider,
+  GeoapifyProvider,
+  NominatimProvider,
+  GazetteerProvider,
+  Geocoder,
+  createGeocoder,
+};
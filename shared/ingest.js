@@ -0,0 +1,331 @@
+/**
+ * Listing ingest for Nestd
+ * The one write path for search-result listings, shared by scraper runs and the
+ * userscript ingest API: validates each item, geocodes missing coordinates, upserts
+ * the batch in a single transaction with multi-row statements, then creates alerts.
+ *
+ * Every item gets a result, in input order:
+ * { index, detailUrl, outcome: 'new' | 'updated' | 'price_changed' | 'rejected', errors,
+ *   listingId, isNew, status, priceChanged, oldPrice, newPrice, changes }
+ * (status is the lifecycle status; the rest is what AlertEngine.processIngestResults() takes)
+ */
+
+const { validateListing } = require('./listing-schema');
+const { listingIdentity, findListings, recordListingIdentities } = require('./listing-identity');
+const { startListingLifecycle, recordListingSeen } = require('./lifecycle');
+const { diffListing, recordListingChangesBatch } = require('./listing-changes');
+const { createGeocoder } = require('./geocode');
+const { ADDRESS_RECORD, addressColumns, parseAddress } = require('./address');
+const { AlertEngine } = require('./alerts');
+
+// listings.source column default
+const DEFAULT_SOURCE = 'realtor-ca';
+
+/**
+ * Listing columns written for an accepted item, as a jsonb_to_recordset row
+ * item: { data (payload), address (parseAddress() parts), geocode (Geocoder result, if looked up) }
+ * Search cards show 0 beds/baths when the count isn't listed; empty photo lists mean "unknown"
+ */
+function listingRow({ data, address, geocode = null }) {
+  return {
+    url: data.detailUrl,
+    price: data.price ?? null,
+    street: data.street,
+    town: data.town ?? null,
+    province: data.province ?? null,
+    beds: data.beds ?? null,
+    baths: data.baths ?? null,
+    sqft: data.sqft ?? null,
+    lat: data.lat ?? null,
+    lng: data.lng ?? null,
+    geocode_provider: geocode ? geocode.provider : null,
+    geocode_confidence: geocode ? geocode.confidence : null,
+    image_urls: data.imageUrls && data.imageUrls.length > 0 ? data.imageUrls : null,
+    listed_at: data.listedAt ?? null,
+    source: data.source,
+    ...addressColumns(address),
+  };
+}
+
+const LISTING_RECORD = `url TEXT, price INTEGER, street TEXT, town TEXT, province TEXT,
+  beds INTEGER, baths INTEGER, sqft INTEGER, lat DOUBLE PRECISION, lng DOUBLE PRECISION,
+  geocode_provider TEXT, geocode_confidence REAL, image_urls TEXT[], listed_at TIMESTAMPTZ, source TEXT,
+  ${ADDRESS_RECORD}`;
+
+/**
+ * Keys that make two payloads the same listing
+ */
+function identityKeys(identity) {
+  return [
+    identity.mlsNumber && `mls:${identity.mlsNumber}`,
+    identity.externalId && `id:${identity.externalId}`,
+    `url:${identity.url}`,
+  ].filter(Boolean);
+}
+
+class IngestService {
+  /**
+   * @param {object} pool - pg Pool
+   * @param {object} options
+   *   alertEngine - AlertEngine for the ingested batches (default: one on the same pool)
+   *   geocoder - Geocoder for listings without coordinates, or false to skip geocoding
+   *     (default: createGeocoder(pool), configured from the environment)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.alertEngine = options.alertEngine || new AlertEngine(pool);
+    this.geocoder = options.geocoder !== undefined ? options.geocoder : createGeocoder(pool);
+  }
+
+  /**
+   * Ingest a batch of listings
+   * options.source fills in listings without one
+   * Returns { results, summary: { new, updated, priceChanges, rejected }, alertsCreated }
+   */
+  async ingest(listings, options = {}) {
+    const results = listings.map((listing, index) => ({
+      index,
+      detailUrl: typeof listing?.detailUrl === 'string' ? listing.detailUrl : null,
+    }));
+    const items = this.acceptValid(listings, results, options.source || DEFAULT_SOURCE);
+
+    if (items.length > 0) {
+      await this.geocodeMissing(items);
+
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN');
+        // One ingest at a time, so concurrent batches can't both insert the same new listing
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('listing-ingest'))`);
+
+        const existing = await findListings(client, items.map(item => item.identity));
+        const claimed = new Map();
+        const inserts = [];
+        const updates = [];
+
+        items.forEach((item, i) => {
+          const row = existing[i];
+          if (!row) return inserts.push(item);
+
+          // Two payloads can resolve to one row (e.g. an old URL and a new MLS® number)
+          if (claimed.has(row.id)) {
+            return reject(results[item.index], [`same listing as item ${claimed.get(row.id)} in this batch`]);
+          }
+          claimed.set(row.id, item.index);
+          updates.push({ ...item, existing: row });
+        });
+
+        await this.insertListings(client, inserts, results);
+        await this.updateListings(client, updates, results);
+        await recordListingIdentities(client, [...inserts, ...updates]
+          .map(item => ({ listingId: results[item.index].listingId, identity: item.identity })));
+
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    }
+
+    const saved = results.filter(result => result.outcome !== 'rejected');
+    const alertsCreated = saved.length > 0 ? await this.alertEngine.processIngestResults(saved) : 0;
+
+    return {
+      results,
+      summary: {
+        new: results.filter(result => result.outcome === 'new').length,
+        updated: results.filter(result => result.outcome === 'updated' || result.outcome === 'price_changed').length,
+        priceChanges: results.filter(result => result.outcome === 'price_changed').length,
+        rejected: results.length - saved.length,
+      },
+      alertsCreated,
+    };
+  }
+
+  /**
+   * Validate payloads and drop repeats within the batch
+   * Returns [{ index, data, identity, address }] for the listings to save
+   */
+  acceptValid(listings, results, source) {
+    const items = [];
+    const seen = new Map();
+
+    listings.forEach((listing, index) => {
+      const errors = validateListing(listing);
+      if (errors.length > 0) return reject(results[index], errors);
+
+      const data = { ...listing, source: listing.source || source };
+      const identity = listingIdentity(data);
+      const keys = identityKeys(identity);
+      const duplicateOf = keys.map(key => seen.get(key)).find(i => i !== undefined);
+      if (duplicateOf !== undefined) {
+        return reject(results[index], [`same listing as item ${duplicateOf} in this batch`]);
+      }
+
+      keys.forEach(key => seen.set(key, index));
+      items.push({ index, data, identity, address: parseAddress(data) });
+    });
+
+    return items;
+  }
+
+  /**
+   * Look up coordinates for listings that have none and aren't stored with any
+   * Runs before the transaction so network calls don't hold it open
+   */
+  async geocodeMissing(items) {
+    if (!this.geocoder) return;
+
+    const missing = items.filter(item => !item.data.lat || !item.data.lng);
+    if (missing.length === 0) return;
+
+    const existing = await findListings(this.pool, missing.map(item => item.identity));
+    for (const [i, item] of missing.entries()) {
+      if (existing[i] && existing[i].lat && existing[i].lng) continue;
+
+      const result = await this.geocoder.geocode(item.data);
+      if (result) {
+        item.data.lat = result.lat;
+        item.data.lng = result.lng;
+        item.geocode = result;
+      }
+    }
+  }
+
+  /**
+   * Insert new listings with their first price and lifecycle status
+   */
+  async insertListings(client, items, results) {
+    if (items.length === 0) return;
+
+    const inserted = await client.query(
+      `INSERT INTO listings
+       (realtor_url, price, street, town, province, beds, baths, sqft, lat, lng,
+        geocode_provider, geocode_confidence, image_urls, listed_at, source,
+        unit, civic_number, street_name, street_type, street_direction, municipality, neighborhood,
+        province_code, postal_code, fsa, address_key)
+       SELECT i.url, i.price, i.street, i.town, i.province, COALESCE(i.beds, 0), COALESCE(i.baths, 0), i.sqft,
+              i.lat, i.lng, i.geocode_provider, i.geocode_confidence, COALESCE(i.image_urls, '{}'), i.listed_at, i.source,
+              i.unit, i.civic_number, i.street_name, i.street_type, i.street_direction, i.municipality, i.neighborhood,
+              i.province_code, i.postal_code, i.fsa, i.address_key
+       FROM jsonb_to_recordset($1::jsonb) AS i(${LISTING_RECORD})
+       RETURNING id, realtor_url`,
+      [JSON.stringify(items.map(listingRow))]
+    );
+    const idByUrl = new Map(inserted.rows.map(row => [row.realtor_url, row.id]));
+
+    for (const item of items) {
+      const listingId = idByUrl.get(item.data.detailUrl);
+      Object.assign(results[item.index], {
+        outcome: 'new',
+        listingId,
+        isNew: true,
+        status: await startListingLifecycle(client, listingId, item.data),
+        priceChanged: false,
+        oldPrice: null,
+        newPrice: item.data.price ?? null,
+        changes: [],
+      });
+    }
+
+    await this.recordPrices(client, items
+      .filter(item => item.data.price)
+      .map(item => [results[item.index].listingId, item.data.price]));
+  }
+
+  /**
+   * Update listings seen again: field changes, new price, relist if they were off-market
+   */
+  async updateListings(client, items, results) {
+    if (items.length === 0) return;
+
+    // Payloads without a town keep the stored one in their address parts
+    for (const item of items) {
+      if (!item.data.town && !item.data.address && item.existing.town) {
+        item.address = parseAddress({ ...item.data, town: item.existing.town, province: item.data.province || item.existing.province });
+      }
+    }
+
+    const changesByListing = await recordListingChangesBatch(client, items.map(item => ({
+      listingId: item.existing.id,
+      changes: diffListing(item.existing, item.data),
+    })));
+
+    // A missing value never erases what we know; coordinates are only filled in
+    await client.query(
+      `UPDATE listings l
+       SET price = COALESCE(i.price, l.price),
+           last_seen_at = NOW(),
+           updated_at = NOW(),
+           is_active = TRUE,
+           image_urls = COALESCE(i.image_urls, l.image_urls),
+           beds = COALESCE(NULLIF(i.beds, 0), l.beds),
+           baths = COALESCE(NULLIF(i.baths, 0), l.baths),
+           sqft = COALESCE(i.sqft, l.sqft),
+           street = COALESCE(i.street, l.street),
+           town = COALESCE(i.town, l.town),
+           province = COALESCE(i.province, l.province),
+           lat = COALESCE(l.lat, i.lat),
+           lng = COALESCE(l.lng, i.lng),
+           geocode_provider = CASE WHEN l.lat IS NULL THEN i.geocode_provider ELSE l.geocode_provider END,
+           geocode_confidence = CASE WHEN l.lat IS NULL THEN i.geocode_confidence ELSE l.geocode_confidence END,
+           unit = i.unit,
+           civic_number = i.civic_number,
+           street_name = i.street_name,
+           street_type = i.street_type,
+           street_direction = i.street_direction,
+           municipality = COALESCE(i.municipality, l.municipality),
+           neighborhood = COALESCE(i.neighborhood, l.neighborhood),
+           province_code = COALESCE(i.province_code, l.province_code),
+           postal_code = COALESCE(i.postal_code, l.postal_code),
+           fsa = COALESCE(i.fsa, l.fsa),
+           address_key = i.address_key
+       FROM jsonb_to_recordset($1::jsonb) AS i(id INTEGER, ${LISTING_RECORD})
+       WHERE l.id = i.id`,
+      [JSON.stringify(items.map(item => ({ id: item.existing.id, ...listingRow(item) })))]
+    );
+
+    const priceChanges = [];
+    for (const item of items) {
+      const listingId = item.existing.id;
+      const oldPrice = item.existing.price;
+      const newPrice = item.data.price ?? null;
+      const priceChanged = Boolean(newPrice && oldPrice && newPrice !== oldPrice);
+      if (priceChanged) priceChanges.push([listingId, newPrice]);
+
+      Object.assign(results[item.index], {
+        outcome: priceChanged ? 'price_changed' : 'updated',
+        listingId,
+        isNew: false,
+        status: await recordListingSeen(client, item.existing),
+        priceChanged,
+        oldPrice,
+        newPrice,
+        changes: changesByListing.get(listingId) || [],
+      });
+    }
+
+    await this.recordPrices(client, priceChanges);
+  }
+
+  /**
+   * Append [listingId, price] pairs to price_history
+   */
+  async recordPrices(client, prices) {
+    if (prices.length === 0) return;
+
+    await client.query(
+      `INSERT INTO price_history (listing_id, price)
+       SELECT * FROM UNNEST($1::int[], $2::int[])`,
+      [prices.map(([listingId]) => listingId), prices.map(([, price]) => price)]
+    );
+  }
+}
+
+function reject(result, errors) {
+  Object.assign(result, { outcome: 'rejected', errors });
+}
+
+module.exports = { IngestService, DEFAULT_SOURCE };
@@ -0,0 +1,150 @@
+/**
+ * Listing lifecycle for Nestd
+ * Tracks active -> delisted -> relisted, plus sold/conditional from the detail page,
+ * in listing_status_history. Days on market is computed from that history by the
+ * listing_days_on_market() SQL function.
+ */
+
+const { parseAddress } = require('./address');
+
+const STATUSES = ['active', 'delisted', 'relisted', 'sold', 'conditional'];
+
+// Statuses that are still for sale
+const ON_MARKET_STATUSES = ['active', 'relisted', 'conditional'];
+
+// A new listing at the same address is a relist if its price is within 10%
+const RELIST_PRICE_TOLERANCE = 0.1;
+
+// Listings unseen for this long are considered delisted
+const DELIST_AFTER = '24 hours';
+
+// How far back a plan's earlier runs count towards the listings in its area
+const PLAN_DELIST_LOOKBACK = '30 days';
+
+/**
+ * Move a listing to a new status and record it in the history
+ * Returns true if the status changed
+ */
+async function setListingStatus(db, listingId, status) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown listing status: ${status}`);
+  }
+
+  const result = await db.query(
+    `WITH changed AS (
+       UPDATE listings
+       SET status = $2, status_changed_at = NOW(), is_active = $3, updated_at = NOW()
+       WHERE id = $1 AND status <> $2
+       RETURNING id
+     )
+     INSERT INTO listing_status_history (listing_id, status)
+     SELECT id, $2 FROM changed`,
+    [listingId, status, ON_MARKET_STATUSES.includes(status)]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Find an off-market listing for the same property (same address key, close price)
+ * Used when a property comes back under a new MLS® number
+ * Rows from before address parsing fall back to comparing street and town text
+ */
+async function findRelistedPredecessor(db, data) {
+  if (!data.street || !data.price) return null;
+
+  const result = await db.query(
+    `SELECT id, status
+     FROM listings
+     WHERE status IN ('delisted', 'sold')
+     AND (
+       address_key = $5
+       OR (address_key IS NULL
+           AND regexp_replace(lower(street || ' ' || COALESCE(town, '')), '[^a-z0-9]+', '', 'g')
+             = regexp_replace(lower($1 || ' ' || COALESCE($2, '')), '[^a-z0-9]+', '', 'g'))
+     )
+     AND price IS NOT NULL
+     AND ABS(price - $3) <= price * $4::numeric
+     ORDER BY last_seen_at DESC
+     LIMIT 1`,
+    [data.street, data.town, data.price, RELIST_PRICE_TOLERANCE, parseAddress(data).addressKey]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Start the lifecycle of a newly inserted listing
+ * Links it to an earlier listing of the same property and marks it relisted if found
+ * Returns the initial status
+ */
+async function startListingLifecycle(db, listingId, data) {
+  const predecessor = await findRelistedPredecessor(db, data);
+  const status = predecessor ? 'relisted' : 'active';
+
+  await db.query(
+    `UPDATE listings
+     SET status = $2, status_changed_at = NOW(), previous_listing_id = $3
+     WHERE id = $1`,
+    [listingId, status, status === 'relisted' ? predecessor.id : null]
+  );
+  await db.query(
+    `INSERT INTO listing_status_history (listing_id, status, changed_at)
+     SELECT id, $2, CASE WHEN $2 = 'active' THEN LEAST(listed_at, first_seen_at) ELSE NOW() END
+     FROM listings WHERE id = $1`,
+    [listingId, status]
+  );
+
+  return status;
+}
+
+/**
+ * Record that an existing listing showed up in search results again
+ * A delisted or sold listing that reappears has been relisted
+ */
+async function recordListingSeen(db, listing) {
+  if (listing.status === 'delisted' || listing.status === 'sold') {
+    await setListingStatus(db, listing.id, 'relisted');
+    return 'relisted';
+  }
+  return listing.status;
+}
+
+/**
+ * Mark on-market listings (conditional sales too) that weren't seen in a scrape as delisted
+ * A plan's run only covers its own area, so with planId only listings that earlier runs of
+ * the plan found (within PLAN_DELIST_LOOKBACK) are candidates; without it, the scrape was a
+ * full sweep of the source and every listing from it is.
+ * Returns the number of listings delisted
+ */
+async function delistUnseenListings(db, seenIds, source, { planId = null } = {}) {
+  const result = await db.query(
+    `WITH delisted AS (
+       UPDATE listings
+       SET status = 'delisted', status_changed_at = NOW(), is_active = FALSE, updated_at = NOW()
+       WHERE id NOT IN (SELECT UNNEST($1::int[]))
+       AND source = $3
+       AND status = ANY($6)
+       AND last_seen_at < NOW() - $2::interval
+       AND ($4::int IS NULL OR id IN (
+         SELECT UNNEST(seen_listing_ids) FROM scrape_runs
+         WHERE plan_id = $4 AND started_at > NOW() - $5::interval
+       ))
+       RETURNING id
+     )
+     INSERT INTO listing_status_history (listing_id, status)
+     SELECT id, 'delisted' FROM delisted`,
+    [seenIds, DELIST_AFTER, source, planId, PLAN_DELIST_LOOKBACK, ON_MARKET_STATUSES]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  STATUSES,
+  setListingStatus,
+  findRelistedPredecessor,
+  startListingLifecycle,
+  recordListingSeen,
+  delistUnseenListings,
+};
@@ -0,0 +1,141 @@
+/**
+ * Listing change tracking for Nestd
+ * Diffs incoming listing data against the stored row and records field-level
+ * changes in listing_changes. Used by every ingest path and the detail pass.
+ */
+
+// Tracked field -> [listings column, ingest payload key]
+const LISTING_FIELDS = {
+  price: ['price', 'price'],
+  beds: ['beds', 'beds'],
+  baths: ['baths', 'baths'],
+  sqft: ['sqft', 'sqft'],
+  street: ['street', 'street'],
+  town: ['town', 'town'],
+  province: ['province', 'province'],
+  photos: ['image_urls', 'imageUrls'],
+};
+
+// Tracked field -> [listing_details column, detail scrape key]
+const DETAIL_FIELDS = {
+  description: ['description', 'description'],
+  property_type: ['property_type', 'propertyType'],
+  building_style: ['building_style', 'buildingStyle'],
+  year_built: ['year_built', 'yearBuilt'],
+  lot_size: ['lot_size', 'lotSize'],
+  annual_taxes: ['annual_taxes', 'annualTaxes'],
+  condo_fees: ['condo_fees', 'condoFees'],
+  parking: ['parking', 'parking'],
+  parking_spaces: ['parking_spaces', 'parkingSpaces'],
+  heating: ['heating', 'heating'],
+};
+
+// Fields users can subscribe to (price changes have their own alerts)
+const CHANGE_ALERT_FIELDS = [...Object.keys(LISTING_FIELDS), ...Object.keys(DETAIL_FIELDS)]
+  .filter(field => field !== 'price');
+
+/**
+ * Normalize a value for storage/comparison; missing values become null
+ * Search cards show 0 beds/baths when the count isn't listed, so 0 counts as missing there
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.length > 0 ? value : null;
+  if ((field === 'beds' || field === 'baths') && value === 0) return null;
+  return value;
+}
+
+function diffFields(fields, row, data) {
+  const changes = [];
+
+  for (const [field, [column, key]] of Object.entries(fields)) {
+    const newValue = normalizeValue(field, data[key]);
+    // A missing value never erases what we know
+    if (newValue === null) continue;
+
+    const oldValue = row[column] === undefined ? null : row[column];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Changes between a stored listings row and an ingest payload
+ * Returns [{ field, oldValue, newValue }]
+ */
+function diffListing(row, data) {
+  return diffFields(LISTING_FIELDS, row, data);
+}
+
+/**
+ * Changes between a stored listing_details row and freshly scraped details
+ */
+function diffListingDetails(row, details) {
+  return diffFields(DETAIL_FIELDS, row, details);
+}
+
+/**
+ * Store changes in the audit table
+ * Returns the inserted rows ({ id, listing_id, field, old_value, new_value, changed_at })
+ */
+async function recordListingChanges(db, listingId, changes) {
+  if (changes.length === 0) return [];
+
+  const result = await db.query(
+    `INSERT INTO listing_changes (listing_id, field, old_value, new_value)
+     SELECT $1, c.field, c.old_value, c.new_value
+     FROM jsonb_to_recordset($2::jsonb) AS c(field TEXT, old_value JSONB, new_value JSONB)
+     RETURNING *`,
+    [listingId, JSON.stringify(changes.map(c => ({
+      field: c.field,
+      old_value: c.oldValue,
+      new_value: c.newValue,
+    })))]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Batch version of recordListingChanges()
+ * entries: [{ listingId, changes }]
+ * Returns the inserted rows grouped by listing: Map(listingId -> rows)
+ */
+async function recordListingChangesBatch(db, entries) {
+  const rows = entries.flatMap(({ listingId, changes }) => changes.map(c => ({
+    listing_id: listingId,
+    field: c.field,
+    old_value: c.oldValue,
+    new_value: c.newValue,
+  })));
+
+  const byListing = new Map();
+  if (rows.length === 0) return byListing;
+
+  const result = await db.query(
+    `INSERT INTO listing_changes (listing_id, field, old_value, new_value)
+     SELECT c.listing_id, c.field, c.old_value, c.new_value
+     FROM jsonb_to_recordset($1::jsonb) AS c(listing_id INTEGER, field TEXT, old_value JSONB, new_value JSONB)
+     RETURNING *`,
+    [JSON.stringify(rows)]
+  );
+
+  for (const row of result.rows) {
+    if (!byListing.has(row.listing_id)) byListing.set(row.listing_id, []);
+    byListing.get(row.listing_id).push(row);
+  }
+  return byListing;
+}
+
+module.exports = {
+  LISTING_FIELDS,
+  DETAIL_FIELDS,
+  CHANGE_ALERT_FIELDS,
+  diffListing,
+  diffListingDetails,
+  recordListingChanges,
+  recordListingChangesBatch,
+};
@@ -0,0 +1,382 @@
+/**
+ * Listing identity for Nestd
+ * Realtor.ca URL slugs change when an address is edited, so the canonical key
+ * is the MLS® number, falling back to the Realtor.ca property ID in the URL,
+ * then to any URL the listing has been seen under (listing_urls).
+ */
+
+/**
+ * Normalize an MLS® number ("mls® w1234567" -> "W1234567")
+ */
+function normalizeMlsNumber(value) {
+  if (!value) return null;
+  const match = String(value).toUpperCase().match(/\b([A-Z]{0,2}\d{5,10})\b/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find an MLS® number in free text like "MLS® Number: W1234567"
+ */
+function extractMlsNumber(text) {
+  if (!text) return null;
+  const match = String(text).match(/MLS(?:®|\(R\))?\s*(?:Number|No\.?|#|Numéro)?\s*:?\s*([A-Z]{0,2}\d{5,10})\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Realtor.ca property ID from a detail URL
+ * https://www.realtor.ca/real-estate/27012345/12-main-st-toronto -> "27012345"
+ */
+function extractExternalId(url) {
+  if (!url) return null;
+  const match = String(url).match(/\/real-estate\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Identity keys for an incoming listing (scraper or Tampermonkey payload)
+ */
+function listingIdentity(data) {
+  return {
+    mlsNumber: normalizeMlsNumber(data.mlsNumber) || extractMlsNumber(data.detailUrl),
+    externalId: extractExternalId(data.detailUrl),
+    url: data.detailUrl,
+  };
+}
+
+/**
+ * Find the existing listing row for an identity, or null
+ * Prefers an MLS® match, then the property ID, then a known URL
+ */
+async function findListing(db, identity) {
+  const result = await db.query(
+    `SELECT l.*
+     FROM listings l
+     WHERE ($1::text IS NOT NULL AND l.mls_number = $1)
+     OR ($2::text IS NOT NULL AND l.external_id = $2)
+     OR l.realtor_url = $3
+     OR l.id IN (SELECT listing_id FROM listing_urls WHERE url = $3)
+     ORDER BY (l.mls_number IS NOT DISTINCT FROM $1) DESC,
+              (l.external_id IS NOT DISTINCT FROM $2) DESC,
+              l.id
+     LIMIT 1`,
+    [identity.mlsNumber, identity.externalId, identity.url]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Batch version of findListing()
+ * Returns an array of existing rows (or null) in the order of `identities`
+ */
+async function findListings(db, identities) {
+  if (identities.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT DISTINCT ON (i.idx) i.idx, l.*
+     FROM jsonb_to_recordset($1::jsonb) AS i(idx INTEGER, mls TEXT, ext TEXT, url TEXT)
+     JOIN listings l
+       ON (i.mls IS NOT NULL AND l.mls_number = i.mls)
+       OR (i.ext IS NOT NULL AND l.external_id = i.ext)
+       OR l.realtor_url = i.url
+       OR l.id IN (SELECT listing_id FROM listing_urls WHERE url = i.url)
+     ORDER BY i.idx,
+              (l.mls_number IS NOT DISTINCT FROM i.mls) DESC,
+              (l.external_id IS NOT DISTINCT FROM i.ext) DESC,
+              l.id`,
+    [JSON.stringify(identities.map((identity, idx) => ({
+      idx,
+      mls: identity.mlsNumber,
+      ext: identity.externalId,
+      url: identity.url,
+    })))]
+  );
+
+  const rows = identities.map(() => null);
+  for (const { idx, ...row } of result.rows) {
+    rows[idx] = row;
+  }
+  return rows;
+}
+
+/**
+ * Record identity keys on a listing and remember its URL as an alias
+ * The newest URL becomes realtor_url unless another (duplicate) row still owns it
+ */
+async function recordListingIdentity(db, listingId, identity) {
+  await db.query(
+    `UPDATE listings
+     SET mls_number = COALESCE($2, mls_number),
+         external_id = COALESCE($3, external_id),
+         realtor_url = CASE
+           WHEN EXISTS (SELECT 1 FROM listings o WHERE o.realtor_url = $4 AND o.id <> $1) THEN realtor_url
+           ELSE $4
+         END
+     WHERE id = $1`,
+    [listingId, identity.mlsNumber, identity.externalId, identity.url]
+  );
+
+  await db.query(
+    `INSERT INTO listing_urls (url, listing_id)
+     VALUES ($1, $2)
+     ON CONFLICT (url) DO UPDATE SET listing_id = EXCLUDED.listing_id, last_seen_at = NOW()`,
+    [identity.url, listingId]
+  );
+}
+
+/**
+ * Batch version of recordListingIdentity()
+ * entries: [{ listingId, identity }], at most one per listing and URL
+ */
+async function recordListingIdentities(db, entries) {
+  if (entries.length === 0) return;
+
+  const rows = JSON.stringify(entries.map(({ listingId, identity }) => ({
+    id: listingId,
+    mls: identity.mlsNumber,
+    ext: identity.externalId,
+    url: identity.url,
+  })));
+
+  await db.query(
+    `UPDATE listings l
+     SET mls_number = COALESCE(i.mls, l.mls_number),
+         external_id = COALESCE(i.ext, l.external_id),
+         realtor_url = CASE
+           WHEN EXISTS (SELECT 1 FROM listings o WHERE o.realtor_url = i.url AND o.id <> l.id) THEN l.realtor_url
+           ELSE i.url
+         END
+     FROM jsonb_to_recordset($1::jsonb) AS i(id INTEGER, mls TEXT, ext TEXT, url TEXT)
+     WHERE l.id = i.id`,
+    [rows]
+  );
+
+  await db.query(
+    `INSERT INTO listing_urls (url, listing_id)
+     SELECT i.url, i.id FROM jsonb_to_recordset($1::jsonb) AS i(id INTEGER, url TEXT)
+     ON CONFLICT (url) DO UPDATE SET listing_id = EXCLUDED.listing_id, last_seen_at = NOW()`,
+    [rows]
+  );
+}
+
+/**
+ * Find groups of listing rows that share an MLS® number or property ID
+ * Returns [{ canonicalId, duplicateIds }] with the oldest row as canonical
+ */
+async function findDuplicateGroups(db) {
+  const result = await db.query(
+    `SELECT id, mls_number, external_id
+     FROM listings
+     WHERE mls_number IS NOT NULL OR external_id IS NOT NULL
+     ORDER BY id`
+  );
+
+  // Union-find over shared keys, so A~B by MLS and B~C by property ID end up together
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const union = (a, b) => {
+    const [rootA, rootB] = [find(a), find(b)];
+    if (rootA !== rootB) parent.set(Math.max(rootA, rootB), Math.min(rootA, rootB));
+  };
+
+  const firstByKey = new Map();
+  for (const row of result.rows) {
+    parent.set(row.id, row.id);
+    for (const key of [row.mls_number && `mls:${row.mls_number}`, row.external_id && `ext:${row.external_id}`]) {
+      if (!key) continue;
+      if (firstByKey.has(key)) union(firstByKey.get(key), row.id);
+      else firstByKey.set(key, row.id);
+    }
+  }
+
+  const groups = new Map();
+  for (const row of result.rows) {
+    const root = find(row.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row.id);
+  }
+
+  return Array.from(groups.values())
+    .filter(ids => ids.length > 1)
+    .map(ids => ({ canonicalId: ids[0], duplicateIds: ids.slice(1) }));
+}
+
+/**
+ * Fold duplicate listing rows into the canonical row
+ * Moves price, status and change history, favorites, swipes, alerts, URLs, details and verified
+ * photos, then deletes the duplicates. Run inside a transaction.
+ */
+async function mergeListings(db, canonicalId, duplicateIds) {
+  const allIds = [canonicalId, ...duplicateIds];
+
+  // The most recently seen row has the current URL, price and status
+  const newest = (await db.query(
+    `SELECT realtor_url, price, is_active, status, status_changed_at FROM listings
+     WHERE id = ANY($1) ORDER BY last_seen_at DESC NULLS LAST, id DESC LIMIT 1`,
+    [allIds]
+  )).rows[0];
+
+  const merged = (await db.query(
+    `SELECT MIN(first_seen_at) AS first_seen_at, MAX(last_seen_at) AS last_seen_at,
+            MIN(listed_at) AS listed_at
+     FROM listings WHERE id = ANY($1)`,
+    [allIds]
+  )).rows[0];
+
+  await db.query(
+    'UPDATE price_history SET listing_id = $1 WHERE listing_id = ANY($2)',
+    [canonicalId, duplicateIds]
+  );
+
+  // Keep existing notes/rating, fill gaps from the duplicates
+  await db.query(
+    `INSERT INTO favorites (user_id, listing_id, notes, rating, created_at, updated_at)
+     SELECT DISTINCT ON (user_id) user_id, $1, notes, rating, created_at, updated_at
+     FROM favorites WHERE listing_id = ANY($2)
+     ORDER BY user_id, updated_at DESC
+     ON CONFLICT (user_id, listing_id) DO UPDATE SET
+       notes = COALESCE(favorites.notes, EXCLUDED.notes),
+       rating = COALESCE(favorites.rating, EXCLUDED.rating),
+       created_at = LEAST(favorites.created_at, EXCLUDED.created_at)`,
+    [canonicalId, duplicateIds]
+  );
+
+  // The latest swipe wins; it created the favorite if any of the merged swipes did,
+  // so undoing it still removes that favorite
+  await db.query(
+    `INSERT INTO swipes (user_id, listing_id, direction, created_at, created_favorite)
+     SELECT DISTINCT ON (user_id) user_id, $1, direction, created_at,
+            bool_or(created_favorite) OVER (PARTITION BY user_id)
+     FROM swipes WHERE listing_id = ANY($2)
+     ORDER BY user_id, created_at DESC
+     ON CONFLICT (user_id, listing_id) DO UPDATE SET
+       direction = CASE WHEN EXCLUDED.created_at > swipes.created_at THEN EXCLUDED.direction ELSE swipes.direction END,
+       created_at = GREATEST(swipes.created_at, EXCLUDED.created_at),
+       created_favorite = swipes.created_favorite OR EXCLUDED.created_favorite`,
+    [canonicalId, duplicateIds]
+  );
+
+  // Users keep a single new_listing alert per listing
+  await db.query(
+    `DELETE FROM alerts a
+     WHERE a.listing_id = ANY($2) AND a.alert_type = 'new_listing'
+     AND EXISTS (
+       SELECT 1 FROM alerts b
+       WHERE b.user_id = a.user_id AND b.alert_type = 'new_listing' AND b.id <> a.id
+       AND (b.listing_id = $1 OR (b.listing_id = ANY($2) AND b.id < a.id))
+     )`,
+    [canonicalId, duplicateIds]
+  );
+  await db.query(
+    'UPDATE alerts SET listing_id = $1 WHERE listing_id = ANY($2)',
+    [canonicalId, duplicateIds]
+  );
+
+  for (const table of ['listing_status_history', 'listing_changes']) {
+    await db.query(
+      `UPDATE ${table} SET listing_id = $1 WHERE listing_id = ANY($2)`,
+      [canonicalId, duplicateIds]
+    );
+  }
+  await db.query(
+    `UPDATE listings SET previous_listing_id = NULLIF($1, id)
+     WHERE previous_listing_id = ANY($2)`,
+    [canonicalId, duplicateIds]
+  );
+
+  // Keep the freshest details if the canonical row has none
+  await db.query(
+    `UPDATE listing_details SET listing_id = $1
+     WHERE listing_id = (
+       SELECT listing_id FROM listing_details
+       WHERE listing_id = ANY($2) ORDER BY scraped_at DESC LIMIT 1
+     )
+     AND NOT EXISTS (SELECT 1 FROM listing_details WHERE listing_id = $1)`,
+    [canonicalId, duplicateIds]
+  );
+
+  // Verified photos the canonical row lacks go after its own, one per URL
+  await db.query(
+    `INSERT INTO listing_images (listing_id, position, url, width, height, verified_at)
+     SELECT $1,
+            COALESCE((SELECT MAX(position) FROM listing_images WHERE listing_id = $1), 0)
+              + ROW_NUMBER() OVER (ORDER BY i.images_verified_at DESC NULLS LAST, i.listing_id, i.position),
+            i.url, i.width, i.height, i.verified_at
+     FROM (
+       SELECT DISTINCT ON (li.url) li.*, l.images_verified_at
+       FROM listing_images li
+       JOIN listings l ON l.id = li.listing_id
+       WHERE li.listing_id = ANY($2)
+       AND li.url NOT IN (SELECT url FROM listing_images WHERE listing_id = $1)
+       ORDER BY li.url, l.images_verified_at DESC NULLS LAST
+     ) i`,
+    [canonicalId, duplicateIds]
+  );
+  await db.query(
+    `UPDATE listings SET images_verified_at = (
+       SELECT MAX(images_verified_at) FROM listings WHERE id = ANY($2)
+     )
+     WHERE id = $1 AND images_verified_at IS NULL`,
+    [canonicalId, duplicateIds]
+  );
+
+  // Every old URL resolves to the canonical row
+  await db.query(
+    `INSERT INTO listing_urls (url, listing_id, first_seen_at, last_seen_at)
+     SELECT realtor_url, $1, first_seen_at, last_seen_at FROM listings WHERE id = ANY($2)
+     ON CONFLICT (url) DO UPDATE SET listing_id = EXCLUDED.listing_id`,
+    [canonicalId, duplicateIds]
+  );
+  await db.query(
+    'UPDATE listing_urls SET listing_id = $1 WHERE listing_id = ANY($2)',
+    [canonicalId, duplicateIds]
+  );
+
+  const keys = (await db.query(
+    `SELECT
+       (SELECT mls_number FROM listings WHERE id = ANY($1) AND mls_number IS NOT NULL
+        ORDER BY last_seen_at DESC NULLS LAST LIMIT 1) AS mls_number,
+       (SELECT external_id FROM listings WHERE id = ANY($1) AND external_id IS NOT NULL
+        ORDER BY last_seen_at DESC NULLS LAST LIMIT 1) AS external_id`,
+    [allIds]
+  )).rows[0];
+
+  await db.query('DELETE FROM listings WHERE id = ANY($1)', [duplicateIds]);
+
+  await db.query(
+    `UPDATE listings
+     SET realtor_url = $2, price = $3, mls_number = $4, external_id = $5,
+         first_seen_at = $6, last_seen_at = $7, listed_at = COALESCE($8, listed_at),
+         is_active = $9, status = $10, status_changed_at = $11, updated_at = NOW()
+     WHERE id = $1`,
+    [
+      canonicalId,
+      newest.realtor_url,
+      newest.price,
+      keys.mls_number,
+      keys.external_id,
+      merged.first_seen_at,
+      merged.last_seen_at,
+      merged.listed_at,
+      newest.is_active,
+      newest.status,
+      newest.status_changed_at,
+    ]
+  );
+}
+
+module.exports = {
+  normalizeMlsNumber,
+  extractMlsNumber,
+  extractExternalId,
+  listingIdentity,
+  findListing,
+  findListings,
+  recordListingIdentity,
+  recordListingIdentities,
+  findDuplicateGroups,
+  mergeListings,
+};
@@ -0,0 +1,99 @@
+/**
+ * Ingest payload validation for Nestd
+ * Checks listings submitted to the ingest API one by one, so a malformed item
+ * is reported back instead of failing the whole batch.
+ *
+ * Shape (see shared/parsers/realtor-ca.js parseCard):
+ * { detailUrl, price, street, town, province, address, beds, baths, sqft, lat, lng,
+ *   imageUrls, listedAt, mlsNumber }
+ * address is the full card address text, parsed into unit/postal code/etc. by shared/address.js
+ */
+
+const MAX_BATCH_SIZE = 500;
+const MAX_TEXT_LENGTH = 500;
+const MAX_IMAGES = 100;
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string' || value.length > 2000) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Number check for optional fields: null/undefined pass, anything else must be in range
+ */
+function checkNumber(errors, listing, field, { min, max, integer = false }) {
+  const value = listing[field];
+  if (value === null || value === undefined) return;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${field} must be a number`);
+  } else if (integer && !Number.isInteger(value)) {
+    errors.push(`${field} must be a whole number`);
+  } else if (value < min || value > max) {
+    errors.push(`${field} must be between ${min} and ${max}`);
+  }
+}
+
+function checkText(errors, listing, field) {
+  const value = listing[field];
+  if (value === null || value === undefined) return;
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be a string`);
+  } else if (value.length > MAX_TEXT_LENGTH) {
+    errors.push(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+}
+
+/**
+ * Validate one submitted listing
+ * Returns a list of problems (empty if the listing is valid)
+ */
+function validateListing(listing) {
+  if (!listing || typeof listing !== 'object' || Array.isArray(listing)) {
+    return ['listing must be an object'];
+  }
+
+  const errors = [];
+
+  if (!isHttpUrl(listing.detailUrl)) {
+    errors.push('detailUrl must be an http(s) URL');
+  }
+  if (typeof listing.street !== 'string' || !listing.street.trim()) {
+    errors.push('street is required');
+  } else {
+    checkText(errors, listing, 'street');
+  }
+
+  for (const field of ['town', 'province', 'address', 'mlsNumber', 'source']) {
+    checkText(errors, listing, field);
+  }
+
+  checkNumber(errors, listing, 'price', { min: 1, max: 1e9, integer: true });
+  checkNumber(errors, listing, 'beds', { min: 0, max: 100, integer: true });
+  checkNumber(errors, listing, 'baths', { min: 0, max: 100, integer: true });
+  checkNumber(errors, listing, 'sqft', { min: 0, max: 1000000, integer: true });
+  checkNumber(errors, listing, 'lat', { min: -90, max: 90 });
+  checkNumber(errors, listing, 'lng', { min: -180, max: 180 });
+
+  if (listing.imageUrls !== null && listing.imageUrls !== undefined) {
+    if (!Array.isArray(listing.imageUrls)) {
+      errors.push('imageUrls must be an array');
+    } else if (listing.imageUrls.length > MAX_IMAGES) {
+      errors.push(`imageUrls must have at most ${MAX_IMAGES} entries`);
+    } else if (!listing.imageUrls.every(isHttpUrl)) {
+      errors.push('imageUrls must only contain http(s) URLs');
+    }
+  }
+
+  if (listing.listedAt !== null && listing.listedAt !== undefined &&
+      (typeof listing.listedAt !== 'string' || Number.isNaN(Date.parse(listing.listedAt)))) {
+    errors.push('listedAt must be an ISO date string');
+  }
+
+  return errors;
+}
+
+module.exports = { MAX_BATCH_SIZE, validateListing };
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS scrape_runs;
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS swipes;
+DROP TABLE IF EXISTS favorites;
+DROP TABLE IF EXISTS saved_searches;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS price_history;
+DROP TABLE IF EXISTS listings;
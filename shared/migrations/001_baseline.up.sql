@@ -0,0 +1,204 @@
+-- Baseline schema
+-- Creates the full schema on an empty database, and adopts databases created
+-- by either of the old schemas (scraper Database.init() or backend migrate.js).
+
+-- Listings table
+CREATE TABLE IF NOT EXISTS listings (
+  id SERIAL PRIMARY KEY,
+  realtor_url TEXT UNIQUE NOT NULL,
+  price INTEGER,
+  street TEXT NOT NULL,
+  town TEXT,
+  province TEXT,
+  beds INTEGER DEFAULT 0,
+  baths INTEGER DEFAULT 0,
+  sqft INTEGER,
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  image_urls TEXT[], -- Array of image URLs
+  listed_at TIMESTAMPTZ,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Price history for tracking changes
+CREATE TABLE IF NOT EXISTS price_history (
+  id SERIAL PRIMARY KEY,
+  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
+  price INTEGER NOT NULL,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Users table (synced from Clerk)
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  clerk_id TEXT UNIQUE NOT NULL,
+  email TEXT,
+  name TEXT,
+  avatar_url TEXT,
+  alert_threshold_percent INTEGER DEFAULT 0, -- Min % price change before alerting
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Saved searches
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  min_price INTEGER,
+  max_price INTEGER,
+  min_beds INTEGER,
+  min_baths INTEGER,
+  towns TEXT[], -- Array of town names
+  provinces TEXT[], -- Array of provinces
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  radius_km INTEGER,
+  alerts_enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- User favorites
+CREATE TABLE IF NOT EXISTS favorites (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
+  notes TEXT,
+  rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, listing_id)
+);
+
+-- User swipes (for the Tinder-like UI)
+CREATE TABLE IF NOT EXISTS swipes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
+  direction TEXT CHECK (direction IN ('left', 'right', 'super')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, listing_id)
+);
+
+-- Alerts sent to users
+CREATE TABLE IF NOT EXISTS alerts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  listing_id INTEGER REFERENCES listings(id) ON DELETE CASCADE,
+  saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+  alert_type TEXT CHECK (alert_type IN ('new_listing', 'price_drop', 'price_increase')),
+  old_price INTEGER,
+  new_price INTEGER,
+  sent_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Scrape runs log
+CREATE TABLE IF NOT EXISTS scrape_runs (
+  id SERIAL PRIMARY KEY,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  listings_found INTEGER DEFAULT 0,
+  listings_new INTEGER DEFAULT 0,
+  listings_updated INTEGER DEFAULT 0,
+  price_changes INTEGER DEFAULT 0,
+  status TEXT DEFAULT 'running',
+  error TEXT
+);
+
+-- Bring tables created by the old backend migrate.js up to the same shape
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS lng DOUBLE PRECISION;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS alert_threshold_percent INTEGER DEFAULT 0;
+
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS rating INTEGER CHECK (rating >= 1 AND rating <= 5);
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE swipes ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE swipes DROP CONSTRAINT IF EXISTS swipes_direction_check;
+ALTER TABLE swipes ADD CONSTRAINT swipes_direction_check CHECK (direction IN ('left', 'right', 'super'));
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS old_price INTEGER;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS new_price INTEGER;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_user_id_listing_id_alert_type_key;
+ALTER TABLE alerts DROP COLUMN IF EXISTS threshold_percent;
+ALTER TABLE alerts DROP COLUMN IF EXISTS is_active;
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_alert_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_alert_type_check
+  CHECK (alert_type IN ('new_listing', 'price_drop', 'price_increase'));
+
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS min_price INTEGER;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS max_price INTEGER;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS min_beds INTEGER;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS min_baths INTEGER;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS towns TEXT[];
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS provinces TEXT[];
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS lng DOUBLE PRECISION;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS radius_km INTEGER;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS alerts_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Old backend schema kept saved search filters in a criteria JSONB column
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'saved_searches' AND column_name = 'criteria'
+  ) THEN
+    UPDATE saved_searches
+    SET min_price = COALESCE(min_price, (criteria->>'minPrice')::int),
+        max_price = COALESCE(max_price, (criteria->>'maxPrice')::int),
+        min_beds = COALESCE(min_beds, (criteria->>'minBeds')::int),
+        min_baths = COALESCE(min_baths, (criteria->>'minBaths')::int),
+        provinces = COALESCE(provinces,
+          CASE WHEN criteria ? 'province' THEN ARRAY[criteria->>'province'] END),
+        alerts_enabled = COALESCE(notify_new, alerts_enabled);
+    ALTER TABLE saved_searches DROP COLUMN criteria;
+    ALTER TABLE saved_searches DROP COLUMN IF EXISTS notify_new;
+  END IF;
+END $$;
+
+-- Old backend schema called the swipe timestamp swiped_at
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'swipes' AND column_name = 'swiped_at'
+  ) THEN
+    UPDATE swipes SET created_at = swiped_at;
+    ALTER TABLE swipes DROP COLUMN swiped_at;
+  END IF;
+END $$;
+
+UPDATE saved_searches SET name = 'Saved search' WHERE name IS NULL;
+ALTER TABLE saved_searches ALTER COLUMN name SET NOT NULL;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_listings_price ON listings(price);
+CREATE INDEX IF NOT EXISTS idx_listings_town ON listings(town);
+CREATE INDEX IF NOT EXISTS idx_listings_province ON listings(province);
+CREATE INDEX IF NOT EXISTS idx_listings_beds ON listings(beds);
+CREATE INDEX IF NOT EXISTS idx_listings_active ON listings(is_active);
+CREATE INDEX IF NOT EXISTS idx_listings_location ON listings(lat, lng);
+CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites(user_id);
+CREATE INDEX IF NOT EXISTS idx_favorites_listing ON favorites(listing_id);
+CREATE INDEX IF NOT EXISTS idx_swipes_user ON swipes(user_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_new_listing_once
+  ON alerts(user_id, listing_id) WHERE alert_type = 'new_listing';
+CREATE INDEX IF NOT EXISTS idx_price_history_listing ON price_history(listing_id);
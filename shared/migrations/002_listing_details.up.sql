@@ -0,0 +1,20 @@
+-- Attributes scraped from listing detail pages
+CREATE TABLE listing_details (
+  listing_id INTEGER PRIMARY KEY REFERENCES listings(id) ON DELETE CASCADE,
+  mls_number TEXT,
+  description TEXT,
+  property_type TEXT,
+  building_style TEXT,
+  year_built INTEGER,
+  lot_size TEXT,
+  annual_taxes INTEGER,
+  condo_fees INTEGER, -- Monthly
+  parking TEXT,
+  parking_spaces INTEGER,
+  heating TEXT,
+  scraped_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_listing_details_property_type ON listing_details(property_type);
+CREATE INDEX idx_listing_details_year_built ON listing_details(year_built);
+CREATE INDEX idx_listing_details_scraped_at ON listing_details(scraped_at);
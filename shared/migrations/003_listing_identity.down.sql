@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS listing_urls;
+DROP INDEX IF EXISTS idx_listings_external_id;
+DROP INDEX IF EXISTS idx_listings_mls_number;
+ALTER TABLE listings DROP COLUMN IF EXISTS external_id;
+ALTER TABLE listings DROP COLUMN IF EXISTS mls_number;
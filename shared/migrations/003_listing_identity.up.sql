@@ -0,0 +1,28 @@
+-- Canonical listing identity
+-- Realtor.ca URL slugs change when an address is edited, so listings are matched on
+-- MLS® number first, then the Realtor.ca property ID from the URL, then any URL seen before.
+ALTER TABLE listings ADD COLUMN mls_number TEXT;
+ALTER TABLE listings ADD COLUMN external_id TEXT; -- Realtor.ca property ID (/real-estate/<id>/...)
+
+UPDATE listings l
+SET mls_number = d.mls_number
+FROM listing_details d
+WHERE d.listing_id = l.id AND d.mls_number IS NOT NULL;
+
+UPDATE listings SET external_id = substring(realtor_url from '/real-estate/(\d+)');
+
+CREATE INDEX idx_listings_mls_number ON listings(mls_number);
+CREATE INDEX idx_listings_external_id ON listings(external_id);
+
+-- Every URL a listing has been seen under
+CREATE TABLE listing_urls (
+  url TEXT PRIMARY KEY,
+  listing_id INTEGER NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO listing_urls (url, listing_id, first_seen_at, last_seen_at)
+SELECT realtor_url, id, first_seen_at, last_seen_at FROM listings;
+
+CREATE INDEX idx_listing_urls_listing ON listing_urls(listing_id);
@@ -0,0 +1,7 @@
+DROP FUNCTION IF EXISTS listing_days_on_market(INTEGER);
+DROP TABLE IF EXISTS listing_status_history;
+DROP INDEX IF EXISTS idx_listings_previous;
+DROP INDEX IF EXISTS idx_listings_status;
+ALTER TABLE listings DROP COLUMN IF EXISTS previous_listing_id;
+ALTER TABLE listings DROP COLUMN IF EXISTS status_changed_at;
+ALTER TABLE listings DROP COLUMN IF EXISTS status;
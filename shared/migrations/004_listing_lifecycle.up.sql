@@ -0,0 +1,48 @@
+-- Listing lifecycle: active -> delisted -> relisted, sold/conditional from the detail page
+ALTER TABLE listings ADD COLUMN status TEXT NOT NULL DEFAULT 'active'
+  CONSTRAINT listings_status_check CHECK (status IN ('active', 'delisted', 'relisted', 'sold', 'conditional'));
+ALTER TABLE listings ADD COLUMN status_changed_at TIMESTAMPTZ DEFAULT NOW();
+-- Earlier listing row for the same property when it came back under a new MLS® number
+ALTER TABLE listings ADD COLUMN previous_listing_id INTEGER REFERENCES listings(id) ON DELETE SET NULL;
+
+CREATE TABLE listing_status_history (
+  id SERIAL PRIMARY KEY,
+  listing_id INTEGER NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('active', 'delisted', 'relisted', 'sold', 'conditional')),
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_listing_status_history_listing ON listing_status_history(listing_id, changed_at);
+CREATE INDEX idx_listings_status ON listings(status);
+CREATE INDEX idx_listings_previous ON listings(previous_listing_id);
+
+-- Existing rows: on the market since they were listed, delisted if no longer active
+UPDATE listings
+SET status = CASE WHEN is_active THEN 'active' ELSE 'delisted' END,
+    status_changed_at = CASE WHEN is_active THEN LEAST(listed_at, first_seen_at) ELSE updated_at END;
+
+INSERT INTO listing_status_history (listing_id, status, changed_at)
+SELECT id, 'active', LEAST(listed_at, first_seen_at) FROM listings;
+
+INSERT INTO listing_status_history (listing_id, status, changed_at)
+SELECT id, 'delisted', updated_at FROM listings WHERE NOT is_active;
+
+-- Cumulative days on market across delistings and relistings
+-- Sums the time spent active/relisted on this listing and every earlier listing of the property
+CREATE FUNCTION listing_days_on_market(p_listing_id INTEGER) RETURNS INTEGER
+LANGUAGE sql STABLE AS $$
+  WITH RECURSIVE chain AS (
+    SELECT id, previous_listing_id FROM listings WHERE id = p_listing_id
+    UNION
+    SELECT l.id, l.previous_listing_id FROM listings l JOIN chain c ON l.id = c.previous_listing_id
+  ),
+  periods AS (
+    SELECT h.status, h.changed_at,
+           LEAD(h.changed_at) OVER (PARTITION BY h.listing_id ORDER BY h.changed_at, h.id) AS ended_at
+    FROM listing_status_history h
+    WHERE h.listing_id IN (SELECT id FROM chain)
+  )
+  SELECT COALESCE(FLOOR(EXTRACT(EPOCH FROM SUM(COALESCE(ended_at, NOW()) - changed_at)) / 86400), 0)::INTEGER
+  FROM periods
+  WHERE status IN ('active', 'relisted')
+$$;
@@ -0,0 +1,7 @@
+DELETE FROM alerts WHERE alert_type = 'field_change';
+ALTER TABLE alerts DROP CONSTRAINT alerts_alert_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_alert_type_check
+  CHECK (alert_type IN ('new_listing', 'price_drop', 'price_increase'));
+ALTER TABLE alerts DROP COLUMN IF EXISTS listing_change_id;
+ALTER TABLE users DROP COLUMN IF EXISTS change_alert_fields;
+DROP TABLE IF EXISTS listing_changes;
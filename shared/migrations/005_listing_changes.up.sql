@@ -0,0 +1,19 @@
+-- Field-level audit of listing changes (beds, baths, sqft, photos, description, ...)
+CREATE TABLE listing_changes (
+  id SERIAL PRIMARY KEY,
+  listing_id INTEGER NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  field TEXT NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_listing_changes_listing ON listing_changes(listing_id, changed_at);
+
+-- Alerts for changes to favorited listings, opt-in per field
+ALTER TABLE users ADD COLUMN change_alert_fields TEXT[] DEFAULT '{}';
+
+ALTER TABLE alerts ADD COLUMN listing_change_id INTEGER REFERENCES listing_changes(id) ON DELETE CASCADE;
+ALTER TABLE alerts DROP CONSTRAINT alerts_alert_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_alert_type_check
+  CHECK (alert_type IN ('new_listing', 'price_drop', 'price_increase', 'field_change'));
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_listings_images_verified;
+ALTER TABLE listings DROP COLUMN IF EXISTS images_verified_at;
+DROP TABLE IF EXISTS listing_images;
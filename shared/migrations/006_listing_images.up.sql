@@ -0,0 +1,16 @@
+-- Verified listing photos
+-- listings.image_urls holds guessed candidate URLs; only the ones that exist end up here
+CREATE TABLE listing_images (
+  listing_id INTEGER NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  verified_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (listing_id, position)
+);
+
+-- NULL until the image verifier has checked the listing
+ALTER TABLE listings ADD COLUMN images_verified_at TIMESTAMPTZ;
+
+CREATE INDEX idx_listings_images_verified ON listings(images_verified_at);
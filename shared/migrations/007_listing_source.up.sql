@@ -0,0 +1,5 @@
+-- Which source adapter a listing was scraped from (scraper/src/sources)
+-- Existing rows all came from Realtor.ca
+ALTER TABLE listings ADD COLUMN source TEXT NOT NULL DEFAULT 'realtor-ca';
+
+CREATE INDEX idx_listings_source ON listings(source);
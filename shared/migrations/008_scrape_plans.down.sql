@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_scrape_runs_plan;
+ALTER TABLE scrape_runs DROP COLUMN IF EXISTS plan_id;
+DROP TABLE IF EXISTS scrape_plans;
@@ -0,0 +1,27 @@
+-- Scheduled searches: one row per region / price band / property type, each with its own cron
+-- origin 'saved_searches' rows are regenerated from users' saved searches
+CREATE TABLE scrape_plans (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  source TEXT NOT NULL DEFAULT 'realtor-ca',
+  region TEXT,
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  zoom INTEGER,
+  min_price INTEGER,
+  max_price INTEGER,
+  min_beds INTEGER,
+  min_baths INTEGER,
+  property_type TEXT,
+  search_url TEXT,
+  max_listings INTEGER NOT NULL DEFAULT 500,
+  cron TEXT NOT NULL DEFAULT '0 */4 * * *',
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  origin TEXT NOT NULL DEFAULT 'manual' CHECK (origin IN ('manual', 'saved_searches')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE scrape_runs ADD COLUMN plan_id INTEGER REFERENCES scrape_plans(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_scrape_runs_plan ON scrape_runs(plan_id, started_at DESC);
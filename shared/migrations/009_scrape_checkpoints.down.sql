@@ -0,0 +1,8 @@
+ALTER TABLE scrape_runs
+  DROP COLUMN IF EXISTS resumed_at,
+  DROP COLUMN IF EXISTS checkpoint_at,
+  DROP COLUMN IF EXISTS seen_listing_ids,
+  DROP COLUMN IF EXISTS page_cursor,
+  DROP COLUMN IF EXISTS options,
+  DROP COLUMN IF EXISTS search_url,
+  DROP COLUMN IF EXISTS source;
@@ -0,0 +1,10 @@
+-- Checkpoints so a failed or interrupted run can resume where it stopped
+-- page_cursor is the last results page whose listings were saved
+ALTER TABLE scrape_runs
+  ADD COLUMN source TEXT,
+  ADD COLUMN search_url TEXT,
+  ADD COLUMN options JSONB,
+  ADD COLUMN page_cursor INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN seen_listing_ids INTEGER[] NOT NULL DEFAULT '{}',
+  ADD COLUMN checkpoint_at TIMESTAMPTZ,
+  ADD COLUMN resumed_at TIMESTAMPTZ;
@@ -0,0 +1,2 @@
+ALTER TABLE scrape_runs
+  DROP COLUMN IF EXISTS segments;
@@ -0,0 +1,12 @@
+-- A run's search can be split into segments (price bands, map tiles) scraped in parallel
+-- segments: [{ searchUrl, pageCursor, done }]; page_cursor is now the total pages saved
+ALTER TABLE scrape_runs
+  ADD COLUMN segments JSONB;
+
+UPDATE scrape_runs
+SET segments = jsonb_build_array(jsonb_build_object(
+  'searchUrl', search_url,
+  'pageCursor', page_cursor,
+  'done', status = 'completed'
+))
+WHERE search_url IS NOT NULL;
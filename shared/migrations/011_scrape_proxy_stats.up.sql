@@ -0,0 +1,3 @@
+-- What each proxy served during a run: { "<proxy label>": { pages, listings, blocks, errors } }
+ALTER TABLE scrape_runs
+  ADD COLUMN proxy_stats JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,13 @@
+-- API keys for machine clients (userscript, external scrapers); only a hash of the key is stored
+-- key_prefix is the public start of the key, used to find its row and to tell keys apart
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  rate_limit INTEGER NOT NULL DEFAULT 60, -- requests per minute
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
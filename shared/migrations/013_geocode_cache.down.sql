@@ -0,0 +1,5 @@
+ALTER TABLE listings
+  DROP COLUMN IF EXISTS geocode_confidence,
+  DROP COLUMN IF EXISTS geocode_provider;
+
+DROP TABLE IF EXISTS geocode_cache;
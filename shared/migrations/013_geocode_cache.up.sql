@@ -0,0 +1,17 @@
+-- Geocoder answers by normalized address, so each address is looked up once
+-- A row with NULL lat/lng is a cached miss (retried after GEOCODE_MISS_RETRY_DAYS)
+CREATE TABLE geocode_cache (
+  address_key TEXT PRIMARY KEY,
+  query TEXT NOT NULL,
+  provider TEXT,
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  confidence REAL, -- 0-1: ~0.9 rooftop, ~0.6 street, ~0.2 town centre
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Where a listing's coordinates came from (NULL provider: sent with the listing)
+ALTER TABLE listings
+  ADD COLUMN geocode_provider TEXT,
+  ADD COLUMN geocode_confidence REAL;
@@ -0,0 +1,16 @@
+DROP INDEX IF EXISTS idx_listings_fsa;
+DROP INDEX IF EXISTS idx_listings_municipality;
+DROP INDEX IF EXISTS idx_listings_address_key;
+
+ALTER TABLE listings
+  DROP COLUMN IF EXISTS address_key,
+  DROP COLUMN IF EXISTS fsa,
+  DROP COLUMN IF EXISTS postal_code,
+  DROP COLUMN IF EXISTS province_code,
+  DROP COLUMN IF EXISTS neighborhood,
+  DROP COLUMN IF EXISTS municipality,
+  DROP COLUMN IF EXISTS street_direction,
+  DROP COLUMN IF EXISTS street_type,
+  DROP COLUMN IF EXISTS street_name,
+  DROP COLUMN IF EXISTS civic_number,
+  DROP COLUMN IF EXISTS unit;
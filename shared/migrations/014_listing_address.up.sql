@@ -0,0 +1,18 @@
+-- Structured address parts (see shared/address.js), filled on ingest and by
+-- `node src/index.js normalize-addresses` for older rows
+ALTER TABLE listings
+  ADD COLUMN unit TEXT,
+  ADD COLUMN civic_number TEXT,
+  ADD COLUMN street_name TEXT,
+  ADD COLUMN street_type TEXT,
+  ADD COLUMN street_direction TEXT,
+  ADD COLUMN municipality TEXT,
+  ADD COLUMN neighborhood TEXT,
+  ADD COLUMN province_code TEXT,
+  ADD COLUMN postal_code TEXT,
+  ADD COLUMN fsa TEXT,
+  ADD COLUMN address_key TEXT;
+
+CREATE INDEX idx_listings_address_key ON listings(address_key);
+CREATE INDEX idx_listings_municipality ON listings(province_code, lower(municipality));
+CREATE INDEX idx_listings_fsa ON listings(fsa);
@@ -0,0 +1,41 @@
+-- On-demand scrapes queued from the admin API and claimed by scraper workers (FOR UPDATE SKIP LOCKED)
+-- heartbeat_at is bumped while a worker runs the job; stale running jobs are requeued and resume their run
+CREATE TABLE scrape_jobs (
+  id SERIAL PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  plan_id INTEGER REFERENCES scrape_plans(id) ON DELETE SET NULL,
+  source TEXT NOT NULL DEFAULT 'realtor-ca',
+  search_options JSONB NOT NULL DEFAULT '{}',
+  max_listings INTEGER NOT NULL DEFAULT 100,
+  details BOOLEAN NOT NULL DEFAULT FALSE,
+  requested_by TEXT, -- Clerk user ID
+  run_id INTEGER REFERENCES scrape_runs(id) ON DELETE SET NULL,
+  worker_id TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_scrape_jobs_queued ON scrape_jobs(created_at) WHERE status = 'queued';
+CREATE INDEX idx_scrape_jobs_created ON scrape_jobs(created_at DESC);
+
+-- What a job did: one row per results page saved, plus events (claimed, resumed, failed...)
+CREATE TABLE scrape_job_log (
+  id BIGSERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES scrape_jobs(id) ON DELETE CASCADE,
+  segment INTEGER,
+  page INTEGER,
+  listings INTEGER,
+  listings_new INTEGER,
+  listings_updated INTEGER,
+  price_changes INTEGER,
+  message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_scrape_job_log_job ON scrape_job_log(job_id, id);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_listings_earth;
+
+DROP EXTENSION IF EXISTS earthdistance;
+DROP EXTENSION IF EXISTS cube;
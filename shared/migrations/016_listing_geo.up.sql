@@ -0,0 +1,6 @@
+-- Great-circle search on listing coordinates (radius, distance from a point)
+-- earthdistance ships with Postgres (contrib) and needs cube; the GiST index serves earth_box() lookups
+CREATE EXTENSION IF NOT EXISTS cube;
+CREATE EXTENSION IF NOT EXISTS earthdistance;
+
+CREATE INDEX idx_listings_earth ON listings USING gist (ll_to_earth(lat, lng));
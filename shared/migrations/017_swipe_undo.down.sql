@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_swipes_user_direction;
+
+ALTER TABLE swipes DROP COLUMN IF EXISTS created_favorite;
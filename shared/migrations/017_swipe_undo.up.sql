@@ -0,0 +1,6 @@
+-- Swipes remember whether they created the user's favorite, so undoing a
+-- right/super swipe removes the auto-favorite but not one that already existed
+ALTER TABLE swipes ADD COLUMN created_favorite BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Swipe history by direction (passed listings), newest first
+CREATE INDEX idx_swipes_user_direction ON swipes(user_id, direction, created_at DESC);
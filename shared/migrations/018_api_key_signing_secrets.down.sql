@@ -0,0 +1,4 @@
+DELETE FROM api_keys WHERE key_hash IS NULL;
+ALTER TABLE api_keys ALTER COLUMN key_hash SET NOT NULL;
+
+ALTER TABLE api_keys DROP COLUMN IF EXISTS signing_secret;
@@ -0,0 +1,8 @@
+-- Each key gets a signing secret that never goes out with a request; clients send
+-- only key_prefix as their key id and sign with the secret. key_hash is unused from here on.
+ALTER TABLE api_keys ADD COLUMN signing_secret TEXT;
+ALTER TABLE api_keys ALTER COLUMN key_hash DROP NOT NULL;
+
+-- Older keys signed requests with the key they also sent in the clear, so any
+-- captured request was enough to forge new ones
+UPDATE api_keys SET revoked_at = NOW() WHERE revoked_at IS NULL AND signing_secret IS NULL;
@@ -0,0 +1,269 @@
+/**
+ * Versioned schema migrations for Nestd
+ * One numbered migration set (shared/migrations) used by backend and scraper,
+ * with a schema_migrations ledger recording what has been applied.
+ *
+ * Migration files are named NNN_name.up.sql / NNN_name.down.sql
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key so only one process migrates at a time
+const MIGRATION_LOCK_ID = 4815162342;
+
+/**
+ * File-style label for a migration, e.g. 001_baseline
+ */
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+class SchemaVersionError extends Error {
+  constructor(current, expected) {
+    super(
+      `Database schema is at version ${current}, but this build expects version ${expected}. ` +
+      (current < expected ? 'Run "migrate up" first.' : 'Deploy a newer build.')
+    );
+    this.name = 'SchemaVersionError';
+    this.current = current;
+    this.expected = expected;
+  }
+}
+
+class Migrator {
+  /**
+   * @param {object} pool - pg Pool
+   * @param {object} options - { dir }
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.dir = options.dir || MIGRATIONS_DIR;
+  }
+
+  /**
+   * Read migrations from disk, sorted by version
+   * Returns [{ version, name, up, down }]
+   */
+  loadMigrations() {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+      if (!match) continue;
+
+      const version = parseInt(match[1], 10);
+      const migration = byVersion.get(version) || { version, name: match[2], up: null, down: null };
+      if (migration.name !== match[2]) {
+        throw new Error(`Conflicting names for migration ${version}: ${migration.name}, ${match[2]}`);
+      }
+      migration[match[3]] = fs.readFileSync(path.join(this.dir, file), 'utf8');
+      byVersion.set(version, migration);
+    }
+
+    const migrations = Array.from(byVersion.values()).sort((a, b) => a.version - b.version);
+    for (const migration of migrations) {
+      if (migration.up === null) {
+        throw new Error(`Migration ${migrationLabel(migration)} has no .up.sql file`);
+      }
+    }
+    return migrations;
+  }
+
+  /**
+   * Highest migration version this build knows about
+   */
+  latestVersion() {
+    const migrations = this.loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Create the ledger table if it doesn't exist
+   */
+  async ensureLedger(client = this.pool) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+  }
+
+  /**
+   * Get applied migrations from the ledger
+   */
+  async appliedMigrations(client = this.pool) {
+    await this.ensureLedger(client);
+    const result = await client.query(
+      'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return result.rows;
+  }
+
+  /**
+   * Current schema version (0 if nothing applied)
+   */
+  async currentVersion() {
+    const applied = await this.appliedMigrations();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  /**
+   * Status of every known and applied migration
+   * Returns [{ version, name, appliedAt }]
+   */
+  async status() {
+    const applied = await this.appliedMigrations();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const rows = this.loadMigrations().map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).applied_at : null,
+    }));
+
+    // Applied migrations this build doesn't have (database is ahead of the code)
+    for (const row of applied) {
+      if (!rows.some(r => r.version === row.version)) {
+        rows.push({ version: row.version, name: `${row.name} (unknown to this build)`, appliedAt: row.applied_at });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply pending migrations up to (and including) `to`
+   * Returns the migrations applied
+   */
+  async up({ to = Infinity } = {}) {
+    return this.withLock(async (client) => {
+      const appliedVersions = new Set((await this.appliedMigrations(client)).map(r => r.version));
+      const pending = this.loadMigrations().filter(m => !appliedVersions.has(m.version) && m.version <= to);
+
+      for (const migration of pending) {
+        console.log(`⬆️  Applying ${migrationLabel(migration)}`);
+        await client.query('BEGIN');
+        try {
+          await client.query(migration.up);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migrationLabel(migration)} failed: ${err.message}`);
+        }
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Revert the last `steps` applied migrations
+   * Returns the migrations reverted
+   */
+  async down({ steps = 1 } = {}) {
+    return this.withLock(async (client) => {
+      const applied = await this.appliedMigrations(client);
+      const known = new Map(this.loadMigrations().map(m => [m.version, m]));
+      const toRevert = applied.slice(-steps).reverse();
+
+      for (const row of toRevert) {
+        const migration = known.get(row.version);
+        if (!migration || migration.down === null) {
+          throw new Error(`Migration ${migrationLabel(row)} has no .down.sql file`);
+        }
+
+        console.log(`⬇️  Reverting ${migrationLabel(migration)}`);
+        await client.query('BEGIN');
+        try {
+          await client.query(migration.down);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw new Error(`Reverting ${migrationLabel(migration)} failed: ${err.message}`);
+        }
+      }
+
+      return toRevert;
+    });
+  }
+
+  /**
+   * Throw SchemaVersionError unless the database is at the version this build expects
+   */
+  async assertCurrent() {
+    const current = await this.currentVersion();
+    const expected = this.latestVersion();
+    if (current !== expected) {
+      throw new SchemaVersionError(current, expected);
+    }
+    return current;
+  }
+
+  /**
+   * Run fn with a dedicated client holding the migration advisory lock
+   */
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Handle a `migrate status|up|down` command line
+ * Used by backend/src/migrate.js and the scraper's `migrate` command
+ */
+async function runMigrateCommand(migrator, args) {
+  const [command = 'status', arg] = args;
+
+  switch (command) {
+    case 'status': {
+      const rows = await migrator.status();
+      console.log(`📋 Schema version ${await migrator.currentVersion()} (latest: ${migrator.latestVersion()})`);
+      for (const row of rows) {
+        const state = row.appliedAt ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+        console.log(`  ${migrationLabel(row)}  ${state}`);
+      }
+      break;
+    }
+
+    case 'up': {
+      const applied = await migrator.up({ to: arg ? parseInt(arg, 10) : Infinity });
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s), now at version ${await migrator.currentVersion()}`
+        : '✅ Schema is up to date');
+      break;
+    }
+
+    case 'down': {
+      const reverted = await migrator.down({ steps: arg ? parseInt(arg, 10) : 1 });
+      console.log(`✅ Reverted ${reverted.length} migration(s), now at version ${await migrator.currentVersion()}`);
+      break;
+    }
+
+    default:
+      console.log('Usage:');
+      console.log('  migrate status       - Show applied and pending migrations');
+      console.log('  migrate up [version] - Apply pending migrations (optionally up to a version)');
+      console.log('  migrate down [steps] - Revert the last migration(s)');
+  }
+}
+
+module.exports = { Migrator, SchemaVersionError, runMigrateCommand };
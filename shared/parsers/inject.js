@@ -0,0 +1,32 @@
+/**
+ * Load browser-side parsers into Playwright pages
+ * The parser files are UMD modules; evaluated in a page they register a global
+ * (e.g. HouseWipeRealtorParser) that page.evaluate() callbacks can use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PARSERS = {
+  HouseWipeRealtorParser: path.join(__dirname, 'realtor-ca.js'),
+};
+
+const sources = new Map();
+
+/**
+ * Make a parser global available in the page (no-op if it's already loaded)
+ */
+async function injectParser(page, globalName) {
+  const file = PARSERS[globalName];
+  if (!file) throw new Error(`Unknown parser ${globalName}`);
+
+  const loaded = await page.evaluate(name => Boolean(window[name]), globalName);
+  if (loaded) return;
+
+  if (!sources.has(file)) {
+    sources.set(file, fs.readFileSync(file, 'utf8'));
+  }
+  await page.evaluate(sources.get(file));
+}
+
+module.exports = { injectParser };
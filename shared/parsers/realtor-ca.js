@@ -0,0 +1,342 @@
+/**
+ * Realtor.ca page parser
+ * Pure DOM parsing of search result cards and listing detail pages, shared by the
+ * scraper and the Tampermonkey userscript, which the backend serves it to. It only uses
+ * standard DOM APIs, so it runs in a browser page, in a userscript (@require) and
+ * under jsdom against saved HTML.
+ *
+ * Loaded as a CommonJS module in Node, and as the HouseWipeRealtorParser global elsewhere.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HouseWipeRealtorParser = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Canadian provinces for validation
+  const PROVINCES = [
+    'Ontario', 'Quebec', 'British Columbia', 'Alberta', 'Manitoba',
+    'Saskatchewan', 'Nova Scotia', 'New Brunswick', 'Newfoundland and Labrador',
+    'Prince Edward Island', 'Northwest Territories', 'Yukon', 'Nunavut'
+  ];
+
+  // French province names on realtor.ca/fr, longest first so "Nouveau-Brunswick" isn't cut short
+  const FRENCH_PROVINCES = {
+    'Terre-Neuve-et-Labrador': 'Newfoundland and Labrador',
+    'Territoires du Nord-Ouest': 'Northwest Territories',
+    'Île-du-Prince-Édouard': 'Prince Edward Island',
+    'Colombie-Britannique': 'British Columbia',
+    'Nouveau-Brunswick': 'New Brunswick',
+    'Nouvelle-Écosse': 'Nova Scotia',
+    'Québec': 'Quebec',
+  };
+
+  const MAX_IMAGES = 80;
+
+  // Detail page labels (lowercased) for each attribute, most specific first
+  const DETAIL_LABELS = {
+    propertyType: ['property type', 'type de propriété'],
+    buildingStyle: ['architecture style', 'style', 'building type', "style d'architecture", 'type de bâtiment'],
+    yearBuilt: ['built in', 'year built', 'construit en', 'année de construction'],
+    lotSize: ['land size', 'lot size', 'superficie du terrain', 'taille du terrain'],
+    annualTaxes: ['annual property taxes', 'property taxes', 'taxes', 'taxes foncières annuelles', 'taxes foncières'],
+    condoFees: ['monthly maintenance fees', 'maintenance fees', 'condo fees', "frais d'entretien mensuels", "frais d'entretien"],
+    parking: ['parking type', 'parking', 'type de stationnement', 'stationnement'],
+    parkingSpaces: ['total parking spaces', 'parking spaces', 'nombre total de places de stationnement', 'places de stationnement'],
+    heating: ['heating type', 'heating', 'type de chauffage', 'chauffage'],
+  };
+
+  const TIME_UNITS = {
+    min: 'minute', minute: 'minute',
+    hour: 'hour', heure: 'hour',
+    day: 'day', jour: 'day',
+    week: 'week', semaine: 'week',
+  };
+
+  /**
+   * Collapse whitespace; non-breaking spaces are kept since French numbers use them as separators
+   */
+  function cleanText(value) {
+    return value ? String(value).replace(/[ \t\r\n]+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Whole-dollar amount from "$1,234,567", "1 234 567 $" or "4 512,00 $"
+   */
+  function parseAmount(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Math.round(value);
+
+    // Drop thousands separators (commas, spaces), then read a French decimal comma
+    const digits = cleanText(value)
+      .replace(/(\d)[, \u00a0\u202f](?=\d{3}\b)/g, '$1')
+      .replace(/(\d),(\d{1,2})\b/, '$1.$2');
+    const match = digits.match(/\d+(\.\d+)?/);
+    return match ? Math.round(parseFloat(match[0])) : null;
+  }
+
+  /**
+   * Asking price from a card's text, English ("$649,900") or French ("649 900 $")
+   */
+  function parsePrice(text) {
+    const match = cleanText(text).match(/\$\s?\d{1,3}(?:,\d{3})+|\$\s?\d+|\d{1,3}(?:[ \u00a0\u202f]\d{3})+\s?\$/);
+    return match ? parseAmount(match[0]) : null;
+  }
+
+  /**
+   * English province name from free text, or null
+   */
+  function matchProvince(text) {
+    const lower = cleanText(text).toLowerCase();
+    for (const [french, english] of Object.entries(FRENCH_PROVINCES)) {
+      if (lower.includes(french.toLowerCase())) return english;
+    }
+    for (const province of PROVINCES) {
+      if (lower.includes(province.toLowerCase())) return province;
+    }
+    return null;
+  }
+
+  /**
+   * Remove a province name (English or French) from a "Town Province" string
+   */
+  function stripProvince(text) {
+    let result = text;
+    for (const name of [...Object.keys(FRENCH_PROVINCES), ...PROVINCES]) {
+      const index = result.toLowerCase().indexOf(name.toLowerCase());
+      if (index !== -1) {
+        result = result.slice(0, index) + result.slice(index + name.length);
+        break;
+      }
+    }
+    return cleanText(result);
+  }
+
+  /**
+   * Split a card address into street, town and province
+   * "12 Main St, Guelph, Ontario N1H 1A1" or "12 Main St, Guelph Ontario"
+   */
+  function parseAddress(text) {
+    const parts = cleanText(text).split(',').map(p => p.trim()).filter(p => p);
+    let street = null, town = null, province = null;
+
+    if (parts.length >= 3) {
+      street = parts[0];
+      town = parts[1];
+      const provinceRaw = parts[parts.length - 1];
+      province = matchProvince(provinceRaw) || provinceRaw.split(/\s{2,}/)[0].trim();
+    } else if (parts.length === 2) {
+      street = parts[0];
+      province = matchProvince(parts[1]);
+      town = province ? stripProvince(parts[1]) || null : parts[1];
+    }
+
+    return { street, town, province };
+  }
+
+  /**
+   * Bedroom count; "3 + 1 Bedrooms" (above + below grade) counts as 4
+   */
+  function parseBeds(text) {
+    const match = cleanText(text).match(/(\d+)(?:\s*\+\s*(\d+))?\s*(?:Bedrooms?|Chambres?(?:\s+à\s+coucher)?)/i);
+    return match ? parseInt(match[1], 10) + (match[2] ? parseInt(match[2], 10) : 0) : 0;
+  }
+
+  function parseBaths(text) {
+    const match = cleanText(text).match(/(\d+)\s*(?:Bathrooms?|Salles?\s+de\s+bains?)/i);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Square footage; ranges like "1100 - 1500 sqft" use the lower bound
+   */
+  function parseSqft(text) {
+    const unit = '(?:sq\\.?\\s?ft|sqft|pi²|pi2|pieds carrés)';
+    const number = '(\\d{1,3}(?:[, \\u00a0\\u202f]\\d{3}(?!\\d))+|\\d+)';
+    const match = cleanText(text).match(new RegExp(`${number}(?:\\s*[-–à]\\s*${number})?\\+?\\s*${unit}`, 'i'));
+    return match ? parseAmount(match[1]) : null;
+  }
+
+  /**
+   * Listing date from "3 hours ago" / "il y a 3 heures"
+   */
+  function parseTimeAgo(text, now = new Date()) {
+    const clean = cleanText(text);
+    const match = clean.match(/(\d+)\s+(min(?:ute)?|hour|day|week)s?\s+ago/i) ||
+                  clean.match(/il y a\s+(\d+)\s+(minute|heure|jour|semaine)s?/i);
+    if (!match) return null;
+
+    const amount = parseInt(match[1], 10);
+    const unit = TIME_UNITS[match[2].toLowerCase()];
+    const date = new Date(now.getTime());
+    if (unit === 'minute') date.setMinutes(date.getMinutes() - amount);
+    else if (unit === 'hour') date.setHours(date.getHours() - amount);
+    else if (unit === 'day') date.setDate(date.getDate() - amount);
+    else if (unit === 'week') date.setDate(date.getDate() - amount * 7);
+    return date.toISOString();
+  }
+
+  function parseMlsNumber(text) {
+    const match = cleanText(text).match(/(?:MLS®?|SIA®?)\s*(?:Number|Numéro|#|N°)?\s*:?\s*([A-Z]{0,2}\d{5,10})\b/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Lifecycle status from a detail page status badge ("Sold Conditional", "Sold")
+   * Returns 'conditional', 'sold' or null
+   */
+  function parseListingStatus(value) {
+    if (!value) return null;
+    if (/conditional|conditionnel/i.test(value)) return 'conditional';
+    if (/\bsold\b|\bvendu/i.test(value)) return 'sold';
+    return null;
+  }
+
+  /**
+   * Generate high-res image URLs from a base image URL
+   */
+  function generateImageUrls(baseImageUrl) {
+    if (!baseImageUrl) return [];
+    if (!baseImageUrl.includes('cdn.realtor.ca')) return [baseImageUrl];
+
+    const highresUrl = baseImageUrl.replace('/lowres/', '/highres/');
+    const match = highresUrl.match(/^(.+_)(\d+)(\.jpg)$/i);
+    if (!match) return [highresUrl];
+
+    const [, prefix, , extension] = match;
+    return Array.from({ length: MAX_IMAGES }, (_, i) => `${prefix}${i + 1}${extension}`);
+  }
+
+  /**
+   * Text of an element with its text nodes space-separated
+   * textContent runs adjacent elements together ("...N1H 1A1" + "3 Bedrooms" reads "1A13 Bedrooms")
+   */
+  function elementText(element) {
+    const parts = [];
+    const walk = (node) => {
+      if (node.nodeType === 3) parts.push(node.nodeValue);
+      else node.childNodes.forEach(walk);
+    };
+    walk(element);
+    return cleanText(parts.join(' '));
+  }
+
+  // href resolves against the page URL in browsers; saved fixtures may only have the attribute
+  function linkUrl(link) {
+    return link.href || link.getAttribute('href');
+  }
+
+  /**
+   * Parse a search result card (.cardCon element)
+   * Returns the ingest listing shape, or null if the card has no address
+   */
+  function parseCard(card, options = {}) {
+    const fullText = elementText(card);
+
+    let price = parsePrice(fullText);
+    if (!price) {
+      const priceDiv = card.querySelector('div[data-value-cad]');
+      if (priceDiv) price = parseAmount(priceDiv.getAttribute('data-value-cad'));
+    }
+
+    const addressLink = Array.from(card.querySelectorAll('a')).find(a =>
+      (linkUrl(a) || '').includes('real-estate') || (linkUrl(a) || '').includes('immobilier')
+    );
+    if (!addressLink) return null;
+
+    const addressDiv = addressLink.querySelector('.smallListingCardAddress');
+    const addressText = cleanText(addressDiv ? addressDiv.textContent : '');
+    const address = parseAddress(addressText);
+    if (!address.street) return null;
+
+    const img = card.querySelector('img.smallListingCardImage') ||
+                card.querySelector('img[src*="cdn.realtor.ca"]');
+    const imageUrl = img ? img.src || img.getAttribute('src') || null : null;
+
+    return {
+      price,
+      street: address.street,
+      town: address.town,
+      province: address.province,
+      address: addressText, // full text, parsed server-side by shared/address.js
+      beds: parseBeds(fullText),
+      baths: parseBaths(fullText),
+      sqft: parseSqft(fullText),
+      listedAt: parseTimeAgo(fullText, options.now),
+      mlsNumber: parseMlsNumber(fullText),
+      imageUrl,
+      imageUrls: generateImageUrls(imageUrl),
+      detailUrl: linkUrl(addressLink),
+    };
+  }
+
+  /**
+   * Parse every listing card in a search results document
+   */
+  function parseSearchResults(doc, options = {}) {
+    return Array.from(doc.querySelectorAll('.cardCon'))
+      .map(card => parseCard(card, options))
+      .filter(Boolean);
+  }
+
+  /**
+   * Parse a listing detail page into the attributes upsertListingDetails() stores
+   */
+  function parseDetailPage(doc) {
+    const text = (el) => (el ? cleanText(el.textContent) || null : null);
+
+    // Label/value rows in the property details sections
+    const fields = {};
+    doc.querySelectorAll('.propertyDetailsSectionContentSubCon').forEach((row) => {
+      const label = text(row.querySelector('.propertyDetailsSectionContentLabel'));
+      const value = text(row.querySelector('.propertyDetailsSectionContentValue'));
+      if (label && value) fields[label.toLowerCase()] = value;
+    });
+
+    const field = (key) => {
+      for (const label of DETAIL_LABELS[key]) {
+        if (fields[label]) return fields[label];
+      }
+      return null;
+    };
+
+    const yearBuilt = parseAmount(field('yearBuilt'));
+    const statusBadge = text(doc.querySelector('#listingStatusCon, .listingStatus'));
+
+    return {
+      mlsNumber: text(doc.querySelector('#MLNumberVal')),
+      status: parseListingStatus(statusBadge || fields['status'] || fields['statut']),
+      description: text(doc.querySelector('#propertyDescriptionCon')),
+      propertyType: field('propertyType'),
+      buildingStyle: field('buildingStyle'),
+      yearBuilt: yearBuilt && yearBuilt > 1700 ? yearBuilt : null,
+      lotSize: field('lotSize'),
+      annualTaxes: parseAmount(field('annualTaxes')),
+      condoFees: parseAmount(field('condoFees')),
+      parking: field('parking'),
+      parkingSpaces: parseAmount(field('parkingSpaces')),
+      heating: field('heating'),
+    };
+  }
+
+  return {
+    PROVINCES,
+    parseAmount,
+    parsePrice,
+    parseAddress,
+    parseBeds,
+    parseBaths,
+    parseSqft,
+    parseTimeAgo,
+    parseMlsNumber,
+    parseListingStatus,
+    generateImageUrls,
+    parseCard,
+    parseSearchResults,
+    parseDetailPage,
+  };
+});
@@ -0,0 +1,174 @@
+/**
+ * Realtor.ca parser tests against saved search result and detail pages (fixtures/)
+ * Runs under jsdom, so a markup change shows up here instead of as an empty scrape.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const parser = require('../realtor-ca');
+
+// jsdom is a dev dependency of the scraper package, whose npm test runs these
+const { JSDOM } = require(require.resolve('jsdom', { paths: [path.join(__dirname, '..', '..', '..', 'scraper')] }));
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return new JSDOM(html, { url: 'https://www.realtor.ca/' }).window.document;
+}
+
+test.describe('search results (English)', () => {
+  const listings = parser.parseSearchResults(loadFixture('search-results-en.html'), { now: NOW });
+  const byStreet = Object.fromEntries(listings.map(listing => [listing.street, listing]));
+
+  test('parses every listing card and skips cards without a listing link', () => {
+    assert.deepEqual(listings.map(listing => listing.street), ['12 Main Street', '45 Elm Avenue', '7 River Road']);
+  });
+
+  test('3-part address', () => {
+    const listing = byStreet['12 Main Street'];
+    assert.equal(listing.town, 'Guelph');
+    assert.equal(listing.province, 'Ontario');
+    assert.equal(listing.address, '12 Main Street, Guelph, Ontario N1H 1A1');
+  });
+
+  test('2-part address with the province after the town', () => {
+    const listing = byStreet['45 Elm Avenue'];
+    assert.equal(listing.town, 'Guelph');
+    assert.equal(listing.province, 'Ontario');
+  });
+
+  test('card fields', () => {
+    const listing = byStreet['12 Main Street'];
+    assert.equal(listing.price, 649900);
+    assert.equal(listing.beds, 4); // 3 + 1
+    assert.equal(listing.baths, 2);
+    assert.equal(listing.sqft, 1100); // 1100 - 1500 sqft
+    assert.equal(listing.mlsNumber, '40512345');
+    assert.equal(listing.listedAt, '2026-03-01T09:00:00.000Z');
+    assert.equal(listing.detailUrl, 'https://www.realtor.ca/real-estate/27012345/12-main-street-guelph');
+    assert.equal(listing.imageUrls.length, 80);
+    assert.equal(listing.imageUrls[0], 'https://cdn.realtor.ca/listings/TS638412/reb82/highres/5/40512345_1.jpg');
+  });
+
+  test('price from data-value-cad when the card shows none', () => {
+    const listing = byStreet['45 Elm Avenue'];
+    assert.equal(listing.price, 1150000);
+    assert.equal(listing.sqft, 2250);
+    assert.equal(listing.mlsNumber, 'X8123456');
+  });
+
+  test('missing price, size, date and photo', () => {
+    const listing = byStreet['7 River Road'];
+    assert.equal(listing.price, null);
+    assert.equal(listing.sqft, null);
+    assert.equal(listing.listedAt, null);
+    assert.equal(listing.imageUrl, null);
+    assert.deepEqual(listing.imageUrls, []);
+    assert.equal(listing.beds, 2);
+    assert.equal(listing.baths, 1);
+  });
+});
+
+test.describe('search results (French)', () => {
+  const listings = parser.parseSearchResults(loadFixture('search-results-fr.html'), { now: NOW });
+  const [gatineau, moncton] = listings;
+
+  test('parses every listing card', () => {
+    assert.equal(listings.length, 2);
+  });
+
+  test('3-part address with a French province', () => {
+    assert.equal(gatineau.street, '123 rue Principale');
+    assert.equal(gatineau.town, 'Gatineau');
+    assert.equal(gatineau.province, 'Quebec');
+  });
+
+  test('2-part address with a French province', () => {
+    assert.equal(moncton.street, '8 rue King');
+    assert.equal(moncton.town, 'Moncton');
+    assert.equal(moncton.province, 'New Brunswick');
+  });
+
+  test('French prices, rooms, sizes, SIA numbers and dates', () => {
+    assert.equal(gatineau.price, 449900);
+    assert.equal(gatineau.beds, 3);
+    assert.equal(gatineau.baths, 1);
+    assert.equal(gatineau.sqft, 1000); // 1 000 à 1 199 pi²
+    assert.equal(gatineau.mlsNumber, '28123456');
+    assert.equal(gatineau.listedAt, '2026-03-01T07:00:00.000Z');
+    assert.equal(gatineau.detailUrl, 'https://www.realtor.ca/fr/immobilier/27054321/123-rue-principale-gatineau');
+
+    assert.equal(moncton.price, 1250000);
+    assert.equal(moncton.beds, 5);
+    assert.equal(moncton.baths, 2);
+    assert.equal(moncton.mlsNumber, 'M157890');
+    assert.equal(moncton.listedAt, '2026-02-22T12:00:00.000Z');
+  });
+});
+
+test.describe('detail pages', () => {
+  test('English', () => {
+    assert.deepEqual(parser.parseDetailPage(loadFixture('detail-en.html')), {
+      mlsNumber: '40512345',
+      status: 'conditional',
+      description: 'Bright detached home on a quiet street. Updated kitchen, finished basement and a fenced yard.',
+      propertyType: 'Single Family',
+      buildingStyle: 'House',
+      yearBuilt: 1987,
+      lotSize: '40 x 110 FT',
+      annualTaxes: 4512,
+      condoFees: null,
+      parking: 'Attached Garage',
+      parkingSpaces: 3,
+      heating: 'Forced air (Natural gas)',
+    });
+  });
+
+  test('French', () => {
+    const details = parser.parseDetailPage(loadFixture('detail-fr.html'));
+    assert.equal(details.mlsNumber, '28123456');
+    assert.equal(details.status, 'sold');
+    assert.equal(details.propertyType, 'Appartement');
+    assert.equal(details.yearBuilt, 2008);
+    assert.equal(details.annualTaxes, 2874); // 2 874,00 $
+    assert.equal(details.condoFees, 316); // 315,50 $
+    assert.equal(details.heating, 'Plinthes électriques');
+  });
+});
+
+test.describe('text helpers', () => {
+  test('prices', () => {
+    assert.equal(parser.parsePrice('$649,900'), 649900);
+    assert.equal(parser.parsePrice('649 900 $'), 649900);
+    assert.equal(parser.parsePrice('1 250 000 $'), 1250000);
+    assert.equal(parser.parsePrice('Price on request'), null);
+  });
+
+  test('addresses', () => {
+    assert.deepEqual(parser.parseAddress('12 Main St, Guelph, Ontario N1H 1A1'),
+      { street: '12 Main St', town: 'Guelph', province: 'Ontario' });
+    assert.deepEqual(parser.parseAddress('12 Main St, Guelph Ontario'),
+      { street: '12 Main St', town: 'Guelph', province: 'Ontario' });
+    assert.deepEqual(parser.parseAddress('12 Main St, Guelph'),
+      { street: '12 Main St', town: 'Guelph', province: null });
+    assert.deepEqual(parser.parseAddress('12 Main St'), { street: null, town: null, province: null });
+  });
+
+  test('sqft ranges use the lower bound', () => {
+    assert.equal(parser.parseSqft('1100 - 1500 sqft'), 1100);
+    assert.equal(parser.parseSqft('1,100–1,500 sq. ft'), 1100);
+    assert.equal(parser.parseSqft('5000+ sqft'), 5000);
+    assert.equal(parser.parseSqft('1 000 à 1 199 pi²'), 1000);
+    assert.equal(parser.parseSqft('3 Bedrooms'), null);
+  });
+
+  test('time ago', () => {
+    assert.equal(parser.parseTimeAgo('45 minutes ago', NOW), '2026-03-01T11:15:00.000Z');
+    assert.equal(parser.parseTimeAgo('1 week ago', NOW), '2026-02-22T12:00:00.000Z');
+    assert.equal(parser.parseTimeAgo('il y a 2 jours', NOW), '2026-02-27T12:00:00.000Z');
+    assert.equal(parser.parseTimeAgo('Listed recently', NOW), null);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Personalized deck ranking for Nestd
+ * Learns what a user likes from their swipes and scores unswiped listings by it,
+ * all in Node and Postgres. Each listing feature (price band, beds, baths, size,
+ * town, price per sqft) maps to a bucket; a bucket's weight is how much more (or
+ * less) often the user liked homes in it than they like homes overall, as smoothed
+ * log-odds. A listing's affinity is the sum of its buckets' weights (naive Bayes),
+ * so the biggest weights double as the explanation for a card.
+ * A share of the deck is exploration: listings picked by a per-user, per-day hash and
+ * ordered by how little the user has seen of their buckets, interleaved with the
+ * affinity-ranked ones so the deck doesn't narrow to what was liked first.
+ */
+
+// Bucket of each feature for listing `alias`, as SQL (NULL when the listing doesn't have it)
+const FEATURES = {
+  price: alias => `LEAST(floor(${alias}.price / 100000.0), 20)::int::text`,
+  beds: alias => `LEAST(${alias}.beds, 5)::text`,
+  baths: alias => `LEAST(${alias}.baths, 4)::text`,
+  sqft: alias => `CASE WHEN ${alias}.sqft > 0 THEN LEAST(floor(${alias}.sqft / 500.0), 8)::int::text END`,
+  town: alias => `NULLIF(lower(COALESCE(${alias}.municipality, ${alias}.town)), '')`,
+  pricePerSqft: alias =>
+    `CASE WHEN ${alias}.sqft > 0 THEN LEAST(floor(${alias}.price::numeric / ${alias}.sqft / 100), 15)::int::text END`,
+};
+
+// Swipes learned from (most recent first), and how much a super like counts against a right swipe
+const MAX_TRAINING_SWIPES = 1000;
+const SUPER_WEIGHT = 2;
+// Swipes needed (with at least one like and one pass) before the deck is personalized
+const MIN_TRAINING_SWIPES = 5;
+// Prior strength: a bucket needs about this many swipes before its own like rate dominates
+const PRIOR_SWIPES = 2;
+// Largest weight one bucket can have, so a single feature can't decide the whole deck
+const MAX_WEIGHT = 3;
+// Share of the deck given to exploration (about one card in seven)
+const EXPLORATION_RATE = 0.15;
+
+const logit = p => Math.log(p / (1 - p));
+
+function formatThousands(value) {
+  return value >= 1000000 ? `$${value / 1000000}M` : `$${value / 1000}k`;
+}
+
+/**
+ * A bucket as the end of "homes ...", e.g. "at $500k–$600k" or "with 3 beds"
+ */
+function describeBucket(feature, bucket, row) {
+  const n = Number(bucket);
+  switch (feature) {
+    case 'price':
+      return n >= 20 ? 'over $2M' : `at ${formatThousands(n * 100000)}–${formatThousands((n + 1) * 100000)}`;
+    case 'beds':
+      return n >= 5 ? 'with 5+ beds' : `with ${n} bed${n === 1 ? '' : 's'}`;
+    case 'baths':
+      return n >= 4 ? 'with 4+ baths' : `with ${n} bath${n === 1 ? '' : 's'}`;
+    case 'sqft':
+      return n >= 8
+        ? 'over 4,000 sqft'
+        : `of ${(n * 500).toLocaleString('en-CA')}–${((n + 1) * 500).toLocaleString('en-CA')} sqft`;
+    case 'town':
+      return `in ${(row && (row.municipality || row.town)) || bucket}`;
+    case 'pricePerSqft':
+      return n >= 15 ? 'over $1,500/sqft' : `at $${n * 100}–$${(n + 1) * 100}/sqft`;
+    default:
+      return bucket;
+  }
+}
+
+/**
+ * Learn a user's preferences from their latest swipes
+ * Returns { swipes, likes, passes, features: { feature: { bucket: { weight, likes, passes } } } },
+ * or null while there are too few swipes to personalize
+ */
+async function buildPreferenceModel(db, userId) {
+  const columns = Object.entries(FEATURES).map(([feature, sql]) => `${sql('l')} as "${feature}"`);
+  const result = await db.query(
+    `SELECT s.direction, ${columns.join(', ')}
+     FROM swipes s
+     JOIN listings l ON l.id = s.listing_id
+     WHERE s.user_id = $1
+     ORDER BY s.created_at DESC
+     LIMIT $2`,
+    [userId, MAX_TRAINING_SWIPES]
+  );
+
+  const counts = Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, {}]));
+  let positive = 0;
+  let negative = 0;
+  let likes = 0;
+
+  for (const row of result.rows) {
+    const liked = row.direction !== 'left';
+    const weight = row.direction === 'super' ? SUPER_WEIGHT : 1;
+    if (liked) {
+      positive += weight;
+      likes++;
+    } else {
+      negative += weight;
+    }
+
+    for (const feature of Object.keys(FEATURES)) {
+      const bucket = row[feature];
+      if (bucket === null) continue;
+      const entry = counts[feature][bucket] || (counts[feature][bucket] = { positive: 0, negative: 0, likes: 0, passes: 0 });
+      if (liked) {
+        entry.positive += weight;
+        entry.likes++;
+      } else {
+        entry.negative += weight;
+        entry.passes++;
+      }
+    }
+  }
+
+  const passes = result.rows.length - likes;
+  if (result.rows.length < MIN_TRAINING_SWIPES || likes === 0 || passes === 0) return null;
+
+  // Smoothed log-odds of liking a home in each bucket, relative to the user's overall like rate
+  const baseRate = (positive + 1) / (positive + negative + 2);
+  const features = {};
+  for (const [feature, buckets] of Object.entries(counts)) {
+    features[feature] = {};
+    for (const [bucket, entry] of Object.entries(buckets)) {
+      const rate = (entry.positive + PRIOR_SWIPES * baseRate) / (entry.positive + entry.negative + PRIOR_SWIPES);
+      const weight = Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, logit(rate) - logit(baseRate)));
+      features[feature][bucket] = { weight: Math.round(weight * 1000) / 1000, likes: entry.likes, passes: entry.passes };
+    }
+  }
+
+  return { swipes: result.rows.length, likes, passes, features };
+}
+
+/**
+ * SQL to rank listings (table alias `alias`) with a preference model
+ * Appends its parameters to params and returns { columns, orderBy }: columns selects what
+ * explainRecommendation() needs as rec_* columns plus rec_slot, the deck position to ORDER BY.
+ * Ranked listings are ordered by affinity (summed bucket weights), exploration ones by novelty
+ * (1 for never-swiped buckets, shrinking as swipes come in); the two lists are interleaved at
+ * EXPLORATION_RATE. seed picks the exploration listings and should stay the same while paging.
+ */
+function recommendationSql(model, params, { seed, alias = 'l' }) {
+  params.push(JSON.stringify(model.features), String(seed));
+  const modelParam = `$${params.length - 1}::jsonb`;
+  const seedParam = `$${params.length}`;
+
+  const entries = Object.entries(FEATURES).map(([feature, sql]) => ({ feature, bucket: sql(alias) }));
+  const weights = entries.map(({ feature, bucket }) =>
+    `COALESCE((${modelParam} #>> ARRAY['${feature}', ${bucket}, 'weight'])::float8, 0)`);
+  // A missing feature (no sqft) has nothing to explore
+  const novelty = entries.map(({ feature, bucket }) =>
+    `CASE WHEN ${bucket} IS NULL THEN 0 ELSE 1 / sqrt(1 + COALESCE(
+       (${modelParam} #>> ARRAY['${feature}', ${bucket}, 'likes'])::int
+       + (${modelParam} #>> ARRAY['${feature}', ${bucket}, 'passes'])::int, 0)) END`);
+
+  const affinitySql = `(${weights.join(' + ')})`;
+  const noveltySql = `((${novelty.join(' + ')}) / ${entries.length})`;
+  const exploreSql = `((hashtext(${alias}.id || ':' || ${seedParam}) & 1023) < ${Math.round(EXPLORATION_RATE * 1024)})`;
+
+  // n-th ranked listing goes to slot n / (1 - rate), n-th exploration listing to n / rate
+  const slotSql = `row_number() OVER (
+      PARTITION BY ${exploreSql}
+      ORDER BY CASE WHEN ${exploreSql} THEN ${noveltySql} ELSE ${affinitySql} END DESC, ${alias}.id DESC
+    )::float8 / CASE WHEN ${exploreSql} THEN ${EXPLORATION_RATE} ELSE ${1 - EXPLORATION_RATE} END`;
+
+  return {
+    columns: [
+      `${affinitySql} as rec_affinity`,
+      `${exploreSql} as rec_explore`,
+      `${slotSql} as rec_slot`,
+      ...entries.map(({ feature, bucket }) => `${bucket} as "rec_${feature}"`),
+    ].join(', '),
+    orderBy: 'rec_slot',
+  };
+}
+
+/**
+ * Why a listing was ranked where it was, from a row selected with recommendationSql()
+ * Removes the rec_* columns from the row and returns
+ * { score, explore, factors: [{ feature, value, weight, reason }] } with the strongest factors first;
+ * explore marks cards shown to learn more rather than because they match
+ */
+function explainRecommendation(model, row, { maxFactors = 3 } = {}) {
+  const factors = [];
+  for (const feature of Object.keys(FEATURES)) {
+    const bucket = row[`rec_${feature}`];
+    delete row[`rec_${feature}`];
+    if (bucket === null || bucket === undefined) continue;
+
+    const value = describeBucket(feature, bucket, row);
+    const learned = model.features[feature][bucket];
+    if (!learned || Math.abs(learned.weight) < 0.05) continue;
+
+    const seen = learned.likes + learned.passes;
+    factors.push({
+      feature,
+      value,
+      weight: learned.weight,
+      reason: learned.weight > 0
+        ? `You liked ${learned.likes} of ${seen} homes ${value}`
+        : `You passed on ${learned.passes} of ${seen} homes ${value}`,
+    });
+  }
+  factors.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+
+  const score = Math.round(Number(row.rec_affinity) * 1000) / 1000;
+  const explore = row.rec_explore === true;
+  delete row.rec_affinity;
+  delete row.rec_explore;
+  delete row.rec_slot;
+
+  return {
+    score,
+    explore,
+    factors: factors.slice(0, maxFactors),
+  };
+}
+
+module.exports = {
+  buildPreferenceModel,
+  recommendationSql,
+  explainRecommendation,
+};
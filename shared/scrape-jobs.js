@@ -0,0 +1,308 @@
+/**
+ * Scrape job queue for Nestd
+ * On-demand scrapes are queued from the admin API and claimed by scraper workers
+ * with FOR UPDATE SKIP LOCKED, so any number of workers can poll the same table.
+ * Workers bump heartbeat_at while a job runs and log every results page; a job
+ * whose worker stops responding is requeued and resumes its scrape run.
+ */
+
+const { getScrapePlan, planSearchOptions, validatePlan } = require('./scrape-plans');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const DEFAULT_JOB_MAX_LISTINGS = 100;
+
+// Job input that describes the search, validated like the same plan fields
+const SEARCH_FIELDS = ['source', 'lat', 'lng', 'zoom', 'minPrice', 'maxPrice', 'minBeds', 'minBaths',
+  'propertyType', 'searchUrl', 'maxListings'];
+
+/**
+ * Error with an HTTP status, for input the API should reject with 400/404/409
+ */
+function jobError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Thrown by a worker to stop a scrape whose job was cancelled
+ */
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Scrape job ${jobId} cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * Progress of a job from its scrape run's checkpoint columns
+ */
+function jobProgress(row) {
+  const segments = row.run_segments || [];
+  const found = row.run_listings_found || 0;
+  return {
+    pages: row.run_page_cursor || 0,
+    listingsFound: found,
+    listingsNew: row.run_listings_new || 0,
+    listingsUpdated: row.run_listings_updated || 0,
+    priceChanges: row.run_price_changes || 0,
+    segmentsDone: segments.filter(segment => segment.done).length,
+    segmentsTotal: segments.length,
+    percent: row.status === 'completed' ? 100 : Math.min(99, Math.floor((found / row.max_listings) * 100)),
+  };
+}
+
+/**
+ * A job row joined with its run, as the API returns it
+ */
+function formatJob(row) {
+  const { run_segments, run_page_cursor, run_listings_found, run_listings_new, run_listings_updated,
+    run_price_changes, run_status, ...job } = row;
+  return { ...job, run_status: run_status || null, progress: jobProgress(row) };
+}
+
+const JOB_SELECT = `
+  SELECT j.*, r.status as run_status, r.segments as run_segments, r.page_cursor as run_page_cursor,
+         r.listings_found as run_listings_found, r.listings_new as run_listings_new,
+         r.listings_updated as run_listings_updated, r.price_changes as run_price_changes
+  FROM scrape_jobs j
+  LEFT JOIN scrape_runs r ON r.id = j.run_id`;
+
+/**
+ * Queue a scrape
+ * Input: { planId } to scrape a plan's search (other fields override it), or the search
+ * itself: { source, lat, lng, zoom, minPrice, maxPrice, minBeds, minBaths, propertyType,
+ * searchUrl, maxListings }, plus { details } to also scrape detail pages.
+ */
+async function enqueueScrapeJob(db, input = {}, { requestedBy = null } = {}) {
+  let plan = null;
+  if (input.planId !== undefined && input.planId !== null) {
+    const planId = Number(input.planId);
+    if (!Number.isInteger(planId)) throw jobError('planId must be an integer');
+    plan = await getScrapePlan(db, planId);
+    if (!plan) throw jobError(`Scrape plan ${planId} not found`, 404);
+  }
+
+  const search = {};
+  for (const key of SEARCH_FIELDS) {
+    if (input[key] !== undefined) search[key] = input[key];
+  }
+  const { values, errors } = validatePlan(search, { partial: true });
+  if ((values.lat == null) !== (values.lng == null) && !plan) {
+    errors.push('lat and lng must be set together');
+  }
+  if (input.details !== undefined && typeof input.details !== 'boolean') {
+    errors.push('details must be true or false');
+  }
+  if (errors.length > 0) throw jobError(errors.join('; '));
+
+  const job = { ...(plan || {}), ...values };
+  const result = await db.query(
+    `INSERT INTO scrape_jobs (plan_id, source, search_options, max_listings, details, requested_by)
+     VALUES ($1, COALESCE($2, 'realtor-ca'), $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      plan ? plan.id : null,
+      job.source || null,
+      JSON.stringify(planSearchOptions(job)),
+      job.max_listings || DEFAULT_JOB_MAX_LISTINGS,
+      input.details === true,
+      requestedBy,
+    ]
+  );
+  return getScrapeJob(db, result.rows[0].id);
+}
+
+/**
+ * Whether a job searches something other than its plan, with overridden fields or
+ * a plan edited since it was queued. Such a job mustn't delist for the plan: listings
+ * outside its narrower search weren't looked for, not gone.
+ */
+function jobOverridesPlan(job, plan) {
+  const planOptions = planSearchOptions(plan);
+  const jobOptions = job.search_options || {};
+  const keys = new Set([...Object.keys(planOptions), ...Object.keys(jobOptions)]);
+  return job.source !== plan.source || [...keys].some(key => planOptions[key] !== jobOptions[key]);
+}
+
+/**
+ * Recent jobs, newest first, optionally with one status
+ */
+async function listScrapeJobs(db, { status = null, limit = 50 } = {}) {
+  if (status !== null && !JOB_STATUSES.includes(status)) {
+    throw jobError(`status must be one of ${JOB_STATUSES.join(', ')}`);
+  }
+  const result = await db.query(
+    `${JOB_SELECT}
+     WHERE ($1::text IS NULL OR j.status = $1)
+     ORDER BY j.created_at DESC, j.id DESC
+     LIMIT $2`,
+    [status, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]
+  );
+  return result.rows.map(formatJob);
+}
+
+/**
+ * One job with its progress and, with logLimit, its latest log entries (oldest first)
+ */
+async function getScrapeJob(db, id, { logLimit = 0 } = {}) {
+  const result = await db.query(`${JOB_SELECT} WHERE j.id = $1`, [id]);
+  if (result.rows.length === 0) return null;
+
+  const job = formatJob(result.rows[0]);
+  if (logLimit > 0) {
+    const log = await db.query(
+      `SELECT * FROM (
+         SELECT id, segment, page, listings, listings_new, listings_updated, price_changes, message, created_at
+         FROM scrape_job_log WHERE job_id = $1 ORDER BY id DESC LIMIT $2
+       ) entries ORDER BY id`,
+      [id, logLimit]
+    );
+    job.log = log.rows;
+  }
+  return job;
+}
+
+/**
+ * Cancel a job: a queued job is cancelled right away, a running one stops after its current page
+ * Returns the job, or null if it doesn't exist; finished jobs are a 409
+ */
+async function cancelScrapeJob(db, id) {
+  const result = await db.query(
+    `UPDATE scrape_jobs
+     SET cancel_requested = TRUE,
+         status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING id`,
+    [id]
+  );
+
+  const job = await getScrapeJob(db, id);
+  if (job && result.rows.length === 0) {
+    throw jobError(`Scrape job ${id} already ${job.status}`, 409);
+  }
+  return job;
+}
+
+// ============ WORKER SIDE ============
+
+/**
+ * Claim the oldest queued job for a worker, or null when the queue is empty
+ */
+async function claimScrapeJob(db, workerId) {
+  const result = await db.query(
+    `UPDATE scrape_jobs
+     SET status = 'running', worker_id = $1, attempts = attempts + 1,
+         started_at = COALESCE(started_at, NOW()), heartbeat_at = NOW()
+     WHERE id = (
+       SELECT id FROM scrape_jobs
+       WHERE status = 'queued'
+       ORDER BY created_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Link a job to the scrape run doing its work
+ */
+async function setScrapeJobRun(db, id, runId) {
+  await db.query('UPDATE scrape_jobs SET run_id = $2 WHERE id = $1', [id, runId]);
+}
+
+/**
+ * Heartbeat for a running job; returns whether it has been cancelled
+ */
+async function touchScrapeJob(db, id) {
+  const result = await db.query(
+    `UPDATE scrape_jobs SET heartbeat_at = NOW() WHERE id = $1 RETURNING cancel_requested`,
+    [id]
+  );
+  return result.rows.length > 0 && result.rows[0].cancel_requested;
+}
+
+/**
+ * Add a log entry: { segment, page, listings, new, updated, priceChanges } for a page, { message } for an event
+ */
+async function logScrapeJob(db, id, entry) {
+  await db.query(
+    `INSERT INTO scrape_job_log (job_id, segment, page, listings, listings_new, listings_updated, price_changes, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      id,
+      entry.segment ?? null,
+      entry.page ?? null,
+      entry.listings ?? null,
+      entry.new ?? null,
+      entry.updated ?? null,
+      entry.priceChanges ?? null,
+      entry.message ?? null,
+    ]
+  );
+}
+
+/**
+ * Mark a job completed, failed or cancelled
+ */
+async function finishScrapeJob(db, id, status, error = null) {
+  await db.query(
+    `UPDATE scrape_jobs SET status = $2, error = $3, finished_at = NOW() WHERE id = $1`,
+    [id, status, error]
+  );
+}
+
+/**
+ * Put a job its worker is giving up (shutdown) back in the queue; its run resumes from the checkpoint
+ */
+async function releaseScrapeJob(db, id) {
+  await db.query(
+    `UPDATE scrape_jobs
+     SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'queued' END,
+         finished_at = CASE WHEN cancel_requested THEN NOW() ELSE NULL END
+     WHERE id = $1 AND status = 'running'`,
+    [id]
+  );
+}
+
+/**
+ * Requeue running jobs whose worker hasn't sent a heartbeat for staleMinutes
+ * Jobs that already had maxAttempts workers are failed instead. Returns the affected jobs.
+ */
+async function requeueStaleScrapeJobs(db, { staleMinutes = 5, maxAttempts = 3 } = {}) {
+  const result = await db.query(
+    `UPDATE scrape_jobs
+     SET status = CASE WHEN cancel_requested THEN 'cancelled'
+                       WHEN attempts >= $2 THEN 'failed'
+                       ELSE 'queued' END,
+         error = CASE WHEN NOT cancel_requested AND attempts >= $2
+                      THEN 'Worker stopped responding' ELSE error END,
+         finished_at = CASE WHEN cancel_requested OR attempts >= $2 THEN NOW() ELSE NULL END
+     WHERE status = 'running' AND heartbeat_at < NOW() - make_interval(mins => $1)
+     RETURNING id, status`,
+    [staleMinutes, maxAttempts]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobCancelledError,
+  enqueueScrapeJob,
+  jobOverridesPlan,
+  listScrapeJobs,
+  getScrapeJob,
+  cancelScrapeJob,
+  claimScrapeJob,
+  setScrapeJobRun,
+  touchScrapeJob,
+  logScrapeJob,
+  finishScrapeJob,
+  releaseScrapeJob,
+  requeueStaleScrapeJobs,
+};
@@ -0,0 +1,361 @@
+/**
+ * Scrape plans for Nestd
+ * A plan is one scheduled search: a map region, price band, property type and
+ * cron. Plans are managed from the scraper CLI and the admin API, and can be
+ * derived from users' saved searches so coverage follows what people search for.
+ */
+
+// API/CLI field -> scrape_plans column
+const PLAN_FIELDS = {
+  name: 'name',
+  source: 'source',
+  region: 'region',
+  lat: 'lat',
+  lng: 'lng',
+  zoom: 'zoom',
+  minPrice: 'min_price',
+  maxPrice: 'max_price',
+  minBeds: 'min_beds',
+  minBaths: 'min_baths',
+  propertyType: 'property_type',
+  searchUrl: 'search_url',
+  maxListings: 'max_listings',
+  cron: 'cron',
+  enabled: 'enabled',
+};
+
+const DEFAULT_PLAN_CRON = '0 */4 * * *';
+
+// Map zoom for saved searches without a radius: a town, or a whole province
+const TOWN_ZOOM = 11;
+const PROVINCE_ZOOM = 7;
+const DEFAULT_RADIUS_KM = 25;
+
+// Width of a 1920px map viewport at zoom 0 (7.5 tiles of 40,075 km)
+const VIEWPORT_KM_AT_ZOOM_0 = 7.5 * 40075;
+
+/**
+ * Error with an HTTP status, for input the API should reject with 400/404
+ */
+function planError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Loose cron check (5 or 6 fields); node-cron validates properly when scheduling
+ */
+function isCronExpression(value) {
+  return typeof value === 'string' && /^\S+(\s+\S+){4,5}$/.test(value.trim());
+}
+
+/**
+ * Validate plan input and map it to columns
+ * Returns { values, errors }; with partial, missing fields are left out (updates)
+ */
+function validatePlan(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, column] of Object.entries(PLAN_FIELDS)) {
+    if (input[key] === undefined) continue;
+    values[column] = input[key] === '' ? null : input[key];
+  }
+
+  const number = (key, { min, max, integer = true } = {}) => {
+    const column = PLAN_FIELDS[key];
+    const value = values[column];
+    if (value === undefined || value === null) return;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed)) ||
+        (min !== undefined && parsed < min) || (max !== undefined && parsed > max)) {
+      errors.push(`${key} must be ${integer ? 'an integer' : 'a number'}` +
+        (max !== undefined ? ` between ${min} and ${max}` : ` of at least ${min}`));
+      return;
+    }
+    values[column] = parsed;
+  };
+
+  number('lat', { min: -90, max: 90, integer: false });
+  number('lng', { min: -180, max: 180, integer: false });
+  number('zoom', { min: 1, max: 18 });
+  number('minPrice', { min: 0 });
+  number('maxPrice', { min: 0 });
+  number('minBeds', { min: 0, max: 20 });
+  number('minBaths', { min: 0, max: 20 });
+  number('maxListings', { min: 1, max: 10000 });
+
+  if (values.name !== undefined && (typeof values.name !== 'string' || !values.name.trim())) {
+    errors.push('name is required');
+  } else if (!partial && values.name === undefined) {
+    errors.push('name is required');
+  }
+  for (const key of ['source', 'cron', 'maxListings', 'enabled']) {
+    if (values[PLAN_FIELDS[key]] === null) errors.push(`${key} cannot be cleared`);
+  }
+  if (values.cron != null && !isCronExpression(values.cron)) {
+    errors.push('cron must be a cron expression like "0 */4 * * *"');
+  }
+  if (values.enabled != null && typeof values.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (!partial && (values.lat == null) !== (values.lng == null)) {
+    errors.push('lat and lng must be set together');
+  }
+  if (values.min_price != null && values.max_price != null && values.min_price > values.max_price) {
+    errors.push('minPrice must not be above maxPrice');
+  }
+  if (values.property_type != null) values.property_type = String(values.property_type);
+
+  return { values, errors };
+}
+
+/**
+ * List plans with their latest run
+ */
+async function listScrapePlans(db, { enabledOnly = false } = {}) {
+  const result = await db.query(
+    `SELECT p.*, r.id as last_run_id, r.status as last_run_status,
+            r.started_at as last_run_started_at, r.listings_found as last_run_listings
+     FROM scrape_plans p
+     LEFT JOIN LATERAL (
+       SELECT id, status, started_at, listings_found FROM scrape_runs
+       WHERE plan_id = p.id ORDER BY started_at DESC LIMIT 1
+     ) r ON TRUE
+     WHERE ($1::boolean = FALSE OR p.enabled = TRUE)
+     ORDER BY p.origin, p.name`,
+    [enabledOnly]
+  );
+  return result.rows;
+}
+
+async function getScrapePlan(db, id) {
+  const result = await db.query('SELECT * FROM scrape_plans WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a manual plan
+ */
+async function createScrapePlan(db, input) {
+  const { values, errors } = validatePlan(input);
+  if (errors.length > 0) throw planError(errors.join('; '));
+
+  const columns = Object.keys(values);
+  try {
+    const result = await db.query(
+      `INSERT INTO scrape_plans (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      columns.map(column => values[column])
+    );
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') throw planError(`A plan named "${values.name}" already exists`, 409);
+    throw err;
+  }
+}
+
+/**
+ * Update some fields of a plan
+ * Returns the updated plan, or null if it doesn't exist
+ */
+async function updateScrapePlan(db, id, input) {
+  const { values, errors } = validatePlan(input, { partial: true });
+  if (errors.length > 0) throw planError(errors.join('; '));
+
+  const columns = Object.keys(values);
+  if (columns.length === 0) return getScrapePlan(db, id);
+
+  try {
+    const result = await db.query(
+      `UPDATE scrape_plans
+       SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...columns.map(column => values[column])]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    if (err.code === '23505') throw planError(`A plan named "${values.name}" already exists`, 409);
+    throw err;
+  }
+}
+
+async function deleteScrapePlan(db, id) {
+  const result = await db.query('DELETE FROM scrape_plans WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Search options for a plan, as passed to ListingSource.buildSearchUrl()
+ */
+function planSearchOptions(plan) {
+  const options = {
+    lat: plan.lat,
+    lng: plan.lng,
+    zoom: plan.zoom,
+    minPrice: plan.min_price,
+    maxPrice: plan.max_price,
+    beds: plan.min_beds,
+    baths: plan.min_baths,
+    propertyType: plan.property_type,
+    url: plan.search_url,
+  };
+  for (const key of Object.keys(options)) {
+    if (options[key] === null || options[key] === undefined) delete options[key];
+  }
+  return options;
+}
+
+/**
+ * Map zoom level whose viewport covers a search radius
+ */
+function zoomForRadius(radiusKm, lat) {
+  const widthKm = VIEWPORT_KM_AT_ZOOM_0 * Math.cos((lat * Math.PI) / 180);
+  const zoom = Math.floor(Math.log2(widthKm / (2 * radiusKm)));
+  return Math.min(14, Math.max(PROVINCE_ZOOM, zoom));
+}
+
+// Union of price bands/minimums: null (unbounded) wins
+const unionMin = (a, b) => (a === null || b === null ? null : Math.min(a, b));
+const unionMax = (a, b) => (a === null || b === null ? null : Math.max(a, b));
+
+/**
+ * Derive plans from the union of users' saved searches
+ * Searches with a center use it; town/province searches use the centroid of known
+ * listings there. Regions that round to the same area are merged, widening the
+ * price band to cover every search in them.
+ */
+async function deriveScrapePlans(db, { cron = DEFAULT_PLAN_CRON } = {}) {
+  const searches = (await db.query(
+    `SELECT id, min_price, max_price, min_beds, min_baths, towns, provinces, lat, lng, radius_km
+     FROM saved_searches`
+  )).rows;
+
+  const centroids = (await db.query(
+    `SELECT 'town' as kind, LOWER(town) as name, MIN(town) as label, AVG(lat) as lat, AVG(lng) as lng
+     FROM listings WHERE lat IS NOT NULL AND town IS NOT NULL GROUP BY LOWER(town)
+     UNION ALL
+     SELECT 'province', LOWER(province), MIN(province), AVG(lat), AVG(lng)
+     FROM listings WHERE lat IS NOT NULL AND province IS NOT NULL GROUP BY LOWER(province)`
+  )).rows;
+  const centroid = new Map(centroids.map(c => [`${c.kind}:${c.name}`, c]));
+
+  const regions = new Map();
+  for (const search of searches) {
+    const areas = [];
+    if (search.lat !== null && search.lng !== null) {
+      const radius = search.radius_km || DEFAULT_RADIUS_KM;
+      areas.push({ label: `${radius} km around ${search.lat.toFixed(3)}, ${search.lng.toFixed(3)}`,
+        lat: search.lat, lng: search.lng, zoom: zoomForRadius(radius, search.lat) });
+    } else if (search.towns && search.towns.length > 0) {
+      for (const town of search.towns) {
+        const c = centroid.get(`town:${town.toLowerCase()}`);
+        if (c) areas.push({ label: c.label, lat: c.lat, lng: c.lng, zoom: TOWN_ZOOM });
+      }
+    } else if (search.provinces && search.provinces.length > 0) {
+      for (const province of search.provinces) {
+        const c = centroid.get(`province:${province.toLowerCase()}`);
+        if (c) areas.push({ label: c.label, lat: c.lat, lng: c.lng, zoom: PROVINCE_ZOOM });
+      }
+    }
+
+    for (const area of areas) {
+      const key = `${area.lat.toFixed(1)},${area.lng.toFixed(1)}@${area.zoom}`;
+      const region = regions.get(key);
+      if (!region) {
+        regions.set(key, {
+          name: `saved-searches ${key}`,
+          region: area.label,
+          lat: Number(area.lat.toFixed(4)),
+          lng: Number(area.lng.toFixed(4)),
+          zoom: area.zoom,
+          min_price: search.min_price,
+          max_price: search.max_price,
+          min_beds: search.min_beds,
+          min_baths: search.min_baths,
+          cron,
+          search_ids: [search.id],
+        });
+        continue;
+      }
+      region.min_price = unionMin(region.min_price, search.min_price);
+      region.max_price = unionMax(region.max_price, search.max_price);
+      region.min_beds = unionMin(region.min_beds, search.min_beds);
+      region.min_baths = unionMin(region.min_baths, search.min_baths);
+      if (!region.search_ids.includes(search.id)) region.search_ids.push(search.id);
+    }
+  }
+
+  return [...regions.values()];
+}
+
+/**
+ * Replace the derived plans with a fresh derivation from saved searches
+ * Manual plans are untouched; derived plans keep their cron and enabled flag.
+ * db must be a pg Pool (the replacement runs in a transaction on one of its clients).
+ * Returns { plans, created, updated, removed }
+ */
+async function syncDerivedPlans(db, { cron = DEFAULT_PLAN_CRON, dryRun = false } = {}) {
+  const plans = await deriveScrapePlans(db, { cron });
+  const existing = (await db.query(
+    `SELECT name FROM scrape_plans WHERE origin = 'saved_searches'`
+  )).rows.map(r => r.name);
+
+  const names = plans.map(p => p.name);
+  const stats = {
+    plans,
+    created: names.filter(name => !existing.includes(name)).length,
+    updated: names.filter(name => existing.includes(name)).length,
+    removed: existing.filter(name => !names.includes(name)).length,
+  };
+  if (dryRun) return stats;
+
+  // One transaction, so the scheduler never sees the plans half replaced
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `DELETE FROM scrape_plans WHERE origin = 'saved_searches' AND NOT (name = ANY($1::text[]))`,
+      [names]
+    );
+    await client.query(
+      `INSERT INTO scrape_plans (name, region, lat, lng, zoom, min_price, max_price, min_beds, min_baths, cron, origin)
+       SELECT name, region, lat, lng, zoom, min_price, max_price, min_beds, min_baths, cron, 'saved_searches'
+       FROM jsonb_to_recordset($1::jsonb) AS p(
+         name TEXT, region TEXT, lat DOUBLE PRECISION, lng DOUBLE PRECISION, zoom INTEGER,
+         min_price INTEGER, max_price INTEGER, min_beds INTEGER, min_baths INTEGER, cron TEXT
+       )
+       ON CONFLICT (name) DO UPDATE SET
+         region = EXCLUDED.region, lat = EXCLUDED.lat, lng = EXCLUDED.lng, zoom = EXCLUDED.zoom,
+         min_price = EXCLUDED.min_price, max_price = EXCLUDED.max_price,
+         min_beds = EXCLUDED.min_beds, min_baths = EXCLUDED.min_baths, updated_at = NOW()
+       WHERE scrape_plans.origin = 'saved_searches'`,
+      [JSON.stringify(plans)]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return stats;
+}
+
+module.exports = {
+  PLAN_FIELDS,
+  DEFAULT_PLAN_CRON,
+  validatePlan,
+  listScrapePlans,
+  getScrapePlan,
+  createScrapePlan,
+  updateScrapePlan,
+  deleteScrapePlan,
+  planSearchOptions,
+  deriveScrapePlans,
+  syncDerivedPlans,
+};
@@ -0,0 +1,56 @@
+/**
+ * Address parser tests: provinces, towns named like provinces, units and notes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddress } = require('../address');
+
+test('province after the town, with or without a comma', () => {
+  for (const address of [
+    '12 Main St, Guelph, Ontario N1H 1A1',
+    '12 Main St, Guelph, ON N1H1A1',
+    '12 Main St, Guelph Ontario',
+    '12 Main St, Guelph, Ontario, Canada',
+    '12 Main St, Guelph, Ontario Canada',
+  ]) {
+    const parts = parseAddress(address);
+    assert.equal(parts.municipality, 'Guelph', address);
+    assert.equal(parts.province, 'ON', address);
+  }
+});
+
+test('towns named after their province keep their name', () => {
+  const quebec = parseAddress('1 Rue Saint-Louis, Québec, Quebec G1R 3Z2');
+  assert.equal(quebec.municipality, 'Québec');
+  assert.equal(quebec.province, 'QC');
+  assert.equal(quebec.postalCode, 'G1R 3Z2');
+
+  const albertaBeach = parseAddress('5 Lakeview Dr, Alberta Beach, Alberta');
+  assert.equal(albertaBeach.municipality, 'Alberta Beach');
+  assert.equal(albertaBeach.province, 'AB');
+
+  const yukonCrossing = parseAddress('12 Klondike Hwy, Yukon Crossing, Yukon');
+  assert.equal(yukonCrossing.municipality, 'Yukon Crossing');
+  assert.equal(yukonCrossing.province, 'YT');
+});
+
+test('listing fields', () => {
+  const parts = parseAddress({ street: '5 Lakeview Dr', town: 'Alberta Beach', province: 'Alberta' });
+  assert.equal(parts.municipality, 'Alberta Beach');
+  assert.equal(parts.province, 'AB');
+  assert.equal(parts.addressKey, '5 lakeview dr|alberta beach|ab');
+});
+
+test('units and neighbourhood notes', () => {
+  const parts = parseAddress('1203-50 Disera Drive, Vaughan (Beverley Glen), Ontario L4J 9E9');
+  assert.equal(parts.unit, '1203');
+  assert.equal(parts.civicNumber, '50');
+  assert.equal(parts.streetName, 'Disera');
+  assert.equal(parts.streetType, 'DR');
+  assert.equal(parts.municipality, 'Vaughan');
+  assert.equal(parts.neighborhood, 'Beverley Glen');
+  assert.equal(parts.fsa, 'L4J');
+
+  assert.equal(parseAddress('12 Main St, Unit 5, Guelph, ON').unit, '5');
+});
@@ -0,0 +1,136 @@
+/**
+ * Geocoder tests against stubbed local providers and an in-memory geocode_cache
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Geocoder, GeocodeProvider, GazetteerProvider, createGeocoder } = require('../geocode');
+
+/**
+ * Provider answering from a { town: result } map, counting its lookups
+ */
+class StubProvider extends GeocodeProvider {
+  constructor(name, answers, { fail = false } = {}) {
+    super();
+    this.stubName = name;
+    this.answers = answers;
+    this.fail = fail;
+    this.calls = 0;
+  }
+
+  get name() {
+    return this.stubName;
+  }
+
+  async search(query, parts) {
+    this.calls++;
+    if (this.fail) throw new Error('quota exceeded');
+    return this.answers[parts.municipality] || null;
+  }
+}
+
+/**
+ * Just enough of a pg Pool for the geocode_cache queries
+ */
+function memoryPool() {
+  const rows = new Map();
+  return {
+    rows,
+    async query(sql, params) {
+      if (sql.trim().startsWith('SELECT')) {
+        const row = rows.get(params[0]);
+        return { rows: row ? [row] : [] };
+      }
+      const [key, query, provider, lat, lng, confidence] = params;
+      rows.set(key, { query, provider, lat, lng, confidence });
+      return { rows: [] };
+    },
+  };
+}
+
+const NEWMARKET = { lat: 44.0592, lng: -79.4613, confidence: 0.9 };
+
+test('caches answers by normalized address', async () => {
+  const provider = new StubProvider('stub', { Newmarket: NEWMARKET });
+  const geocoder = new Geocoder(memoryPool(), { providers: [provider] });
+
+  const first = await geocoder.geocode('12 Main St, Newmarket, Ontario L3Y 1A1');
+  // Same address written differently, with a unit: one lookup
+  const second = await geocoder.geocode({ street: '5 - 12 Main Street', town: 'Newmarket', province: 'ON' });
+
+  assert.deepEqual(first, { ...NEWMARKET, provider: 'stub' });
+  assert.deepEqual(second, { ...NEWMARKET, provider: 'stub' });
+  assert.equal(provider.calls, 1);
+});
+
+test('asks the next provider until one is confident enough', async () => {
+  const rough = new StubProvider('rough', { Aurora: { lat: 44, lng: -79.4, confidence: 0.3 } });
+  const precise = new StubProvider('precise', { Aurora: { lat: 44.0065, lng: -79.4504, confidence: 0.8 } });
+  const unused = new StubProvider('unused', {});
+  const geocoder = new Geocoder(memoryPool(), { providers: [rough, precise, unused] });
+
+  const result = await geocoder.geocode('1 Yonge St, Aurora, ON');
+  assert.equal(result.provider, 'precise');
+  assert.equal(unused.calls, 0);
+});
+
+test('keeps the best rough answer when no provider is confident', async () => {
+  const rough = new StubProvider('rough', { Aurora: { lat: 44, lng: -79.4, confidence: 0.3 } });
+  const rougher = new StubProvider('rougher', { Aurora: { lat: 43, lng: -79, confidence: 0.1 } });
+  const geocoder = new Geocoder(memoryPool(), { providers: [rougher, rough] });
+
+  const result = await geocoder.geocode('1 Yonge St, Aurora, ON');
+  assert.equal(result.provider, 'rough');
+});
+
+test('caches misses, but not when a provider failed', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const pool = memoryPool();
+  const empty = new StubProvider('empty', {});
+  const geocoder = new Geocoder(pool, { providers: [empty] });
+
+  assert.equal(await geocoder.geocode('1 Nowhere Rd, Atlantis, ON'), null);
+  assert.equal(await geocoder.geocode('1 Nowhere Rd, Atlantis, ON'), null);
+  assert.equal(empty.calls, 1);
+
+  const failing = new StubProvider('failing', {}, { fail: true });
+  const flaky = new Geocoder(memoryPool(), { providers: [failing] });
+  assert.equal(await flaky.geocode('1 Nowhere Rd, Atlantis, ON'), null);
+  assert.equal(await flaky.geocode('1 Nowhere Rd, Atlantis, ON'), null);
+  assert.equal(failing.calls, 2);
+});
+
+test('gazetteer matches town centres by name and province', async () => {
+  const gazetteer = new GazetteerProvider({
+    places: [
+      { name: 'Richmond Hill', province: 'Ontario', lat: 43.8828, lng: -79.4403 },
+      { name: 'Richmond', province: 'BC', lat: 49.1666, lng: -123.1336 },
+      { name: 'Richmond', province: 'QC', lat: 45.6626, lng: -72.1454 },
+    ],
+  });
+  const geocoder = new Geocoder(memoryPool(), { providers: [gazetteer], minConfidence: 0.1 });
+
+  const hill = await geocoder.geocode('10 Elm Ave, City of Richmond Hill, ON');
+  assert.deepEqual(hill, { lat: 43.8828, lng: -79.4403, confidence: 0.2, provider: 'gazetteer' });
+
+  const richmond = await geocoder.geocode('8 Oak Rd, Richmond, British Columbia');
+  assert.equal(richmond.lng, -123.1336);
+});
+
+test('gazetteer ships with the shared code', async () => {
+  const gazetteer = new GazetteerProvider();
+  const result = await gazetteer.search('', { municipality: 'Newmarket', province: 'ON' });
+  assert.equal(result.confidence, 0.2);
+});
+
+test('a missing gazetteer file disables the provider instead of throwing', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const geocoder = createGeocoder(memoryPool(), {
+    GEOCODE_GAZETTEER_FILE: path.join(__dirname, 'no-such-places.json'),
+  });
+
+  assert.equal(await geocoder.geocode('12 Main St, Newmarket, ON'), null);
+  assert.equal(await geocoder.geocode('12 Main St, Aurora, ON'), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name          HouseWipe - Realtor.ca Scraper
 // @namespace     http://tampermonkey.net/
-// @version       4.0
+// @version       4.2
 // @description   Scrapes listings from Realtor.ca and sends to HouseWipe API
 // @author        HouseWipe
 // @match         https://www.realtor.ca/*
@@ -12,22 +12,23 @@
 // @connect       localhost
 // @connect       *.railway.app
 // @connect       *
+// @require       http://localhost:3001/api/scraper/parsers/realtor-ca.js
 // @run-at        document-end
 // ==/UserScript==
 
 (async function() {
   'use strict';
 
-  // ⚠️ CONFIGURE THESE:
+  // ⚠️ CONFIGURE THESE (and the @require URL above):
   const API_URL = 'http://localhost:3001/api/scraper/listings';  // Change to Railway URL after deploy
-  const API_KEY = ''; // Optional: Add if you set up API key auth
+  const API_KEY_ID = ''; // Required: create a key with `cd backend && npm run api-keys create "userscript"`
+  const SIGNING_SECRET = ''; // Required: printed with the key id; signs requests and is never sent
   
   // AUTO-SCRAPE: Set to true for scheduled runs (script will auto-start on page load)
   const AUTO_SCRAPE = false;  // Change to true for scheduled automation
   const AUTO_SCRAPE_LIMIT = 50;  // Max listings to scrape in auto mode
   const AUTO_CLOSE_TAB = false;  // Close tab after auto-scrape completes
 
-  const MAX_IMAGES = 80;
   let stopScanRequested = false;
   let isScanning = false;
   let seenListingUrls = new Set();
@@ -104,146 +105,11 @@
     }
   `);
 
-  const PROVINCES = [
-    'Ontario', 'Quebec', 'British Columbia', 'Alberta', 'Manitoba',
-    'Saskatchewan', 'Nova Scotia', 'New Brunswick', 'Newfoundland and Labrador',
-    'Prince Edward Island', 'Northwest Territories', 'Yukon', 'Nunavut'
-  ];
-
-  function generateImageUrls(baseImageUrl) {
-    if (!baseImageUrl) return [];
-    if (!baseImageUrl.includes('cdn.realtor.ca')) return [baseImageUrl];
-
-    const highresUrl = baseImageUrl.replace('/lowres/', '/highres/');
-    const match = highresUrl.match(/^(.+_)(\d+)(\.jpg)$/i);
-    if (!match) return [highresUrl];
-
-    const [, prefix, , extension] = match;
-    return Array.from({ length: MAX_IMAGES }, (_, i) => `${prefix}${i + 1}${extension}`);
-  }
-
-  function parseTimeAgoToDate(timeStr) {
-    if (!timeStr || timeStr === 'N/A') return null;
-
-    const now = new Date();
-    const match = timeStr.match(/(\d+)\s+(hour|day|week)s?\s+ago/i);
-
-    if (match) {
-      const amount = parseInt(match[1]);
-      const unit = match[2].toLowerCase();
-
-      if (unit === 'hour') now.setHours(now.getHours() - amount);
-      else if (unit === 'day') now.setDate(now.getDate() - amount);
-      else if (unit === 'week') now.setDate(now.getDate() - (amount * 7));
-    }
-
-    return now.toISOString();
-  }
-
-  function extractListingFromCard(cardEl) {
-    try {
-      const fullText = cardEl.textContent;
-
-      // Price
-      let price = null;
-      const priceMatch = fullText.match(/\$[\d,]+/);
-      if (priceMatch) {
-        price = parseInt(priceMatch[0].replace(/[$,]/g, ''), 10);
-      }
-      if (!price) {
-        const priceDiv = cardEl.querySelector('div[data-value-cad]');
-        if (priceDiv) {
-          price = parseInt(priceDiv.getAttribute('data-value-cad').replace(/[^\d]/g, ''), 10);
-        }
-      }
-
-      // Address
-      let street = null, town = null, province = null, detailUrl = null;
-      const addressLink = Array.from(cardEl.querySelectorAll('a')).find(a => 
-        (a.href || '').includes('real-estate')
-      );
-
-      if (addressLink) {
-        detailUrl = addressLink.href;
-        const addressDiv = addressLink.querySelector('.smallListingCardAddress');
-        
-        if (addressDiv) {
-          const addressText = addressDiv.textContent.trim().replace(/\s+/g, ' ');
-          const parts = addressText.split(',').map(p => p.trim()).filter(p => p);
-
-          if (parts.length >= 3) {
-            street = parts[0];
-            town = parts[1];
-            for (const prov of PROVINCES) {
-              if (parts[parts.length - 1].toLowerCase().includes(prov.toLowerCase())) {
-                province = prov;
-                break;
-              }
-            }
-            if (!province) province = parts[parts.length - 1].split(/\s{2,}/)[0].trim();
-          } else if (parts.length === 2) {
-            street = parts[0];
-            for (const prov of PROVINCES) {
-              if (parts[1].toLowerCase().includes(prov.toLowerCase())) {
-                province = prov;
-                town = parts[1].replace(prov, '').trim();
-                break;
-              }
-            }
-            if (!province) town = parts[1];
-          }
-        }
-      }
-
-      if (!street) return null;
-
-      // Beds/Baths/Sqft
-      const bedsMatch = fullText.match(/(\d+)\s*Bedrooms?/i);
-      const beds = bedsMatch ? parseInt(bedsMatch[1], 10) : 0;
-
-      const bathsMatch = fullText.match(/(\d+)\s*Bathrooms?/i);
-      const baths = bathsMatch ? parseInt(bathsMatch[1], 10) : 0;
-
-      const sqftMatch = fullText.match(/([\d,]+)\+?\s*sqft/i);
-      const sqft = sqftMatch ? parseInt(sqftMatch[1].replace(',', ''), 10) : null;
-
-      // Time
-      const timeMatch = fullText.match(/(\d+)\s+(hour|day|week)s?\s+ago/i);
-      const listedAt = timeMatch ? parseTimeAgoToDate(timeMatch[0]) : null;
-
-      // Image
-      let imageUrl = null;
-      const img = cardEl.querySelector('img.smallListingCardImage') || 
-                  cardEl.querySelector('img[src*="cdn.realtor.ca"]');
-      if (img && img.src) imageUrl = img.src;
-
-      return {
-        price,
-        street,
-        town,
-        province,
-        beds,
-        baths,
-        sqft,
-        listedAt,
-        imageUrls: generateImageUrls(imageUrl),
-        detailUrl,
-        scrapedAt: new Date().toISOString()
-      };
-    } catch (e) {
-      console.error('Error extracting listing:', e);
-      return null;
-    }
-  }
-
+  // Card parsing is shared with the scraper (shared/parsers/realtor-ca.js, loaded via @require)
   function scanCurrentPage() {
-    const cards = document.querySelectorAll('.cardCon');
-    const listings = [];
-    cards.forEach(card => {
-      const listing = extractListingFromCard(card);
-      if (listing) listings.push(listing);
-    });
-    return listings;
+    const scrapedAt = new Date().toISOString();
+    return HouseWipeRealtorParser.parseSearchResults(document)
+      .map(listing => ({ ...listing, scrapedAt }));
   }
 
   function getFirstListingUrl() {
@@ -280,28 +146,50 @@
     return false;
   }
 
+  /**
+   * HMAC-SHA256 (hex) of `${timestamp}.${body}` keyed with the signing secret
+   */
+  async function signRequest(timestamp, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(SIGNING_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
   async function sendToHouseWipe(listings) {
     if (!API_URL) {
       updateStatus('❌ API URL not configured');
       return false;
     }
+    if (!API_KEY_ID || !SIGNING_SECRET) {
+      updateStatus('❌ API key not configured');
+      return false;
+    }
 
     updateStatus(`📤 Sending ${listings.length} listings to HouseWipe...`);
 
     try {
+      const body = JSON.stringify({ listings });
+      const timestamp = String(Math.floor(Date.now() / 1000));
       const response = await fetch(API_URL, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          ...(API_KEY && { 'X-API-Key': API_KEY })
+          'X-API-Key': API_KEY_ID,
+          'X-Timestamp': timestamp,
+          'X-Signature': await signRequest(timestamp, body),
         },
-        body: JSON.stringify({ listings })
+        body
       });
 
       const result = await response.json();
       
       if (result.success) {
-        updateStatus(`✅ Added ${result.added} new, ${result.updated} updated, ${result.priceChanges} price changes`);
+        updateStatus(`✅ Added ${result.added} new, ${result.updated} updated, ${result.priceChanges} price changes` +
+          (result.rejected ? `, ${result.rejected} rejected` : ''));
+        if (result.rejected) {
+          console.warn('[HouseWipe] Rejected listings:', result.errors);
+        }
         return true;
       } else {
         updateStatus(`❌ Error: ${result.message}`);